@@ -1,844 +1,4138 @@
-﻿///////////////////////////////////////////////////////////////////////////////////////////////////////
-//
-// Welcome to your first Cloud Script revision!
-//
-// Cloud Script runs in the PlayFab cloud and has full access to the PlayFab Game Server API
-// (https://api.playfab.com/Documentation/Server), and it runs in the context of a securely
-// authenticated player, so you can use it to implement logic for your game that is safe from
-// client-side exploits.
-//
-// Cloud Script functions can also make web requests to external HTTP
-// endpoints, such as a database or private API for your title, which makes them a flexible
-// way to integrate with your existing backend systems.
-//
-// There are several different options for calling Cloud Script functions:
-//
-// 1) Your game client calls them directly using the "ExecuteCloudScript" API,
-// passing in the function name and arguments in the request and receiving the
-// function return result in the response.
-// (https://api.playfab.com/Documentation/Client/method/ExecuteCloudScript)
-//
-// 2) You create PlayStream event actions that call them when a particular
-// event occurs, passing in the event and associated player profile data.
-// (https://api.playfab.com/playstream/docs)
-//
-// 3) For titles using the Photon Add-on (https://playfab.com/marketplace/photon/),
-// Photon room events trigger webhooks which call corresponding Cloud Script functions.
-//
-// The following examples demonstrate all three options.
-//
-///////////////////////////////////////////////////////////////////////////////////////////////////////
-/*global handlers */
-/*global server */
-/*global http */
-/*global log */
-/*global script */
-/*global currentPlayerId */
-var GAMES_LIST_SUFFIX = '_GamesList';
-
-function getGamesListId(playerId) {
-    'use strict';
-    return String(playerId) + GAMES_LIST_SUFFIX;
-}
-
-// http://stackoverflow.com/a/21273362/1449056
-function undefinedOrNull(variable) {
-    'use strict';
-    return variable === undefined || variable === null;
-}
-
-// checks to see if an object has any properties
-// Returns true for empty objects and false for non-empty objects
-function isEmpty(obj) {
-    'use strict';
-
-    // Object.getOwnPropertyNames(obj).length vs. Object.keys(obj).length
-    // http://stackoverflow.com/a/22658584/1449056
-    return (undefinedOrNull(obj) || Object.getOwnPropertyNames(obj).length === 0);
-}
-
-function createSharedGroup(id) {
-    'use strict';
-    try  {
-        server.CreateSharedGroup({ SharedGroupId: id });
-    } catch (e) {
-        throw e;
-    }
-}
-
-function isString(obj) {
-    'use strict';
-    return (typeof obj === 'string' || obj instanceof String);
-}
-
-function updateSharedGroupData(id, data) {
-    'use strict';
-    var key;
-    try  {
-        for (key in data) {
-            if (data.hasOwnProperty(key) && !undefinedOrNull(data[key]) && !isString(data[key])) {
-                data[key] = JSON.stringify(data[key]);
-            }
-        }
-        server.UpdateSharedGroupData({ SharedGroupId: id, Data: data });
-    } catch (e) {
-        throw e;
-    }
-}
-
-function getSharedGroupData(id, keys) {
-    'use strict';
-    try  {
-        var data = {}, key;
-        if (undefinedOrNull(keys)) {
-            data = server.GetSharedGroupData({ SharedGroupId: id }).Data;
-        } else {
-            data = server.GetSharedGroupData({ SharedGroupId: id, Keys: keys }).Data;
-        }
-        for (key in data) {
-            if (data.hasOwnProperty(key)) {
-                data[key] = JSON.parse(data[key].Value); // 'LastUpdated' and 'Permission' properties are overwritten
-            }
-        }
-        return data;
-    } catch (e) {
-        throw e;
-    }
-}
-
-function deleteSharedGroup(id) {
-    'use strict';
-    try  {
-        server.DeleteSharedGroup({ SharedGroupId: id });
-    } catch (e) {
-        throw e;
-    }
-}
-
-function getSharedGroupEntry(id, key) {
-    'use strict';
-    try  {
-        return getSharedGroupData(id, [key]);
-    } catch (e) {
-        throw e;
-    }
-}
-
-function updateSharedGroupEntry(id, key, value) {
-    'use strict';
-    try  {
-        var data = {};
-        data[key] = value;
-        updateSharedGroupData(id, data);
-    } catch (e) {
-        throw e;
-    }
-}
-
-function deleteSharedGroupEntry(id, key) {
-    'use strict';
-    try  {
-        updateSharedGroupEntry(id, key, null);
-    } catch (e) {
-        throw e;
-    }
-}
-
-function getISOTimestamp() {
-    'use strict';
-    try  {
-        return (new Date()).toISOString();
-    } catch (e) {
-        throw e;
-    }
-}
-
-function logException(timestamp, data, message) {
-    'use strict';
-
-    //TEMPORARY solution until log functions' output is available from GameManager
-    server.SetTitleData({
-        Key: timestamp + Math.random(),
-        Value: JSON.stringify({ Message: message, Data: data })
-    });
-}
-
-function PhotonException(code, msg, timestamp, data) {
-    'use strict';
-    this.ResultCode = code;
-    this.Message = msg;
-    this.Timestamp = timestamp;
-    this.Data = data;
-    logException(timestamp, data, msg);
-    //this.Stack = (new Error()).stack;
-}
-
-PhotonException.prototype = Object.create(Error.prototype);
-PhotonException.prototype.constructor = PhotonException;
-
-var LeaveReason = {
-    ClientDisconnect: '0', ClientTimeoutDisconnect: '1', ManagedDisconnect: '2', ServerDisconnect: '3', TimeoutDisconnect: '4', ConnectTimeout: '5',
-    SwitchRoom: '100', LeaveRequest: '101', PlayerTtlTimedOut: '102', PeerLastTouchTimedout: '103', PluginRequest: '104', PluginFailedJoin: '105'
-};
-
-function checkWebhookArgs(args, timestamp) {
-    'use strict';
-    var msg = 'Missing argument: ';
-    if (undefinedOrNull(args.AppId)) {
-        throw new PhotonException(1, msg + 'AppId', timestamp, args);
-    }
-    if (undefinedOrNull(args.AppVersion)) {
-        throw new PhotonException(1, msg + 'AppVersion', timestamp, args);
-    }
-    if (undefinedOrNull(args.Region)) {
-        throw new PhotonException(1, msg + 'Region', timestamp, args);
-    }
-    if (undefinedOrNull(args.GameId)) {
-        throw new PhotonException(1, msg + 'GameId', timestamp, args);
-    }
-    if (undefinedOrNull(args.Type)) {
-        throw new PhotonException(1, msg + 'Type', timestamp, args);
-    }
-    if ((args.Type !== 'Close' && args.Type !== 'Save')) {
-        if (undefinedOrNull(args.ActorNr)) {
-            throw new PhotonException(1, msg + 'ActorNr', timestamp, args);
-        }
-        if (undefinedOrNull(args.UserId)) {
-            throw new PhotonException(1, msg + 'UserId', timestamp, args);
-        }
-        if (args.UserId !== currentPlayerId) {
-            throw new PhotonException(3, 'currentPlayerId=' + currentPlayerId + ' does not match UserId', timestamp, args);
-        }
-        if (undefinedOrNull(args.Username) && undefinedOrNull(args.Nickname)) {
-            throw new PhotonException(1, msg + 'Username/Nickname', timestamp, args);
-        }
-    } else {
-        if (undefinedOrNull(args.ActorCount)) {
-            throw new PhotonException(1, msg + 'ActorCount', timestamp, args);
-        }
-        if (!undefinedOrNull(args.State2) && !undefinedOrNull(args.State2.ActorList)) {
-            if (args.State2.ActorList.length !== args.ActorCount) {
-                throw new PhotonException(2, 'ActorCount does not match ActorList.count', timestamp, args);
-            }
-        }
-    }
-    switch (args.Type) {
-        case 'Load':
-            if (undefinedOrNull(args.CreateIfNotExists)) {
-                throw new PhotonException(1, msg + 'CreateIfNotExists', timestamp, args);
-            }
-            break;
-        case 'Create':
-            if (undefinedOrNull(args.CreateOptions)) {
-                throw new PhotonException(1, msg + 'CreateOptions', timestamp, args);
-            }
-            if (args.ActorNr !== 1) {
-                throw new PhotonException(2, 'ActorNr != 1 and Type == Create', timestamp, args);
-            }
-            break;
-        case 'Join':
-            break;
-        case 'Player':
-            if (undefinedOrNull(args.TargetActor)) {
-                throw new PhotonException(1, msg + 'TargetActor', timestamp, args);
-            }
-            if (undefinedOrNull(args.Properties)) {
-                throw new PhotonException(1, msg + 'Properties', timestamp, args);
-            }
-            if (!undefinedOrNull(args.Username) && undefinedOrNull(args.State)) {
-                throw new PhotonException(1, msg + 'State', timestamp, args);
-            }
-            break;
-        case 'Game':
-            if (undefinedOrNull(args.Properties)) {
-                throw new PhotonException(1, msg + 'Properties', timestamp, args);
-            }
-            if (!undefinedOrNull(args.Username) && undefinedOrNull(args.State)) {
-                throw new PhotonException(1, msg + 'State', timestamp, args);
-            }
-            break;
-        case 'Event':
-            if (undefinedOrNull(args.Data)) {
-                throw new PhotonException(1, msg + 'Data', timestamp, args);
-            }
-            if (!undefinedOrNull(args.Username) && undefinedOrNull(args.State)) {
-                throw new PhotonException(1, msg + 'State', timestamp, args);
-            }
-            break;
-        case 'Save':
-            if (undefinedOrNull(args.State)) {
-                throw new PhotonException(1, msg + 'State', timestamp, args);
-            }
-            if (args.ActorCount <= 0) {
-                throw new PhotonException(2, 'ActorCount <= 0 and Type == Save', timestamp, args);
-            }
-            break;
-        case 'Close':
-            if (args.ActorCount !== 0) {
-                throw new PhotonException(2, 'ActorCount != 0 and Type == Close', timestamp, args);
-            }
-            break;
-        case 'Leave':
-            throw new PhotonException(2, 'Deprecated forward plugin webhook!', timestamp, args);
-        default:
-            if (LeaveReason.hasOwnProperty(args.Type)) {
-                if (undefinedOrNull(args.IsInactive)) {
-                    throw new PhotonException(1, msg + 'IsInactive', timestamp, args);
-                }
-                if (undefinedOrNull(args.Reason)) {
-                    throw new PhotonException(1, msg + 'Reason', timestamp, args);
-                }
-                if (LeaveReason[args.Type] !== args.Reason) {
-                    throw new PhotonException(2, 'Reason code does not match Leave Type string', timestamp, args);
-                }
-                if (['1', '100', '103', '105'].indexOf(args.Reason) > -1) {
-                    throw new PhotonException(2, 'Unexpected LeaveReason', timestamp, args);
-                }
-            } else {
-                throw new PhotonException(2, 'Unexpected Type:' + args.Type);
-            }
-            break;
-    }
-}
-
-function checkWebRpcArgs(args, timestamp) {
-    'use strict';
-    var msg = 'Missing argument: ';
-    if (undefinedOrNull(args.AppId)) {
-        throw new PhotonException(1, msg + 'AppId', timestamp, args);
-    }
-    if (undefinedOrNull(args.AppVersion)) {
-        throw new PhotonException(1, msg + 'AppVersion', timestamp, args);
-    }
-    if (undefinedOrNull(args.Region)) {
-        throw new PhotonException(1, msg + 'Region', timestamp, args);
-    }
-    if (undefinedOrNull(args.UserId)) {
-        throw new PhotonException(1, msg + 'UserId', timestamp, args);
-    }
-}
-
-// Placeholder to prevent Photon Error
-function GetPlaceholderGameList(args) {
-    'use strict';
-    var propsA = { prop1: 123, prop2: "abc" };
-    var propsB = { prop1: 456, prop2: "def" };
-
-    var data = {};
-    data["hello1"] = { ActorNr: 1138, Properties: propsA };
-    data["hello2"] = { ActorNr: 5456, Properties: propsB };
-
-    return { ResultCode: 0, Data: data };
-}
-
-function GetGameList(args) {
-    'use strict';
-    try  {
-        var timestamp = getISOTimestamp(), gameList = {}, listToLoad = {}, gameKey = '', userKey = '', data = {};
-        checkWebRpcArgs(args);
-        log.debug("gamelist get shared group data");
-
-        //var propsA = {prop1: 235, prop2: "abc"};
-        //data["sanity"] = {ActorNr: 1234, Properties: propsA};
-        gameList = getSharedGroupData(getGamesListId(currentPlayerId));
-
-        for (gameKey in gameList) {
-            if (gameList.hasOwnProperty(gameKey)) {
-                log.debug("gamelist entry: " + gameKey);
-                if (gameList[gameKey].Creation.UserId === currentPlayerId) {
-                    data[gameKey] = { ActorNr: 1, Properties: gameList[gameKey].State.CustomProperties };
-                } else {
-                    data[gameKey] = { ActorNr: gameList[gameKey].ActorNr };
-                    if (undefinedOrNull(listToLoad[gameList[gameKey].Creation.UserId])) {
-                        listToLoad[gameList[gameKey].Creation.UserId] = [];
-                    }
-                    listToLoad[gameList[gameKey].Creation.UserId].push(data[gameKey]);
-                }
-            }
-        }
-
-        for (userKey in listToLoad) {
-            if (listToLoad.hasOwnProperty(userKey)) {
-                gameList = getSharedGroupData(getGamesListId(userKey), listToLoad[userKey]);
-                for (gameKey in gameList) {
-                    if (gameList.hasOwnProperty(gameKey)) {
-                        data[gameKey].Properties = gameList[gameKey].State.CustomProperties;
-                    }
-                }
-            }
-        }
-
-        return { ResultCode: 0, Data: data };
-    } catch (e) {
-        if (e instanceof PhotonException) {
-            return { ResultCode: e.ResultCode, Message: e.Message };
-        }
-        return { ResultCode: -1, Message: e.name + ': ' + e.message };
-    }
-}
-
-function onGameCreated(args, timestamp) {
-    'use strict';
-    var data = {};
-    var msg = "";
-    try  {
-        createSharedGroup(args.GameId);
-    } catch (e) {
-        if (!undefinedOrNull(e.Error) && e.Error.error === "InvalidSharedGroupId") {
-            log.info("game already exists.");
-            msg = "game already exists.";
-        } else {
-            log.info("Other error");
-            msg = "game error";
-        }
-    }
-
-    data.Env = {
-        Region: args.Region, AppVersion: args.AppVersion, AppId: args.AppId, TitleId: script.titleId,
-        CloudScriptVersion: script.version, CloudScriptRevision: script.revision, PlayFabServerVersion: server.version,
-        WebhooksVersion: undefinedOrNull(args.Nickname) ? '1.0' : '1.2'
-    };
-    data.RoomOptions = args.CreateOptions;
-    data.Creation = { Timestamp: timestamp, UserId: args.UserId, Type: args.Type };
-    data.Actors = { 1: { UserId: args.UserId, Inactive: false } };
-    data.NextActorNr = 2;
-    updateSharedGroupData(args.GameId, data);
-    updateSharedGroupEntry(getGamesListId(currentPlayerId), args.GameId, data);
-
-    return { ReturnCode: 0, Message: msg };
-}
-
-// Photon Webhooks Integration
-//
-// The following functions are examples of Photon Cloud Webhook handlers.
-// When you enable the Photon Add-on (https://playfab.com/marketplace/photon/)
-// in the Game Manager, your Photon applications are automatically configured
-// to authenticate players using their PlayFab accounts and to fire events that
-// trigger your Cloud Script Webhook handlers, if defined.
-// This makes it easier than ever to incorporate multiplayer server logic into your game.
-// Triggered automatically when a Photon room is first created
-handlers.RoomCreated = function (args) {
-    'use strict';
-    log.debug("Room Created - Game: " + args.GameId + " MaxPlayers: " + args.CreateOptions.MaxPlayers);
-
-    try  {
-        var timestamp = getISOTimestamp(), data = {};
-        checkWebhookArgs(args, timestamp);
-        if (args.Type === 'Create') {
-            onGameCreated(args, timestamp);
-            return { ResultCode: 0, Message: 'OK' };
-        } else if (args.Type === 'Load') {
-            data = getSharedGroupEntry(getGamesListId(currentPlayerId), args.GameId);
-            if (data.Creation.UserId !== currentPlayerId) {
-                data = getSharedGroupEntry(getGamesListId(data.Creation.UserId), args.GameId);
-            }
-            if (undefinedOrNull(data.State)) {
-                if (args.CreateIfNotExists === false) {
-                    throw new PhotonException(5, 'Room=' + args.GameId + ' not found', timestamp, args);
-                } else {
-                    onGameCreated(args, timestamp);
-                    return { ResultCode: 0, Message: 'OK', State: '' };
-                }
-            }
-            if (undefinedOrNull(data.LoadEvents)) {
-                data.LoadEvents = {};
-            }
-            data.LoadEvents[timestamp] = { ActorNr: args.ActorNr, UserId: args.UserId };
-            createSharedGroup(args.GameId);
-            updateSharedGroupData(args.GameId, data);
-            return { ResultCode: 0, Message: 'OK', State: data.State };
-        } else {
-            throw new PhotonException(2, 'Wrong PathCreate Type=' + args.Type, timestamp, { Webhook: args });
-        }
-    } catch (e) {
-        if (e instanceof PhotonException) {
-            return { ResultCode: e.ResultCode, Message: e.Message };
-        }
-        return { ResultCode: -1, Message: e.name + ': ' + e.message };
-    }
-};
-
-// Triggered automatically when a player joins a Photon room
-handlers.RoomJoined = function (args) {
-    'use strict';
-    log.debug("Room Joined - Game: " + args.GameId + " PlayFabId: " + args.UserId);
-
-    try  {
-        var timestamp = getISOTimestamp(), data = {};
-        checkWebhookArgs(args, timestamp);
-        data = getSharedGroupData(args.GameId);
-        if (args.Type !== 'Join') {
-            throw new PhotonException(2, 'Wrong PathJoin Type=' + args.Type, timestamp, { Webhook: args, CustomState: data });
-        }
-
-        // TODO: compare data.Env with current env
-        if (data.RoomOptions.PlayerTTL !== 0 && data.NextActorNr > args.ActorNr) {
-            if (data.ActiveActors[args.ActorNr].Inactive === false) {
-                throw new PhotonException(2, 'Actor is already joined', timestamp, { Webhook: args, CustomState: data });
-            } else if (data.RoomOptions.CheckUserOnJoin === true && args.UserId !== data.Actors[args.ActorNr].UserId) {
-                throw new PhotonException(2, 'Illegal rejoin with different UserId', timestamp, { Webhook: args, CustomState: data });
-            } else if (args.UserId !== data.Actors[args.ActorNr].UserId) {
-                data.Actors[args.ActorNr].UserId = args.UserId;
-            }
-            data.Actors[args.ActorNr].Inactive = false;
-        } else if (data.NextActorNr === args.ActorNr) {
-            if (Object.keys(data.Actors).length === args.RoomOptions.MaxPlayers) {
-                throw new PhotonException(2, 'Actors overflow', timestamp, { Webhook: args, CustomState: data });
-            }
-            data.Actors[args.ActorNr] = { UserId: args.UserId, Inactive: false };
-            data.NextActorNr = data.NextActorNr + 1;
-        } else {
-            throw new PhotonException(2, 'Unexpected ActorNr', timestamp, { Webhook: args, CustomState: data });
-        }
-        if (undefinedOrNull(data.JoinEvents)) {
-            data.JoinEvents = {};
-        }
-        data.JoinEvents[timestamp] = { ActorNr: args.ActorNr, UserId: args.UserId };
-        updateSharedGroupData(args.GameId, data);
-        updateSharedGroupEntry(getGamesListId(currentPlayerId), args.GameId, { Env: data.Env, Creation: data.Creation, ActorNr: args.ActorNr });
-        return { ResultCode: 0, Message: 'OK' };
-    } catch (e) {
-        if (e instanceof PhotonException) {
-            return { ResultCode: e.ResultCode, Message: e.Message };
-        }
-        return { ResultCode: -1, Message: e.name + ': ' + e.message };
-    }
-};
-
-// Triggered automatically when a player leaves a Photon room
-handlers.RoomLeft = function (args) {
-    'use strict';
-    log.debug("Room Left - Game: " + args.GameId + " PlayFabId: " + args.UserId);
-
-    try  {
-        var timestamp = getISOTimestamp(), data = {};
-        checkWebhookArgs(args, timestamp);
-        data = getSharedGroupData(args.GameId);
-        if (!LeaveReason.hasOwnProperty(args.Type)) {
-            throw new PhotonException(2, 'Wrong PathLeave Type=' + args.Type, timestamp, { Webhook: args, CustomState: data });
-        }
-
-        // TODO: compare data.Env with current env
-        if (!data.Actors.hasOwnProperty(args.ActorNr)) {
-            throw new PhotonException(2, 'No ActorNr inside the room', timestamp, { Webhook: args, CustomState: data });
-        }
-        if (args.Type !== LeaveReason.PlayerTtlTimedOut && data.Actors[args.ActorNr].Inactive === true) {
-            throw new PhotonException(2, 'Inactive actors cant leave', timestamp, { Webhook: args, CustomState: data });
-        }
-        if (data.Actors[args.ActorNr].UserId !== args.UserId) {
-            throw new PhotonException(2, 'Leaving UserId is different from joined', timestamp, { Webhook: args, CustomState: data });
-        }
-        if (args.Inactive) {
-            data.Actors[args.ActorNr].Inactive = true;
-        } else {
-            delete data.Actors[args.ActorNr];
-            deleteSharedGroupEntry(getGamesListId(currentPlayerId), args.GameId);
-        }
-        if (undefinedOrNull(data.LeaveEvents)) {
-            data.LeaveEvents = {};
-        }
-        data.LeaveEvents[timestamp] = { ActorNr: args.ActorNr, UserId: args.UserId, CanRejoin: args.Inactive };
-        updateSharedGroupData(args.GameId, data);
-        return { ResultCode: 0, Message: 'OK' };
-    } catch (e) {
-        if (e instanceof PhotonException) {
-            return { ResultCode: e.ResultCode, Message: e.Message };
-        }
-        return { ResultCode: -1, Message: e.name + ': ' + e.message };
-    }
-};
-
-// Triggered automatically when a Photon room closes
-// Note: currentPlayerId is undefined in this function
-handlers.RoomClosed = function (args) {
-    'use strict';
-    log.debug("Room Closed - Game: " + args.GameId);
-
-    try  {
-        var timestamp = getISOTimestamp(), data = {};
-        checkWebhookArgs(args, timestamp);
-        data = getSharedGroupData(args.GameId);
-        if (Object.keys(data.Actors).length !== args.ActorCount) {
-            throw new PhotonException(6, 'Actors count does not match', timestamp, { Webhook: args, CustomState: data });
-        }
-
-        // TODO: compare data.Env with current env
-        if (args.Type === 'Close') {
-            deleteSharedGroupEntry(getGamesListId(data.Creation.UserId), args.GameId);
-        } else if (args.Type === 'Save') {
-            if (undefinedOrNull(data.SaveEvents)) {
-                data.SaveEvents = {};
-            }
-            data.SaveEvents[timestamp] = { ActorCount: args.ActorCount };
-            data.State = args.State;
-            updateSharedGroupEntry(getGamesListId(data.Creation.UserId), args.GameId, data);
-        } else {
-            throw new PhotonException(2, 'Wrong PathClose Type=' + args.Type, timestamp, { Webhook: args, CustomState: data });
-        }
-        deleteSharedGroup(args.GameId);
-        return { ResultCode: 0, Message: 'OK' };
-    } catch (e) {
-        if (e instanceof PhotonException) {
-            return { ResultCode: e.ResultCode, Message: e.Message };
-        }
-        return { ResultCode: -1, Message: e.name + ': ' + e.message };
-    }
-};
-
-// Triggered automatically when a Photon room game property is updated.
-// Note: currentPlayerId is undefined in this function
-handlers.RoomPropertyUpdated = function (args) {
-    log.debug("Room Property Updated - Game: " + args.GameId);
-};
-
-// Triggered by calling "OpRaiseEvent" on the Photon client. The "args.Data" property is
-// set to the value of the "customEventContent" HashTable parameter, so you can use
-// it to pass in arbitrary data.
-handlers.RoomEventRaised = function (args) {
-    var eventData = args.Data;
-    log.debug("Event Raised - Game: " + args.GameId + " Event Type: " + eventData.eventType);
-
-    switch (eventData.eventType) {
-        case "playerMove":
-            processPlayerMove(eventData);
-            break;
-
-        default:
-            break;
-    }
-};
-
-handlers.GetGameList = function (args) {
-    return GetGameList(args);
-};
-
-handlers.InitGameList = function (args, context) {
-    var sharedGroupId = getGamesListId(currentPlayerId);
-    var msg = 'return message';
-    try  {
-        createSharedGroup(sharedGroupId);
-        msg = "game list created";
-    } catch (e) {
-        if (!undefinedOrNull(e.Error) && e.Error.error === "InvalidSharedGroupId") {
-            log.info("Games list already exists.");
-            msg = "game list already exists.";
-        } else {
-            log.info("Other error");
-            msg = "game list error";
-        }
-    }
-
-    //var data = {};
-    //data = getSharedGroupData(getGamesListId(currentPlayerId));
-    //if (undefinedOrNull(data))
-    //{
-    //log.debug("Games list does not exist. Creating.");
-    //createSharedGroup(getGamesListId(currentPlayerId));
-    //}
-    //else {
-    // 	log.debug("Games list already exists.");
-    //}
-    return { ResultCode: 0, Message: msg };
-};
-
-// This is a Cloud Script function. "args" is set to the value of the "FunctionParameter"
-// parameter of the ExecuteCloudScript API.
-// (https://api.playfab.com/Documentation/Client/method/ExecuteCloudScript)
-// "context" contains additional information when the Cloud Script function is called from a PlayStream action.
-handlers.helloWorld = function (args, context) {
-    // The pre-defined "currentPlayerId" variable is initialized to the PlayFab ID of the player logged-in on the game client.
-    // Cloud Script handles authenticating the player automatically.
-    var message = "Hello " + currentPlayerId + "!";
-
-    // You can use the "log" object to write out debugging statements. It has
-    // three functions corresponding to logging level: debug, info, and error. These functions
-    // take a message string and an optional object.
-    log.info(message);
-    var inputValue = null;
-    if (args && args.inputValue)
-        inputValue = args.inputValue;
-    log.debug("helloWorld:", { input: inputValue });
-
-    // The value you return from a Cloud Script function is passed back
-    // to the game client in the ExecuteCloudScript API response, along with any log statements
-    // and additional diagnostic information, such as any errors returned by API calls or external HTTP
-    // requests. They are also included in the optional player_executed_cloudscript PlayStream event
-    // generated by the function execution.
-    // (https://api.playfab.com/playstream/docs/PlayStreamEventModels/player/player_executed_cloudscript)
-    return { messageValue: message };
-};
-
-// This is a simple example of making a PlayFab server API call
-handlers.makeAPICall = function (args, context) {
-    var request = {
-        PlayFabId: currentPlayerId, Statistics: [{
-                StatisticName: "Level",
-                Value: 2
-            }]
-    };
-
-    // The pre-defined "server" object has functions corresponding to each PlayFab server API
-    // (https://api.playfab.com/Documentation/Server). It is automatically
-    // authenticated as your title and handles all communication with
-    // the PlayFab API, so you don't have to write extra code to issue HTTP requests.
-    var playerStatResult = server.UpdatePlayerStatistics(request);
-};
-
-// This is a simple example of making a web request to an external HTTP API.
-handlers.makeHTTPRequest = function (args, context) {
-    var headers = {
-        "X-MyCustomHeader": "Some Value"
-    };
-
-    var body = {
-        input: args,
-        userId: currentPlayerId,
-        mode: "foobar"
-    };
-
-    var url = "http://httpbin.org/status/200";
-    var content = JSON.stringify(body);
-    var httpMethod = "post";
-    var contentType = "application/json";
-
-    // The pre-defined http object makes synchronous HTTP requests
-    var response = http.request(url, httpMethod, content, contentType, headers);
-    return { responseContent: response };
-};
-
-// This is a simple example of a function that is called from a
-// PlayStream event action. (https://playfab.com/introducing-playstream/)
-handlers.handlePlayStreamEventAndProfile = function (args, context) {
-    // The event that triggered the action
-    // (https://api.playfab.com/playstream/docs/PlayStreamEventModels)
-    var psEvent = context.playStreamEvent;
-
-    // The profile data of the player associated with the event
-    // (https://api.playfab.com/playstream/docs/PlayStreamProfileModels)
-    var profile = context.playerProfile;
-
-    // Post data about the event to an external API
-    var content = JSON.stringify({ user: profile.PlayerId, event: psEvent.EventName });
-    var response = http.request('https://httpbin.org/status/200', 'post', content, 'application/json', null);
-
-    return { externalAPIResponse: response };
-};
-
-// Below are some examples of using Cloud Script in slightly more realistic scenarios
-// This is a function that the game client would call whenever a player completes
-// a level. It updates a setting in the player's data that only game server
-// code can write - it is read-only on the client - and it updates a player
-// statistic that can be used for leaderboards.
-//
-// A funtion like this could be extended to perform validation on the
-// level completion data to detect cheating. It could also do things like
-// award the player items from the game catalog based on their performance.
-handlers.completedLevel = function (args, context) {
-    var level = args.levelName;
-    var monstersKilled = args.monstersKilled;
-
-    var updateUserDataResult = server.UpdateUserInternalData({
-        PlayFabId: currentPlayerId,
-        Data: {
-            lastLevelCompleted: level
-        }
-    });
-
-    log.debug("Set lastLevelCompleted for player " + currentPlayerId + " to " + level);
-    var request = {
-        PlayFabId: currentPlayerId, Statistics: [{
-                StatisticName: "level_monster_kills",
-                Value: monstersKilled
-            }]
-    };
-    server.UpdatePlayerStatistics(request);
-    log.debug("Updated level_monster_kills stat for player " + currentPlayerId + " to " + monstersKilled);
-};
-
-// In addition to the Cloud Script handlers, you can define your own functions and call them from your handlers.
-// This makes it possible to share code between multiple handlers and to improve code organization.
-handlers.updatePlayerMove = function (args) {
-    var validMove = processPlayerMove(args);
-    return { validMove: validMove };
-};
-
-// This is a helper function that verifies that the player's move wasn't made
-// too quickly following their previous move, according to the rules of the game.
-// If the move is valid, then it updates the player's statistics and profile data.
-// This function is called from the "UpdatePlayerMove" handler above and also is
-// triggered by the "RoomEventRaised" Photon room event in the Webhook handler
-// below.
-//
-// For this example, the script defines the cooldown period (playerMoveCooldownInSeconds)
-// as 15 seconds. A recommended approach for values like this would be to create them in Title
-// Data, so that they can be queries in the script with a call to GetTitleData
-// (https://api.playfab.com/Documentation/Server/method/GetTitleData). This would allow you to
-// make adjustments to these values over time, without having to edit, test, and roll out an
-// updated script.
-function processPlayerMove(playerMove) {
-    var now = Date.now();
-    var playerMoveCooldownInSeconds = 15;
-
-    var playerData = server.GetUserInternalData({
-        PlayFabId: currentPlayerId,
-        Keys: ["last_move_timestamp"]
-    });
-
-    var lastMoveTimestampSetting = playerData.Data["last_move_timestamp"];
-
-    if (lastMoveTimestampSetting) {
-        var lastMoveTime = Date.parse(lastMoveTimestampSetting.Value);
-        var timeSinceLastMoveInSeconds = (now - lastMoveTime) / 1000;
-        log.debug("lastMoveTime: " + lastMoveTime + " now: " + now + " timeSinceLastMoveInSeconds: " + timeSinceLastMoveInSeconds);
-
-        if (timeSinceLastMoveInSeconds < playerMoveCooldownInSeconds) {
-            log.error("Invalid move - time since last move: " + timeSinceLastMoveInSeconds + "s less than minimum of " + playerMoveCooldownInSeconds + "s.");
-            return false;
-        }
-    }
-
-    var playerStats = server.GetPlayerStatistics({
-        PlayFabId: currentPlayerId
-    }).Statistics;
-    var movesMade = 0;
-    for (var i = 0; i < playerStats.length; i++)
-        if (playerStats[i].StatisticName === "")
-            movesMade = playerStats[i].Value;
-    movesMade += 1;
-    var request = {
-        PlayFabId: currentPlayerId, Statistics: [{
-                StatisticName: "movesMade",
-                Value: movesMade
-            }]
-    };
-    server.UpdatePlayerStatistics(request);
-    server.UpdateUserInternalData({
-        PlayFabId: currentPlayerId,
-        Data: {
-            last_move_timestamp: new Date(now).toUTCString(),
-            last_move: JSON.stringify(playerMove)
-        }
-    });
-
-    return true;
-}
-
-// This is an example of using PlayStream real-time segmentation to trigger
-// game logic based on player behavior. (https://playfab.com/introducing-playstream/)
-// The function is called when a player_statistic_changed PlayStream event causes a player
-// to enter a segment defined for high skill players. It sets a key value in
-// the player's internal data which unlocks some new content for the player.
-handlers.unlockHighSkillContent = function (args, context) {
-    var playerStatUpdatedEvent = context.playStreamEvent;
-    var request = {
-        PlayFabId: currentPlayerId,
-        Data: {
-            "HighSkillContent": "true",
-            "XPAtHighSkillUnlock": playerStatUpdatedEvent.StatisticValue.toString()
-        }
-    };
-    var playerInternalData = server.UpdateUserInternalData(request);
-    log.info('Unlocked HighSkillContent for ' + context.playerProfile.DisplayName);
-    return { profile: context.playerProfile };
-};
-//# sourceMappingURL=cloudscript.js.map
+﻿///////////////////////////////////////////////////////////////////////////////////////////////////////
+//
+// Welcome to your first Cloud Script revision!
+//
+// Cloud Script runs in the PlayFab cloud and has full access to the PlayFab Game Server API
+// (https://api.playfab.com/Documentation/Server), and it runs in the context of a securely
+// authenticated player, so you can use it to implement logic for your game that is safe from
+// client-side exploits.
+//
+// Cloud Script functions can also make web requests to external HTTP
+// endpoints, such as a database or private API for your title, which makes them a flexible
+// way to integrate with your existing backend systems.
+//
+// There are several different options for calling Cloud Script functions:
+//
+// 1) Your game client calls them directly using the "ExecuteCloudScript" API,
+// passing in the function name and arguments in the request and receiving the
+// function return result in the response.
+// (https://api.playfab.com/Documentation/Client/method/ExecuteCloudScript)
+//
+// 2) You create PlayStream event actions that call them when a particular
+// event occurs, passing in the event and associated player profile data.
+// (https://api.playfab.com/playstream/docs)
+//
+// 3) For titles using the Photon Add-on (https://playfab.com/marketplace/photon/),
+// Photon room events trigger webhooks which call corresponding Cloud Script functions.
+//
+// The following examples demonstrate all three options.
+//
+///////////////////////////////////////////////////////////////////////////////////////////////////////
+/*global handlers */
+/*global server */
+/*global http */
+/*global log */
+/*global script */
+/*global currentPlayerId */
+var GAMES_LIST_SUFFIX = '_GamesList';
+
+function getGamesListId(playerId) {
+    'use strict';
+    return String(playerId) + GAMES_LIST_SUFFIX;
+}
+
+// http://stackoverflow.com/a/21273362/1449056
+function undefinedOrNull(variable) {
+    'use strict';
+    return variable === undefined || variable === null;
+}
+
+// checks to see if an object has any properties
+// Returns true for empty objects and false for non-empty objects
+function isEmpty(obj) {
+    'use strict';
+
+    // Object.getOwnPropertyNames(obj).length vs. Object.keys(obj).length
+    // http://stackoverflow.com/a/22658584/1449056
+    return (undefinedOrNull(obj) || Object.getOwnPropertyNames(obj).length === 0);
+}
+
+function createSharedGroup(id) {
+    'use strict';
+    try  {
+        server.CreateSharedGroup({ SharedGroupId: id });
+    } catch (e) {
+        throw e;
+    }
+}
+
+function isString(obj) {
+    'use strict';
+    return (typeof obj === 'string' || obj instanceof String);
+}
+
+function updateSharedGroupData(id, data) {
+    'use strict';
+    var key, values = {};
+    try  {
+        // serialize into a copy, callers keep using 'data' after the update
+        for (key in data) {
+            if (data.hasOwnProperty(key)) {
+                values[key] = (!undefinedOrNull(data[key]) && !isString(data[key])) ? JSON.stringify(data[key]) : data[key];
+            }
+        }
+        server.UpdateSharedGroupData({ SharedGroupId: id, Data: values });
+    } catch (e) {
+        throw e;
+    }
+}
+
+function getSharedGroupData(id, keys) {
+    'use strict';
+    try  {
+        var data = {}, key;
+        if (undefinedOrNull(keys)) {
+            data = server.GetSharedGroupData({ SharedGroupId: id }).Data;
+        } else {
+            data = server.GetSharedGroupData({ SharedGroupId: id, Keys: keys }).Data;
+        }
+        for (key in data) {
+            if (data.hasOwnProperty(key)) {
+                data[key] = JSON.parse(data[key].Value); // 'LastUpdated' and 'Permission' properties are overwritten
+            }
+        }
+        return data;
+    } catch (e) {
+        throw e;
+    }
+}
+
+function deleteSharedGroup(id) {
+    'use strict';
+    try  {
+        server.DeleteSharedGroup({ SharedGroupId: id });
+    } catch (e) {
+        throw e;
+    }
+}
+
+function getSharedGroupEntry(id, key) {
+    'use strict';
+    try  {
+        return getSharedGroupData(id, [key]);
+    } catch (e) {
+        throw e;
+    }
+}
+
+function updateSharedGroupEntry(id, key, value) {
+    'use strict';
+    try  {
+        var data = {};
+        data[key] = value;
+        updateSharedGroupData(id, data);
+    } catch (e) {
+        throw e;
+    }
+}
+
+function deleteSharedGroupEntry(id, key) {
+    'use strict';
+    try  {
+        updateSharedGroupEntry(id, key, null);
+    } catch (e) {
+        throw e;
+    }
+}
+
+function getISOTimestamp() {
+    'use strict';
+    try  {
+        return (new Date()).toISOString();
+    } catch (e) {
+        throw e;
+    }
+}
+
+// Settings kept in title data are read through readTitleDataOnce, at most once per key and execution.
+// Script globals do not outlive an execution, so this cache never serves a value to the next one
+// and title data changes apply from the next execution on.
+var titleDataCache = {};
+
+// The title data 'key', from title internal data when 'internal' is set. 'parse(stored)' turns the
+// stored string (undefined when the key is not set) into the value cached and returned, the
+// string itself is when 'parse' is left out. Nothing is cached when 'parse' throws.
+function readTitleDataOnce(key, internal, parse) {
+    'use strict';
+    var cacheKey = (internal === true ? 'Internal/' : 'Title/') + key, request = { Keys: [key] }, stored;
+    if (!titleDataCache.hasOwnProperty(cacheKey)) {
+        stored = (internal === true ? server.GetTitleInternalData(request) : server.GetTitleData(request)).Data[key];
+        titleDataCache[cacheKey] = undefinedOrNull(parse) ? stored : parse(stored);
+    }
+    return titleDataCache[cacheKey];
+}
+
+// SHA-256 (FIPS 180-4) and HMAC-SHA256 (RFC 2104) for signing, Cloud Script has no crypto module.
+// Strings are hashed as UTF-8, digests are returned as lowercase hex.
+var SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+function utf8Bytes(text) {
+    'use strict';
+    var binary = unescape(encodeURIComponent(text)), bytes = [], i;
+    for (i = 0; i < binary.length; i += 1) {
+        bytes.push(binary.charCodeAt(i));
+    }
+    return bytes;
+}
+
+function bytesToHex(bytes) {
+    'use strict';
+    return bytes.map(function (b) {
+        return (b < 16 ? '0' : '') + b.toString(16);
+    }).join('');
+}
+
+function rotateRight(x, n) {
+    'use strict';
+    return (x >>> n) | (x << (32 - n));
+}
+
+// Digest of an array of byte values, as an array of 32 byte values.
+function sha256Bytes(bytes) {
+    'use strict';
+    var hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19],
+        padded = bytes.slice(), bitLength = bytes.length * 8, w = [], v, chunk, i, s0, s1, t1, t2, digest = [];
+    padded.push(0x80);
+    while (padded.length % 64 !== 56) {
+        padded.push(0);
+    }
+    for (i = 7; i >= 0; i -= 1) {
+        padded.push(i >= 4 ? Math.floor(bitLength / Math.pow(2, 8 * i)) & 0xff : (bitLength >>> (8 * i)) & 0xff);
+    }
+    for (chunk = 0; chunk < padded.length; chunk += 64) {
+        for (i = 0; i < 64; i += 1) {
+            if (i < 16) {
+                w[i] = (padded[chunk + 4 * i] << 24) | (padded[chunk + 4 * i + 1] << 16) | (padded[chunk + 4 * i + 2] << 8) | padded[chunk + 4 * i + 3];
+            } else {
+                s0 = rotateRight(w[i - 15], 7) ^ rotateRight(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                s1 = rotateRight(w[i - 2], 17) ^ rotateRight(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+        }
+        v = hash.slice();
+        for (i = 0; i < 64; i += 1) {
+            s1 = rotateRight(v[4], 6) ^ rotateRight(v[4], 11) ^ rotateRight(v[4], 25);
+            t1 = (v[7] + s1 + ((v[4] & v[5]) ^ (~v[4] & v[6])) + SHA256_K[i] + w[i]) | 0;
+            s0 = rotateRight(v[0], 2) ^ rotateRight(v[0], 13) ^ rotateRight(v[0], 22);
+            t2 = (s0 + ((v[0] & v[1]) ^ (v[0] & v[2]) ^ (v[1] & v[2]))) | 0;
+            v = [(t1 + t2) | 0, v[0], v[1], v[2], (v[3] + t1) | 0, v[4], v[5], v[6]];
+        }
+        for (i = 0; i < 8; i += 1) {
+            hash[i] = (hash[i] + v[i]) | 0;
+        }
+    }
+    for (i = 0; i < 32; i += 1) {
+        digest.push((hash[i >> 2] >>> (24 - 8 * (i % 4))) & 0xff);
+    }
+    return digest;
+}
+
+function sha256(text) {
+    'use strict';
+    return bytesToHex(sha256Bytes(utf8Bytes(text)));
+}
+
+function hmacSha256(key, text) {
+    'use strict';
+    var keyBytes = utf8Bytes(key), inner = [], outer = [], i;
+    if (keyBytes.length > 64) {
+        keyBytes = sha256Bytes(keyBytes);
+    }
+    for (i = 0; i < 64; i += 1) {
+        inner.push((keyBytes[i] || 0) ^ 0x36);
+        outer.push((keyBytes[i] || 0) ^ 0x5c);
+    }
+    return bytesToHex(sha256Bytes(outer.concat(sha256Bytes(inner.concat(utf8Bytes(text))))));
+}
+
+// Compares two signatures without returning at the first differing character.
+function signaturesEqual(a, b) {
+    'use strict';
+    var diff = 0, i;
+    if (!isString(a) || !isString(b) || a.length !== b.length) {
+        return false;
+    }
+    for (i = 0; i < a.length; i += 1) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+// ResultCode values returned to Photon:
+// 0 OK, 1 missing argument, 2 invalid argument or state, 3 caller identity mismatch,
+// 4 room environment mismatch, 5 room not found, 6 actor count mismatch, 7 room state revision conflict, 8 rate limit exceeded,
+// 9 unauthenticated request (AppId not allowed or bad signature), -1 unexpected error.
+function PhotonException(code, msg, timestamp, data) {
+    'use strict';
+    this.ResultCode = code;
+    this.Message = msg;
+    this.Timestamp = timestamp;
+    this.Data = data;
+    //this.Stack = (new Error()).stack;
+}
+
+PhotonException.prototype = Object.create(Error.prototype);
+PhotonException.prototype.constructor = PhotonException;
+
+// Error journal
+//
+// Handler failures are recorded in a dedicated shared group instead of title data.
+// Records are grouped under one key per day and handler ('2017-04-21/RoomJoined'),
+// each key keeps only its latest MaxEntriesPerKey records, within MaxKeyLength characters
+// of JSON to stay under the shared group value size limit, and keys older than
+// RetentionDays are dropped when a new key is started. 'Index' lists the live keys.
+// Values under RedactedKeys (AuthCookie signatures, attempt tokens) are never stored.
+// Journaling is best effort: it costs 2 or 3 API calls, concurrent failures of one handler
+// can overwrite each other's record, and a failed write is only logged.
+var ERROR_JOURNAL = {
+    SharedGroupId: '_ErrorJournal',
+    IndexKey: 'Index',
+    MaxEntriesPerKey: 20,
+    MaxKeyLength: 8000,
+    RetentionDays: 7,
+    MaxDataLength: 1024,
+    RedactedKeys: ['AuthCookie', 'Signature', 'attemptToken'],
+    // title internal data key holding the JSON array of PlayFab IDs allowed to read and clear the journal
+    AdminsKey: 'ErrorJournalAdmins'
+};
+
+function getErrorJournalKey(timestamp, handler) {
+    'use strict';
+    return timestamp.substring(0, 10) + '/' + handler;
+}
+
+function readErrorJournal(keys) {
+    'use strict';
+    try  {
+        return getSharedGroupData(ERROR_JOURNAL.SharedGroupId, keys);
+    } catch (e) {
+        if (!undefinedOrNull(e.Error) && e.Error.error === "InvalidSharedGroupId") {
+            return null;
+        }
+        throw e;
+    }
+}
+
+// Copy of 'value' with the values of ERROR_JOURNAL.RedactedKeys replaced, at any depth.
+function redactJournalData(value) {
+    'use strict';
+    var copy, key;
+    if (getSchemaType(value) === 'array') {
+        return value.map(redactJournalData);
+    }
+    if (undefinedOrNull(value) || typeof value !== 'object') {
+        return value;
+    }
+    copy = {};
+    for (key in value) {
+        if (value.hasOwnProperty(key)) {
+            copy[key] = ERROR_JOURNAL.RedactedKeys.indexOf(key) > -1 ? '[redacted]' : redactJournalData(value[key]);
+        }
+    }
+    return copy;
+}
+
+// Keeps journal records small, Data may hold a whole webhook and room state.
+function truncateJournalData(data) {
+    'use strict';
+    var json = JSON.stringify(redactJournalData(data));
+    if (!undefinedOrNull(json) && json.length > ERROR_JOURNAL.MaxDataLength) {
+        return { Truncated: true, Json: json.substring(0, ERROR_JOURNAL.MaxDataLength) };
+    }
+    return undefinedOrNull(json) ? data : JSON.parse(json);
+}
+
+function writeErrorJournal(entry) {
+    'use strict';
+    var key = getErrorJournalKey(entry.Timestamp, entry.Handler), stored, records, index, update = {}, oldestDay;
+    try  {
+        stored = readErrorJournal([key, ERROR_JOURNAL.IndexKey]);
+        if (stored === null) {
+            createSharedGroup(ERROR_JOURNAL.SharedGroupId);
+            stored = {};
+        }
+        records = stored[key] || [];
+        records.push(entry);
+        records = records.slice(-ERROR_JOURNAL.MaxEntriesPerKey);
+        while (records.length > 1 && JSON.stringify(records).length > ERROR_JOURNAL.MaxKeyLength) {
+            records.shift();
+        }
+        update[key] = records;
+        index = stored[ERROR_JOURNAL.IndexKey] || [];
+        if (index.indexOf(key) === -1) {
+            oldestDay = new Date(Date.parse(entry.Timestamp) - (ERROR_JOURNAL.RetentionDays - 1) * 86400000).toISOString().substring(0, 10);
+            update[ERROR_JOURNAL.IndexKey] = index.filter(function (journalKey) {
+                if (journalKey < oldestDay) {
+                    update[journalKey] = null;
+                    return false;
+                }
+                return true;
+            }).concat([key]);
+        }
+        updateSharedGroupData(ERROR_JOURNAL.SharedGroupId, update);
+    } catch (e) {
+        // never let journaling hide the error being reported
+        log.error('Error journal write failed', { Entry: entry, Error: e.Error || e.message });
+    }
+}
+
+// Records 'e' thrown by handler 'handler' while processing 'args'.
+// PhotonExceptions are expected rejections (Warning), anything else is an Error.
+// Never throws: a record that can't be built is logged with the original message instead.
+function journalException(handler, e, args) {
+    'use strict';
+    var isPhoton = e instanceof PhotonException, message = isPhoton ? e.Message : e.name + ': ' + e.message, entry;
+    args = args || {};
+    try  {
+        entry = {
+            Timestamp: isPhoton && isString(e.Timestamp) ? e.Timestamp : getISOTimestamp(),
+            Severity: isPhoton ? 'Warning' : 'Error',
+            Handler: handler,
+            GameId: args.GameId,
+            UserId: undefinedOrNull(args.UserId) ? currentPlayerId : args.UserId,
+            ResultCode: isPhoton ? e.ResultCode : -1,
+            Message: message,
+            Data: truncateJournalData(isPhoton ? e.Data : e.Error)
+        };
+    } catch (journalError) {
+        log.error('Error journal record failed for ' + handler + ': ' + message, { Error: journalError.message });
+        return;
+    }
+    writeErrorJournal(entry);
+}
+
+// Journals 'e' and turns it into the { ResultCode, Message } answer expected by Photon.
+function getErrorResult(handler, e, args) {
+    'use strict';
+    journalException(handler, e, args);
+    if (e instanceof PhotonException) {
+        return { ResultCode: e.ResultCode, Message: e.Message };
+    }
+    return { ResultCode: -1, Message: e.name + ': ' + e.message };
+}
+
+function checkErrorJournalAccess() {
+    'use strict';
+    var admins = server.GetTitleInternalData({ Keys: [ERROR_JOURNAL.AdminsKey] }).Data[ERROR_JOURNAL.AdminsKey];
+    if (undefinedOrNull(admins) || JSON.parse(admins).indexOf(currentPlayerId) === -1) {
+        throw new ClientError('Unauthorized', 'currentPlayerId=' + currentPlayerId + ' is not allowed to access the error journal');
+    }
+}
+
+var ErrorJournalFilterArgs = {
+    Day: { type: 'string' },
+    Handler: { type: 'string' }
+};
+
+// Journal keys matching the optional args.Day ('YYYY-MM-DD') and args.Handler filters, oldest first.
+function getErrorJournalKeys(args) {
+    'use strict';
+    var stored = readErrorJournal([ERROR_JOURNAL.IndexKey]);
+    if (stored === null || undefinedOrNull(stored[ERROR_JOURNAL.IndexKey])) {
+        return [];
+    }
+    return stored[ERROR_JOURNAL.IndexKey].filter(function (key) {
+        var separator = key.indexOf('/');
+        return (undefinedOrNull(args.Day) || key.substring(0, separator) === args.Day) &&
+            (undefinedOrNull(args.Handler) || key.substring(separator + 1) === args.Handler);
+    }).sort();
+}
+
+// Lists journal records, newest first.
+// args: Day, Handler, Severity, GameId, UserId filters, Offset (0) and Limit (50, at most 200) for paging.
+registerClientHandler('GetErrorJournal', {
+    args: {
+        fields: {
+            Day: ErrorJournalFilterArgs.Day,
+            Handler: ErrorJournalFilterArgs.Handler,
+            Severity: { type: 'string' },
+            GameId: { type: 'string' },
+            UserId: { type: 'string' },
+            Offset: { type: 'number', min: 0 },
+            Limit: { type: 'number', min: 1 }
+        }
+    }
+}, function (args, context) {
+    'use strict';
+    var keys, stored, entries = [], offset, limit, i;
+    checkErrorJournalAccess();
+    keys = getErrorJournalKeys(args);
+    stored = keys.length > 0 ? readErrorJournal(keys) : {};
+    for (i = 0; i < keys.length; i += 1) {
+        entries = entries.concat(stored[keys[i]] || []);
+    }
+    entries = entries.filter(function (entry) {
+        return (undefinedOrNull(args.Severity) || entry.Severity === args.Severity) &&
+            (undefinedOrNull(args.GameId) || entry.GameId === args.GameId) &&
+            (undefinedOrNull(args.UserId) || entry.UserId === args.UserId);
+    }).sort(function (a, b) {
+        return a.Timestamp < b.Timestamp ? 1 : (a.Timestamp > b.Timestamp ? -1 : 0);
+    });
+    offset = args.Offset || 0;
+    limit = Math.min(200, args.Limit || 50);
+    return { Total: entries.length, Offset: offset, Entries: entries.slice(offset, offset + limit) };
+});
+
+// Removes journal keys matching the optional args.Day and args.Handler filters, everything when none is given.
+registerClientHandler('ClearErrorJournal', { args: { fields: ErrorJournalFilterArgs } }, function (args, context) {
+    'use strict';
+    var keys, remaining, update = {};
+    checkErrorJournalAccess();
+    keys = getErrorJournalKeys(args);
+    if (keys.length > 0) {
+        remaining = getErrorJournalKeys({}).filter(function (key) {
+            return keys.indexOf(key) === -1;
+        });
+        keys.forEach(function (key) {
+            update[key] = null;
+        });
+        update[ERROR_JOURNAL.IndexKey] = remaining;
+        updateSharedGroupData(ERROR_JOURNAL.SharedGroupId, update);
+    }
+    return { Removed: keys };
+});
+
+var LeaveReason = {
+    ClientDisconnect: '0', ClientTimeoutDisconnect: '1', ManagedDisconnect: '2', ServerDisconnect: '3', TimeoutDisconnect: '4', ConnectTimeout: '5',
+    SwitchRoom: '100', LeaveRequest: '101', PlayerTtlTimedOut: '102', PeerLastTouchTimedout: '103', PluginRequest: '104', PluginFailedJoin: '105'
+};
+
+// Photon webhook and WebRPC argument schemas.
+// A schema has 'fields', each with a rule:
+//   type     'string', 'number', 'boolean', 'object' or 'array'
+//   required missing (undefined or null) values are reported with ResultCode 1
+//   equals, oneOf, min   value constraints, reported with ResultCode 2 and 'message' if set
+//   fields   nested schema for object values
+//   values   rule every property of an object value must satisfy, for maps keyed by name
+// 'checks' are functions (args) returning a violation or null for rules spanning several fields,
+// and 'rejected' refuses the webhook Type altogether.
+// Webhooks are validated against Common, then Actor (or Room for Save and Close), then the schema
+// named after args.Type. PhotonSchemaVersions overrides rules per WebhooksVersion, e.g. to relax a
+// field with { required: false }.
+function schemaViolation(code, path, rule, message, expected, actual) {
+    'use strict';
+    var violation = { Code: code, Path: path, Rule: rule, Message: message };
+    if (!undefinedOrNull(expected)) {
+        violation.Expected = expected;
+        violation.Actual = actual;
+    }
+    return violation;
+}
+
+// Binds UserId to the PlayFab caller, calls without a currentPlayerId are refused.
+function checkCurrentPlayer(args) {
+    'use strict';
+    if (undefinedOrNull(args.UserId)) {
+        return null;
+    }
+    if (undefinedOrNull(currentPlayerId)) {
+        return schemaViolation(3, 'UserId', 'identity', 'currentPlayerId is not set');
+    }
+    if (args.UserId !== currentPlayerId) {
+        return schemaViolation(3, 'UserId', 'identity', 'currentPlayerId=' + currentPlayerId + ' does not match UserId');
+    }
+    return null;
+}
+
+// PlayFab leaves currentPlayerId undefined for RoomPropertyUpdated webhooks (Type Game or Player),
+// there is no caller identity to bind UserId to then. RoomClosed has no UserId to check.
+function checkWebhookPlayer(args) {
+    'use strict';
+    if (undefinedOrNull(currentPlayerId) && (args.Type === 'Game' || args.Type === 'Player')) {
+        return null;
+    }
+    return checkCurrentPlayer(args);
+}
+
+function checkActorList(args) {
+    'use strict';
+    if (!undefinedOrNull(args.State2) && !undefinedOrNull(args.State2.ActorList) && args.State2.ActorList.length !== args.ActorCount) {
+        return schemaViolation(2, 'State2.ActorList', 'value', 'ActorCount does not match ActorList.count', args.ActorCount, args.State2.ActorList.length);
+    }
+    return null;
+}
+
+var PhotonSchemas = {
+    Common: {
+        fields: {
+            AppId: { type: 'string', required: true },
+            AppVersion: { type: 'string', required: true },
+            Region: { type: 'string', required: true },
+            GameId: { type: 'string', required: true },
+            Type: { type: 'string', required: true }
+        }
+    },
+    Actor: {
+        fields: {
+            ActorNr: { type: 'number', required: true },
+            UserId: { type: 'string', required: true }
+        },
+        checks: [checkWebhookPlayer]
+    },
+    Room: {
+        fields: {
+            ActorCount: { type: 'number', required: true },
+            State2: { type: 'object', fields: { ActorList: { type: 'array' } } }
+        },
+        checks: [checkActorList]
+    },
+    Create: {
+        fields: {
+            ActorNr: { type: 'number', equals: 1, message: 'ActorNr != 1 and Type == Create' },
+            CreateOptions: {
+                type: 'object',
+                required: true,
+                fields: {
+                    MaxPlayers: { type: 'number' },
+                    PlayerTTL: { type: 'number' },
+                    EmptyRoomTTL: { type: 'number' },
+                    CheckUserOnJoin: { type: 'boolean' }
+                }
+            }
+        }
+    },
+    Load: {
+        fields: {
+            CreateIfNotExists: { type: 'boolean', required: true }
+        }
+    },
+    Join: {
+        fields: {}
+    },
+    Player: {
+        fields: {
+            TargetActor: { type: 'number', required: true },
+            Properties: { type: 'object', required: true },
+            State: { type: 'object' }
+        }
+    },
+    Game: {
+        fields: {
+            Properties: { type: 'object', required: true },
+            State: { type: 'object' }
+        }
+    },
+    Event: {
+        fields: {
+            Data: { required: true },
+            State: { type: 'object' }
+        }
+    },
+    Save: {
+        fields: {
+            State: { type: 'object', required: true },
+            ActorCount: { type: 'number', min: 1, message: 'ActorCount <= 0 and Type == Save' }
+        }
+    },
+    Close: {
+        fields: {
+            ActorCount: { type: 'number', equals: 0, message: 'ActorCount != 0 and Type == Close' }
+        }
+    },
+    Leave: {
+        rejected: 'Deprecated forward plugin webhook!'
+    }
+};
+
+// WebRPCs are validated against Common, then the schema named after the WebRPC, if any.
+var WebRpcSchemas = {
+    Common: {
+        fields: {
+            AppId: { type: 'string', required: true },
+            AppVersion: { type: 'string', required: true },
+            Region: { type: 'string', required: true },
+            UserId: { type: 'string', required: true }
+        },
+        checks: [checkCurrentPlayer]
+    },
+    GetGameList: {
+        fields: {
+            PageSize: { type: 'number', min: 1 },
+            Cursor: { type: 'string' },
+            SortBy: { type: 'string', oneOf: ['Creation', 'LastSave'] },
+            Filter: {
+                type: 'object',
+                fields: {
+                    Creator: { type: 'string' },
+                    AppVersion: { type: 'string' },
+                    Region: { type: 'string' },
+                    CustomProperties: { type: 'object' }
+                }
+            }
+        }
+    },
+    SubmitTurn: {
+        fields: {
+            GameId: { type: 'string', required: true },
+            TurnNumber: { type: 'number', required: true, min: 1 },
+            Data: { type: 'object' },
+            Forfeit: { type: 'boolean' }
+        }
+    },
+    GetMatch: {
+        fields: {
+            GameId: { type: 'string', required: true }
+        }
+    },
+    InviteToGame: {
+        fields: {
+            GameId: { type: 'string', required: true },
+            InviteeId: { type: 'string', required: true }
+        }
+    },
+    AcceptInvite: {
+        fields: {
+            GameId: { type: 'string', required: true }
+        }
+    },
+    DeclineInvite: {
+        fields: {
+            GameId: { type: 'string', required: true }
+        }
+    }
+};
+
+// Photon sends one leave webhook Type per LeaveReason name, with the matching code in args.Reason.
+(function () {
+    'use strict';
+    var unexpected = [LeaveReason.ClientTimeoutDisconnect, LeaveReason.SwitchRoom, LeaveReason.PeerLastTouchTimedout, LeaveReason.PluginFailedJoin],
+        name;
+    for (name in LeaveReason) {
+        if (LeaveReason.hasOwnProperty(name)) {
+            PhotonSchemas[name] = {
+                fields: {
+                    IsInactive: { type: 'boolean', required: true },
+                    Reason: { type: 'string', required: true, equals: LeaveReason[name], message: 'Reason code does not match Leave Type string' }
+                },
+                rejected: unexpected.indexOf(LeaveReason[name]) > -1 ? 'Unexpected LeaveReason' : undefined
+            };
+        }
+    }
+}());
+
+// 1.0 webhooks carry Username and always forward the room State,
+// 1.2 webhooks renamed Username to Nickname and only send State when configured to.
+var PhotonSchemaVersions = {
+    '1.0': {
+        Actor: { fields: { Username: { type: 'string', required: true } } },
+        Player: { fields: { State: { type: 'object', required: true } } },
+        Game: { fields: { State: { type: 'object', required: true } } },
+        Event: { fields: { State: { type: 'object', required: true } } }
+    },
+    '1.2': {
+        Actor: { fields: { Nickname: { type: 'string', required: true } } }
+    }
+};
+
+function getWebhooksVersion(args) {
+    'use strict';
+    return undefinedOrNull(args.Nickname) ? '1.0' : '1.2';
+}
+
+// Returns the schema 'name' with the overrides of 'version' applied.
+function getPhotonSchema(name, version) {
+    'use strict';
+    var base = PhotonSchemas[name], override = (PhotonSchemaVersions[version] || {})[name], schema, field;
+    if (undefinedOrNull(base) || undefinedOrNull(override)) {
+        return base;
+    }
+    schema = { fields: {}, checks: (base.checks || []).concat(override.checks || []), rejected: base.rejected };
+    for (field in base.fields) {
+        if (base.fields.hasOwnProperty(field)) {
+            schema.fields[field] = base.fields[field];
+        }
+    }
+    for (field in override.fields) {
+        if (override.fields.hasOwnProperty(field)) {
+            schema.fields[field] = override.fields[field];
+        }
+    }
+    return schema;
+}
+
+function getSchemaType(value) {
+    'use strict';
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+function validateFields(fields, value, path, violations) {
+    'use strict';
+    var name, rule, fieldPath, fieldValue, fieldType;
+    for (name in fields) {
+        if (fields.hasOwnProperty(name)) {
+            rule = fields[name];
+            fieldPath = path + name;
+            fieldValue = value[name];
+            fieldType = getSchemaType(fieldValue);
+            if (undefinedOrNull(fieldValue)) {
+                if (rule.required === true) {
+                    violations.push(schemaViolation(1, fieldPath, 'required', 'Missing argument: ' + fieldPath));
+                }
+            } else if (!undefinedOrNull(rule.type) && fieldType !== rule.type) {
+                violations.push(schemaViolation(2, fieldPath, 'type', 'Wrong type: ' + fieldPath + ' is ' + fieldType + ' instead of ' + rule.type, rule.type, fieldType));
+            } else if (rule.hasOwnProperty('equals') && fieldValue !== rule.equals) {
+                violations.push(schemaViolation(2, fieldPath, 'equals', rule.message || 'Wrong value: ' + fieldPath + ' != ' + rule.equals, rule.equals, fieldValue));
+            } else if (!undefinedOrNull(rule.oneOf) && rule.oneOf.indexOf(fieldValue) === -1) {
+                violations.push(schemaViolation(2, fieldPath, 'oneOf', rule.message || 'Wrong value: ' + fieldPath + ' is not one of ' + rule.oneOf.join(', '), rule.oneOf, fieldValue));
+            } else if (rule.hasOwnProperty('min') && fieldValue < rule.min) {
+                violations.push(schemaViolation(2, fieldPath, 'min', rule.message || 'Wrong value: ' + fieldPath + ' < ' + rule.min, rule.min, fieldValue));
+            } else if (!undefinedOrNull(rule.fields)) {
+                validateFields(rule.fields, fieldValue, fieldPath + '.', violations);
+            } else if (!undefinedOrNull(rule.values)) {
+                validateFields(Object.keys(fieldValue).reduce(function (each, key) {
+                    each[key] = rule.values;
+                    return each;
+                }, {}), fieldValue, fieldPath + '.', violations);
+            }
+        }
+    }
+}
+
+// Appends every violation of 'schema' by 'args' to 'violations'.
+function validateSchema(schema, args, violations) {
+    'use strict';
+    var i, violation;
+    if (!undefinedOrNull(schema.rejected)) {
+        violations.push(schemaViolation(2, 'Type', 'rejected', schema.rejected));
+        return;
+    }
+    validateFields(schema.fields || {}, args, '', violations);
+    for (i = 0; !undefinedOrNull(schema.checks) && i < schema.checks.length; i += 1) {
+        violation = schema.checks[i](args);
+        if (!undefinedOrNull(violation)) {
+            violations.push(violation);
+        }
+    }
+}
+
+// The first violation decides the ResultCode, all of them are kept in the exception data.
+function throwViolations(violations, timestamp, args) {
+    'use strict';
+    if (violations.length > 0) {
+        throw new PhotonException(violations[0].Code, violations.map(function (v) {
+            return v.Message;
+        }).join('; '), timestamp, { Webhook: args, Violations: violations });
+    }
+}
+
+function checkWebhookArgs(args, timestamp) {
+    'use strict';
+    var version = getWebhooksVersion(args), violations = [];
+    validateSchema(getPhotonSchema('Common', version), args, violations);
+    if (isString(args.Type)) {
+        if (!PhotonSchemas.hasOwnProperty(args.Type) || ['Common', 'Actor', 'Room'].indexOf(args.Type) > -1) {
+            violations.push(schemaViolation(2, 'Type', 'rejected', 'Unexpected Type:' + args.Type));
+        } else {
+            validateSchema(getPhotonSchema(args.Type === 'Close' || args.Type === 'Save' ? 'Room' : 'Actor', version), args, violations);
+            validateSchema(getPhotonSchema(args.Type, version), args, violations);
+        }
+    }
+    throwViolations(violations, timestamp, args);
+    authenticatePhotonRequest(args, timestamp, false);
+}
+
+// 'name' optionally selects the WebRpcSchemas entry of the WebRPC for its own parameters.
+function checkWebRpcArgs(args, timestamp, name) {
+    'use strict';
+    var violations = [];
+    validateSchema(WebRpcSchemas.Common, args, violations);
+    if (!undefinedOrNull(name)) {
+        validateSchema(WebRpcSchemas[name], args, violations);
+    }
+    throwViolations(violations, timestamp, args);
+    authenticatePhotonRequest(args, timestamp, true);
+}
+
+// Photon request authentication
+//
+// Webhooks and WebRPCs with valid arguments are then checked against the title data PHOTON_AUTH.SettingsKey:
+//   { "AppIds": ["<Photon AppId>"], "RequireSignature": true }
+// Only the Photon applications in AppIds may call, any AppId is accepted when it is not set.
+// Calls can be signed by the custom authentication service of the title: it hands out an AuthCookie
+// with a Signature, the HMAC-SHA256 of "<AppId>\n<UserId>" keyed with the title internal data
+// PHOTON_AUTH.SecretKey, and Photon forwards the AuthCookie with WebRPCs and with the webhooks of
+// events and properties sent with WebFlags.SendAuthCookie. A Signature that is there is always verified,
+// RequireSignature makes it mandatory for WebRPCs (other webhooks never carry the AuthCookie).
+// Calls failing these checks, or any call when the settings can't be trusted, get ResultCode 9.
+// Leave, Close and Save webhooks are the exception to the latter: with broken settings they are
+// let through unchecked and logged, so rooms are still saved and cleaned up meanwhile.
+var PHOTON_AUTH = {
+    SettingsKey: 'PhotonAuth',
+    SecretKey: 'PhotonAuthSecret'
+};
+
+var PhotonAuthSchema = {
+    fields: {
+        AppIds: { type: 'array' },
+        RequireSignature: { type: 'boolean' }
+    }
+};
+
+function validatePhotonAuthSettings(settings) {
+    'use strict';
+    var violations = [];
+    if (undefinedOrNull(settings) || getSchemaType(settings) !== 'object') {
+        return [schemaViolation(9, '', 'type', 'Wrong type: settings are ' + getSchemaType(settings) + ' instead of object', 'object', getSchemaType(settings))];
+    }
+    validateFields(PhotonAuthSchema.fields, settings, '', violations);
+    if (violations.length === 0 && !undefinedOrNull(settings.AppIds) && !settings.AppIds.every(isString)) {
+        violations.push(schemaViolation(9, 'AppIds', 'type', 'Wrong type: AppIds are not all strings'));
+    }
+    return violations;
+}
+
+// Unlike the game rules, broken settings are not replaced with defaults: calls are refused until they are fixed.
+function getPhotonAuthSettings(timestamp) {
+    'use strict';
+    return readTitleDataOnce(PHOTON_AUTH.SettingsKey, false, function (stored) {
+        var settings, violations;
+        if (undefinedOrNull(stored)) {
+            return {};
+        }
+        try  {
+            settings = JSON.parse(stored);
+        } catch (e) {
+            throw new PhotonException(9, 'Invalid ' + PHOTON_AUTH.SettingsKey + ' title data', timestamp, { Error: String(e) });
+        }
+        violations = validatePhotonAuthSettings(settings);
+        if (violations.length > 0) {
+            throw new PhotonException(9, 'Invalid ' + PHOTON_AUTH.SettingsKey + ' title data', timestamp, { Violations: violations });
+        }
+        return settings;
+    });
+}
+
+function getPhotonSignature(secret, appId, userId) {
+    'use strict';
+    return hmacSha256(secret, [appId, userId].join('\n'));
+}
+
+// 'webRpc' tells WebRPCs, which RequireSignature applies to, from webhooks.
+function authenticatePhotonRequest(args, timestamp, webRpc) {
+    'use strict';
+    var settings, signature = undefinedOrNull(args.AuthCookie) ? undefined : args.AuthCookie.Signature, secret;
+    try  {
+        settings = getPhotonAuthSettings(timestamp);
+    } catch (e) {
+        if (webRpc || !(args.Type === 'Close' || args.Type === 'Save' || LeaveReason.hasOwnProperty(args.Type))) {
+            throw e;
+        }
+        log.error('Room=' + args.GameId + ' ' + args.Type + ' webhook not authenticated: ' + e.Message, e.Data);
+        return;
+    }
+    if (!undefinedOrNull(settings.AppIds) && settings.AppIds.indexOf(args.AppId) === -1) {
+        throw new PhotonException(9, 'AppId=' + args.AppId + ' is not allowed', timestamp, { Webhook: args });
+    }
+    if (undefinedOrNull(signature) && !(webRpc && settings.RequireSignature === true)) {
+        return;
+    }
+    secret = readTitleDataOnce(PHOTON_AUTH.SecretKey, true);
+    if (undefinedOrNull(secret)) {
+        throw new PhotonException(9, 'Signature can not be verified, ' + PHOTON_AUTH.SecretKey + ' is not set', timestamp, { Webhook: args });
+    }
+    if (undefinedOrNull(signature)) {
+        throw new PhotonException(9, 'Missing AuthCookie.Signature', timestamp, { Webhook: args });
+    }
+    if (!signaturesEqual(signature, getPhotonSignature(secret, args.AppId, args.UserId))) {
+        throw new PhotonException(9, 'Wrong AuthCookie.Signature', timestamp, { Webhook: args });
+    }
+}
+
+// Game rules
+//
+// Tunables of the game handlers are kept in the title data key GAME_RULES_KEY as a JSON document:
+//   {
+//     "PlayerMove": { "CooldownSeconds": 15, "TurnOrder": true, "Board": { "Width": 8, "Height": 8 }, "MaxStep": 1 },
+//     "Statistics": { "Level": "Level", "MonsterKills": "level_monster_kills", "MovesMade": "movesMade" },
+//     "Levels": { "MaxKills": 100, "MinSeconds": 10, "Order": ["forest", "cave"], "PerLevel": { "cave": { "MaxKills": 250 } }, "MaxHistory": 50 },
+//     "AntiCheat": { "Tag": "SuspectedCheater", "MaxFlags": 20 },
+//     "Match": { "TurnTimeoutSeconds": 86400, "OnTimeout": "Skip", "MaxHistory": 50, "Notify": true },
+//     "Invites": { "ExpirySeconds": 604800 },
+//     "RoomEvents": { "MaxCount": 20, "MaxAgeDays": 30, "Archive": true, "ArchiveMaxCount": 100 },
+//     "Env": { "AppId": "Reject", "AppVersion": "Migrate", "Region": "Allow", "CloudScriptRevision": "Allow", "WebhooksVersion": "Allow" },
+//     "Endpoints": { "HttpExample": "http://httpbin.org/status/200" },
+//     "AppVersions": { "1.2": { "PlayerMove": { "CooldownSeconds": 10 } } }
+//   }
+// Settings left out keep their GameRulesDefaults value and the "AppVersions" entry matching the
+// AppVersion of the room, or of the Photon webhook or WebRPC, is merged over the rest. Client
+// handlers get the rules without any AppVersions entry: a client could otherwise claim the
+// version with the loosest limits. The document is read at most once per execution;
+// when it does not parse or breaks GameRulesSchema the defaults apply and the problem is logged.
+var GAME_RULES_KEY = 'GameRules';
+
+var GameRulesDefaults = {
+    PlayerMove: { CooldownSeconds: 15, TurnOrder: true, Board: { Width: 8, Height: 8 }, MaxStep: 1 },
+    Statistics: { Level: 'Level', MonsterKills: 'level_monster_kills', MovesMade: 'movesMade' },
+    MakeAPICall: { Level: 2 },
+    Levels: { MaxKills: 100, MinSeconds: 10, Order: [], PerLevel: {}, MaxHistory: 50 },
+    AntiCheat: { Tag: 'SuspectedCheater', MaxFlags: 20 },
+    Match: { TurnTimeoutSeconds: 86400, OnTimeout: 'Skip', MaxHistory: 50, Notify: true },
+    Invites: { ExpirySeconds: 604800 },
+    RoomEvents: { MaxCount: 20, MaxAgeDays: 30, Archive: true, ArchiveMaxCount: 100 },
+    Env: { AppId: 'Reject', AppVersion: 'Allow', Region: 'Allow', CloudScriptRevision: 'Allow', WebhooksVersion: 'Allow' },
+    Endpoints: { HttpExample: 'http://httpbin.org/status/200' }
+};
+
+var GameRulesSchema = {
+    fields: {
+        PlayerMove: {
+            type: 'object',
+            fields: {
+                CooldownSeconds: { type: 'number', min: 0 },
+                TurnOrder: { type: 'boolean' },
+                Board: { type: 'object', fields: { Width: { type: 'number', min: 1 }, Height: { type: 'number', min: 1 } } },
+                MaxStep: { type: 'number', min: 0 }
+            }
+        },
+        Statistics: {
+            type: 'object',
+            fields: { Level: { type: 'string' }, MonsterKills: { type: 'string' }, MovesMade: { type: 'string' } }
+        },
+        MakeAPICall: { type: 'object', fields: { Level: { type: 'number' } } },
+        Levels: {
+            type: 'object',
+            fields: {
+                MaxKills: { type: 'number', min: 0 },
+                MinSeconds: { type: 'number', min: 0 },
+                Order: { type: 'array' },
+                PerLevel: {
+                    type: 'object',
+                    values: { type: 'object', fields: { MaxKills: { type: 'number', min: 0 }, MinSeconds: { type: 'number', min: 0 } } }
+                },
+                MaxHistory: { type: 'number', min: 1 }
+            }
+        },
+        AntiCheat: { type: 'object', fields: { Tag: { type: 'string' }, MaxFlags: { type: 'number', min: 1 } } },
+        Match: {
+            type: 'object',
+            fields: {
+                TurnTimeoutSeconds: { type: 'number', min: 0 },
+                OnTimeout: { type: 'string', oneOf: ['Skip', 'Forfeit'] },
+                MaxHistory: { type: 'number', min: 1 },
+                Notify: { type: 'boolean' }
+            }
+        },
+        Invites: { type: 'object', fields: { ExpirySeconds: { type: 'number', min: 1 } } },
+        RoomEvents: {
+            type: 'object',
+            fields: {
+                MaxCount: { type: 'number', min: 1 },
+                MaxAgeDays: { type: 'number', min: 0 },
+                Archive: { type: 'boolean' },
+                ArchiveMaxCount: { type: 'number', min: 1 }
+            }
+        },
+        Env: { type: 'object', values: { type: 'string', oneOf: ['Reject', 'Allow', 'Migrate'] } },
+        Endpoints: { type: 'object', values: { type: 'string' } },
+        AppVersions: { type: 'object' }
+    }
+};
+
+function validateGameRules(rules) {
+    'use strict';
+    var violations = [], version, override;
+    if (undefinedOrNull(rules) || getSchemaType(rules) !== 'object') {
+        return [schemaViolation(2, '', 'type', 'Wrong type: rules are ' + getSchemaType(rules) + ' instead of object', 'object', getSchemaType(rules))];
+    }
+    validateFields(GameRulesSchema.fields, rules, '', violations);
+    for (version in rules.AppVersions) {
+        if (rules.AppVersions.hasOwnProperty(version)) {
+            override = rules.AppVersions[version];
+            if (undefinedOrNull(override) || getSchemaType(override) !== 'object') {
+                violations.push(schemaViolation(2, 'AppVersions.' + version, 'type', 'Wrong type: AppVersions.' + version + ' is not an object', 'object', getSchemaType(override)));
+            } else {
+                validateFields(GameRulesSchema.fields, override, 'AppVersions.' + version + '.', violations);
+            }
+        }
+    }
+    return violations;
+}
+
+function loadGameRules() {
+    'use strict';
+    return readTitleDataOnce(GAME_RULES_KEY, false, function (stored) {
+        var rules, violations;
+        if (undefinedOrNull(stored)) {
+            return {};
+        }
+        try  {
+            rules = JSON.parse(stored);
+        } catch (e) {
+            log.error('Could not load ' + GAME_RULES_KEY + ' title data, using defaults', { Error: String(e) });
+            return {};
+        }
+        violations = validateGameRules(rules);
+        if (violations.length > 0) {
+            log.error('Invalid ' + GAME_RULES_KEY + ' title data, using defaults', { Violations: violations });
+            return {};
+        }
+        return rules;
+    });
+}
+
+// Copies the settings of 'source' over 'target', nested objects are merged rather than replaced.
+function mergeGameRules(target, source) {
+    'use strict';
+    var key;
+    for (key in source) {
+        if (source.hasOwnProperty(key) && key !== 'AppVersions') {
+            if (!undefinedOrNull(source[key]) && getSchemaType(source[key]) === 'object') {
+                target[key] = mergeGameRules(undefinedOrNull(target[key]) ? {} : target[key], source[key]);
+            } else {
+                target[key] = source[key];
+            }
+        }
+    }
+    return target;
+}
+
+// Returns the effective rules for clients of 'appVersion' (optional).
+// 'appVersion' must come from Photon or a stored room, never from client handler args.
+function getGameRules(appVersion) {
+    'use strict';
+    var document = loadGameRules(), rules = mergeGameRules(mergeGameRules({}, GameRulesDefaults), document);
+    if (!undefinedOrNull(appVersion) && !undefinedOrNull(document.AppVersions) && document.AppVersions.hasOwnProperty(appVersion)) {
+        mergeGameRules(rules, document.AppVersions[appVersion]);
+    }
+    return rules;
+}
+
+// The rules of the AppVersion the room 'data' was created (or last loaded) with.
+function getRoomGameRules(data) {
+    'use strict';
+    return getGameRules(undefinedOrNull(data.Env) ? undefined : data.Env.AppVersion);
+}
+
+// Outbound HTTP
+//
+// httpRequest(options) wraps the http global:
+//   options.url, options.method   'get' by default
+//   options.body                  sent as JSON unless options.contentType says otherwise
+//   options.headers               extra request headers
+//   options.json                  parse the response as JSON, true by default
+//   options.retries               attempts after a failure, for idempotent methods (or options.idempotent)
+//                                 only and capped at HTTP_CLIENT.MaxRetries
+//   options.sign                  add HTTP_CLIENT.SignatureHeader, the HMAC-SHA256 of
+//                                 "<timestamp>\n<METHOD>\n<url>\n<body>" keyed with the title internal data
+//                                 HTTP_CLIENT.SecretKey, and the timestamp in HTTP_CLIENT.TimestampHeader
+// Only hosts listed in the title internal data HTTP_CLIENT.AllowedHostsKey (a JSON array where
+// "*.example.com" covers subdomains) are called, DefaultAllowedHosts when it is not set.
+// http.request has no timeout or status code to look at: the platform aborts slow requests and
+// failures surface as exceptions, which are retried at once since a script can't sleep.
+// Every attempt is logged with its latency; failures end in an HttpRequestError.
+var HTTP_CLIENT = {
+    MaxRetries: 2,
+    AllowedHostsKey: 'HttpAllowedHosts',
+    DefaultAllowedHosts: ['httpbin.org'],
+    SecretKey: 'HttpSigningSecret',
+    SignatureHeader: 'X-Signature',
+    TimestampHeader: 'X-Signature-Timestamp'
+};
+
+var HTTP_IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+// 'reason' is one of InvalidUrl, HostNotAllowed, NotConfigured, RequestFailed or InvalidJson.
+function HttpRequestError(reason, message, details) {
+    'use strict';
+    this.name = 'HttpRequestError';
+    this.Reason = reason;
+    this.message = message;
+    this.Details = details;
+}
+
+HttpRequestError.prototype = Object.create(Error.prototype);
+HttpRequestError.prototype.constructor = HttpRequestError;
+
+function getHttpAllowedHosts() {
+    'use strict';
+    return readTitleDataOnce(HTTP_CLIENT.AllowedHostsKey, true, function (stored) {
+        return undefinedOrNull(stored) ? HTTP_CLIENT.DefaultAllowedHosts : JSON.parse(stored);
+    });
+}
+
+function getUrlHost(url) {
+    'use strict';
+    var match = /^https?:\/\/([^\/:?#@]+)(:\d+)?(?:[\/?#]|$)/i.exec(url);
+    return match === null ? null : match[1].toLowerCase();
+}
+
+function isHostAllowed(host, allowedHosts) {
+    'use strict';
+    return allowedHosts.some(function (allowed) {
+        allowed = allowed.toLowerCase();
+        if (allowed.indexOf('*.') === 0) {
+            return host.length > allowed.length - 1 && host.substring(host.length - allowed.length + 1) === allowed.substring(1);
+        }
+        return host === allowed;
+    });
+}
+
+function signHttpRequest(secret, method, url, content, headers) {
+    'use strict';
+    var timestamp = getISOTimestamp();
+    headers[HTTP_CLIENT.TimestampHeader] = timestamp;
+    headers[HTTP_CLIENT.SignatureHeader] = hmacSha256(secret, [timestamp, method, url, content || ''].join('\n'));
+}
+
+function httpRequest(options) {
+    'use strict';
+    var method = (options.method || 'get').toUpperCase(), host = getUrlHost(options.url),
+        contentType = options.contentType || 'application/json', headers = {}, content, secret, retries = 0, attempt, started, response, name, failure;
+    if (host === null) {
+        throw new HttpRequestError('InvalidUrl', 'Not an http(s) url: ' + options.url);
+    }
+    if (!isHostAllowed(host, getHttpAllowedHosts())) {
+        throw new HttpRequestError('HostNotAllowed', 'Host ' + host + ' is not in ' + HTTP_CLIENT.AllowedHostsKey);
+    }
+    if (!undefinedOrNull(options.body)) {
+        content = isString(options.body) ? options.body : JSON.stringify(options.body);
+    }
+    for (name in options.headers) {
+        if (options.headers.hasOwnProperty(name)) {
+            headers[name] = options.headers[name];
+        }
+    }
+    if (options.sign === true) {
+        secret = readTitleDataOnce(HTTP_CLIENT.SecretKey, true);
+        if (undefinedOrNull(secret) || secret === '') {
+            throw new HttpRequestError('NotConfigured', 'Title internal data ' + HTTP_CLIENT.SecretKey + ' is not set');
+        }
+        signHttpRequest(secret, method, options.url, content, headers);
+    }
+    if (HTTP_IDEMPOTENT_METHODS.indexOf(method) > -1 || options.idempotent === true) {
+        retries = Math.min(options.retries || 0, HTTP_CLIENT.MaxRetries);
+    }
+
+    for (attempt = 1; attempt <= retries + 1; attempt += 1) {
+        started = Date.now();
+        try  {
+            response = http.request(options.url, method.toLowerCase(), content, contentType, headers);
+            log.info('HTTP ' + method + ' ' + options.url, { Attempt: attempt, LatencyMs: Date.now() - started });
+            failure = undefined;
+            break;
+        } catch (e) {
+            failure = isString(e) ? e : (e.message || String(e));
+            log.error('HTTP ' + method + ' ' + options.url + ' failed', { Attempt: attempt, LatencyMs: Date.now() - started, Error: failure });
+        }
+    }
+    if (failure !== undefined) {
+        throw new HttpRequestError('RequestFailed', method + ' ' + options.url + ' failed after ' + (attempt - 1) + ' attempt(s): ' + failure,
+            { Attempts: attempt - 1 });
+    }
+    if (options.json === false) {
+        return response;
+    }
+    try  {
+        return response === '' || undefinedOrNull(response) ? null : JSON.parse(response);
+    } catch (e) {
+        throw new HttpRequestError('InvalidJson', method + ' ' + options.url + ' did not answer with JSON', { Response: String(response).substring(0, 200) });
+    }
+}
+
+function httpGetJson(url, options) {
+    'use strict';
+    options = options || {};
+    return httpRequest({ url: url, method: 'get', headers: options.headers, retries: options.retries, sign: options.sign });
+}
+
+function httpPostJson(url, body, options) {
+    'use strict';
+    options = options || {};
+    return httpRequest({ url: url, method: 'post', body: body, headers: options.headers, retries: options.retries, idempotent: options.idempotent, sign: options.sign });
+}
+
+// Placeholder to prevent Photon Error
+function GetPlaceholderGameList(args) {
+    'use strict';
+    var propsA = { prop1: 123, prop2: "abc" };
+    var propsB = { prop1: 456, prop2: "def" };
+
+    var data = {};
+    data["hello1"] = { ActorNr: 1138, Properties: propsA };
+    data["hello2"] = { ActorNr: 5456, Properties: propsB };
+
+    return { ResultCode: 0, Data: data };
+}
+
+// GetGameList WebRPC
+//
+// Lists the games in the caller's games list. Optional args:
+//   Filter    { Creator, AppVersion, Region, CustomProperties } - CustomProperties values must all match
+//   SortBy    'Creation' (default) or 'LastSave', newest first
+//   PageSize  enables paging: Data becomes { Games, Total, ContinuationToken }, pass the token back
+//             as Cursor for the next page (ContinuationToken is null on the last page). Games is
+//             an array of { GameId, ActorNr, Properties, ... } in sort order: object keys would put
+//             integer-like GameIds first.
+// Without paging, Data is the map GameId -> { ActorNr, Properties, ... } Photon clients expect.
+// Games the caller is invited to have no ActorNr yet but an InviteStatus, see InviteToGame.
+// Saved games also show the ActorCount and Turn of their games list Summary.
+// Games created by others are resolved through their creator's games list with one call per
+// creator, limited to the returned page when neither LastSave sorting nor a CustomProperties
+// filter needs every saved state.
+var GAME_LIST_PAGE_SIZE = { Default: 20, Max: 100 };
+
+function matchesGameListFilter(filter, entry) {
+    'use strict';
+    return (undefinedOrNull(filter.Creator) || entry.Creation.UserId === filter.Creator) &&
+        (undefinedOrNull(filter.AppVersion) || entry.Env.AppVersion === filter.AppVersion) &&
+        (undefinedOrNull(filter.Region) || entry.Env.Region === filter.Region);
+}
+
+function matchesCustomProperties(expected, properties) {
+    'use strict';
+    var key;
+    for (key in expected) {
+        if (expected.hasOwnProperty(key) && (undefinedOrNull(properties) || properties[key] !== expected[key])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function getLastSaveTimestamp(saved) {
+    'use strict';
+    var keys;
+    if (undefinedOrNull(saved)) {
+        return undefined;
+    }
+    keys = Object.keys(saved.SaveEvents || {}).sort();
+    if (keys.length > 0) {
+        return keys[keys.length - 1];
+    }
+    if (!undefinedOrNull(saved.EventSummary) && !undefinedOrNull(saved.EventSummary.SaveEvents)) {
+        return saved.EventSummary.SaveEvents.Newest;
+    }
+    return undefined;
+}
+
+// Returns GameId -> saved room state for 'gameKeys' of 'gameList', reading the games list of
+// every other creator once. Games whose creator entry is gone are left out.
+function getSavedGames(gameList, gameKeys) {
+    'use strict';
+    var saved = {}, byCreator = {}, creator, creatorList, i, key;
+    for (i = 0; i < gameKeys.length; i += 1) {
+        key = gameKeys[i];
+        creator = gameList[key].Creation.UserId;
+        if (creator === currentPlayerId) {
+            saved[key] = gameList[key];
+        } else {
+            if (undefinedOrNull(byCreator[creator])) {
+                byCreator[creator] = [];
+            }
+            byCreator[creator].push(key);
+        }
+    }
+    for (creator in byCreator) {
+        if (byCreator.hasOwnProperty(creator)) {
+            creatorList = readGamesList(getGamesListId(creator), byCreator[creator]);
+            for (key in creatorList) {
+                if (creatorList.hasOwnProperty(key)) {
+                    saved[key] = creatorList[key];
+                }
+            }
+        }
+    }
+    return saved;
+}
+
+function getGameListItem(gameKey, entry, saved, sortBy) {
+    'use strict';
+    var summary, item = {
+        GameId: gameKey,
+        ActorNr: entry.Creation.UserId === currentPlayerId ? 1 : entry.ActorNr,
+        Creator: entry.Creation.UserId,
+        CreatedAt: entry.Creation.Timestamp,
+        AppVersion: entry.Env.AppVersion,
+        Region: entry.Env.Region
+    };
+    if (!undefinedOrNull(saved)) {
+        item.Properties = undefinedOrNull(saved.State) ? undefined : saved.State.CustomProperties;
+        item.LastSavedAt = getLastSaveTimestamp(saved);
+    }
+    summary = (saved || entry).Summary;
+    if (!undefinedOrNull(summary)) {
+        item.LastSavedAt = item.LastSavedAt || summary.LastSavedAt;
+        item.ActorCount = summary.ActorCount;
+        item.Turn = summary.Turn;
+    }
+    if (!undefinedOrNull(entry.Invite)) {
+        item.InviteStatus = getInviteStatus(entry.Invite, getISOTimestamp());
+        item.InvitedBy = entry.Invite.From;
+    }
+    item.SortKey = (sortBy === 'LastSave' ? item.LastSavedAt : item.CreatedAt) || '';
+    return item;
+}
+
+// Newest first, GameId breaks ties so that the order, and so the cursor, is stable.
+function compareGameListItems(a, b) {
+    'use strict';
+    if (a.SortKey !== b.SortKey) {
+        return a.SortKey > b.SortKey ? -1 : 1;
+    }
+    if (a.GameId !== b.GameId) {
+        return a.GameId < b.GameId ? -1 : 1;
+    }
+    return 0;
+}
+
+function getGameListStart(items, cursor, sortBy, timestamp, args) {
+    'use strict';
+    var position, i;
+    if (undefinedOrNull(cursor)) {
+        return 0;
+    }
+    try  {
+        position = JSON.parse(cursor);
+    } catch (e) {
+        position = null;
+    }
+    if (undefinedOrNull(position) || position.SortBy !== sortBy || !isString(position.SortKey) || !isString(position.GameId)) {
+        throw new PhotonException(2, 'Invalid Cursor', timestamp, { WebRpc: args });
+    }
+    i = 0;
+    while (i < items.length && compareGameListItems(items[i], position) <= 0) {
+        i += 1;
+    }
+    return i;
+}
+
+function GetGameList(args) {
+    'use strict';
+    try  {
+        var timestamp = getISOTimestamp(), gameList = {}, filter, sortBy, paged, pageSize, resolveAll, saved = {}, keys, items, start, page, games = {}, last, token;
+        checkWebRpcArgs(args, timestamp, 'GetGameList');
+        filter = args.Filter || {};
+        sortBy = args.SortBy || 'Creation';
+        paged = !undefinedOrNull(args.PageSize) || !undefinedOrNull(args.Cursor);
+        pageSize = Math.min(args.PageSize || GAME_LIST_PAGE_SIZE.Default, GAME_LIST_PAGE_SIZE.Max);
+        resolveAll = sortBy === 'LastSave' || !undefinedOrNull(filter.CustomProperties);
+
+        gameList = readGamesList(getGamesListId(currentPlayerId));
+        keys = Object.keys(gameList).filter(function (key) {
+            return matchesGameListFilter(filter, gameList[key]);
+        });
+        if (resolveAll) {
+            saved = getSavedGames(gameList, keys);
+        }
+        items = keys.map(function (key) {
+            return getGameListItem(key, gameList[key], saved[key], sortBy);
+        }).filter(function (item) {
+            return undefinedOrNull(filter.CustomProperties) || matchesCustomProperties(filter.CustomProperties, item.Properties);
+        }).sort(compareGameListItems);
+
+        start = getGameListStart(items, args.Cursor, sortBy, timestamp, args);
+        page = paged ? items.slice(start, start + pageSize) : items.slice(start);
+        if (!resolveAll) {
+            saved = getSavedGames(gameList, page.map(function (item) {
+                return item.GameId;
+            }));
+            page = page.map(function (item) {
+                return getGameListItem(item.GameId, gameList[item.GameId], saved[item.GameId], sortBy);
+            });
+        }
+        // read before the page drops SortKey, page items are the same objects as 'items' when all are resolved
+        last = start + page.length < items.length ? items[start + page.length - 1] : null;
+        token = last === null ? null : JSON.stringify({ SortBy: sortBy, SortKey: last.SortKey, GameId: last.GameId });
+        page.forEach(function (item) {
+            games[item.GameId] = item;
+            delete item.SortKey;
+        });
+        log.debug("gamelist: " + page.length + " of " + items.length + " games");
+
+        if (!paged) {
+            return { ResultCode: 0, Data: games };
+        }
+        return {
+            ResultCode: 0,
+            Data: {
+                Games: page,
+                Total: items.length,
+                ContinuationToken: token
+            }
+        };
+    } catch (e) {
+        return getErrorResult('GetGameList', e, args);
+    }
+}
+
+// Room event history
+//
+// JoinEvents, LeaveEvents, LoadEvents and SaveEvents are maps keyed by ISO timestamp.
+// Before a room state is written, each map keeps at most RoomEvents.MaxCount (game rules of the
+// room's AppVersion) events no older than MaxAgeDays. Trimmed events are counted in data.EventSummary[map] ({ Count, Oldest, Newest })
+// and, with Archive set, also moved to data.EventArchive[map], which holds at most
+// ArchiveMaxCount events per map and is stored under its own shared group key.
+// The archive lives as long as the room shared group: saved games keep the summary only.
+var ROOM_EVENT_MAPS = ['JoinEvents', 'LeaveEvents', 'LoadEvents', 'SaveEvents'];
+
+function summarizeRoomEvent(summary, eventTimestamp) {
+    'use strict';
+    summary.Count += 1;
+    if (undefinedOrNull(summary.Oldest) || eventTimestamp < summary.Oldest) {
+        summary.Oldest = eventTimestamp;
+    }
+    if (undefinedOrNull(summary.Newest) || eventTimestamp > summary.Newest) {
+        summary.Newest = eventTimestamp;
+    }
+}
+
+function archiveRoomEvent(data, mapName, eventTimestamp, event, maxCount) {
+    'use strict';
+    var archive, keys;
+    if (undefinedOrNull(data.EventArchive)) {
+        data.EventArchive = {};
+    }
+    if (undefinedOrNull(data.EventArchive[mapName])) {
+        data.EventArchive[mapName] = {};
+    }
+    archive = data.EventArchive[mapName];
+    archive[eventTimestamp] = event;
+    keys = Object.keys(archive).sort();
+    while (keys.length > maxCount) {
+        delete archive[keys.shift()];
+    }
+}
+
+// Applies the RoomEvents game rules to the event maps of 'data' as of 'timestamp'.
+function trimRoomEvents(data, timestamp) {
+    'use strict';
+    var retention = getRoomGameRules(data).RoomEvents,
+        oldest = new Date(Date.parse(timestamp) - retention.MaxAgeDays * 86400000).toISOString(), i, mapName, keys, key;
+    for (i = 0; i < ROOM_EVENT_MAPS.length; i += 1) {
+        mapName = ROOM_EVENT_MAPS[i];
+        if (!undefinedOrNull(data[mapName])) {
+            keys = Object.keys(data[mapName]).sort();
+            while (keys.length > 0 && (keys.length > retention.MaxCount || keys[0] < oldest)) {
+                key = keys.shift();
+                if (undefinedOrNull(data.EventSummary)) {
+                    data.EventSummary = {};
+                }
+                if (undefinedOrNull(data.EventSummary[mapName])) {
+                    data.EventSummary[mapName] = { Count: 0 };
+                }
+                summarizeRoomEvent(data.EventSummary[mapName], key);
+                if (retention.Archive === true) {
+                    archiveRoomEvent(data, mapName, key, data[mapName][key], retention.ArchiveMaxCount);
+                }
+                delete data[mapName][key];
+            }
+        }
+    }
+}
+
+// Room state schema
+//
+// Room shared groups and games list entries carry the SchemaVersion of their layout, stamped on
+// every write. RoomStateMigrations holds one step per version: step i upgrades a state of
+// SchemaVersion i (no SchemaVersion counts as 0) to i + 1, and every read applies the missing steps
+// in order, so an old saved game is upgraded the first time it is read and stored upgraded the
+// next time it is written. A state from a newer script revision than this one is refused: a
+// single room or entry read throws, a games list read logs and leaves the entry out.
+// To change the layout, append a step; ROOM_SCHEMA_VERSION follows.
+var RoomStateMigrations = [
+    // 0 -> 1: early rooms stored their actors as ActiveActors and may lack NextActorNr or RoomOptions
+    function (data) {
+        'use strict';
+        var actorNr, last = 0;
+        if (undefinedOrNull(data.Actors) && !undefinedOrNull(data.ActiveActors)) {
+            data.Actors = data.ActiveActors;
+        }
+        delete data.ActiveActors;
+        if (undefinedOrNull(data.Actors)) {
+            return;
+        }
+        if (undefinedOrNull(data.NextActorNr)) {
+            for (actorNr in data.Actors) {
+                if (data.Actors.hasOwnProperty(actorNr)) {
+                    last = Math.max(last, Number(actorNr));
+                }
+            }
+            data.NextActorNr = last + 1;
+        }
+        if (undefinedOrNull(data.RoomOptions)) {
+            data.RoomOptions = {};
+        }
+    },
+    // 1 -> 2: the turn of player moves moved from Moves.Turn to the room's match
+    function (data) {
+        'use strict';
+        if (undefinedOrNull(data.Moves)) {
+            return;
+        }
+        if (undefinedOrNull(data.Match) && !undefinedOrNull(data.Moves.Turn) && getTurnOrder(data).indexOf(data.Moves.Turn) > -1) {
+            data.Match = {
+                Status: 'Active', TurnOrder: getTurnOrder(data), Turn: data.Moves.Turn, TurnNumber: 1,
+                TurnStarted: null, TurnDeadline: null, Forfeited: {}, Winner: null, History: []
+            };
+        }
+        delete data.Moves.Turn;
+    }
+];
+
+var ROOM_SCHEMA_VERSION = RoomStateMigrations.length;
+
+// Brings the room state or games list entry 'data' to ROOM_SCHEMA_VERSION, in place.
+function migrateRoomState(data) {
+    'use strict';
+    var version;
+    if (undefinedOrNull(data)) {
+        return data;
+    }
+    version = data.SchemaVersion || 0;
+    if (version > ROOM_SCHEMA_VERSION) {
+        throw new PhotonException(2, 'Room state SchemaVersion=' + version + ' is newer than ' + ROOM_SCHEMA_VERSION, getISOTimestamp(), { CustomState: data });
+    }
+    for (version; version < ROOM_SCHEMA_VERSION; version += 1) {
+        RoomStateMigrations[version](data);
+    }
+    data.SchemaVersion = ROOM_SCHEMA_VERSION;
+    return data;
+}
+
+function readRoomState(gameId) {
+    'use strict';
+    return migrateRoomState(getSharedGroupData(gameId));
+}
+
+// Entries 'keys' (all when left out) of the games list 'listId', migrated. Entries from a newer
+// script revision are left out, so one of them doesn't hide the rest of the list.
+function readGamesList(listId, keys) {
+    'use strict';
+    var entries = getSharedGroupData(listId, keys), key;
+    for (key in entries) {
+        if (entries.hasOwnProperty(key)) {
+            if (!undefinedOrNull(entries[key]) && entries[key].SchemaVersion > ROOM_SCHEMA_VERSION) {
+                log.error('Games list ' + listId + ' entry ' + key + ' skipped, SchemaVersion=' + entries[key].SchemaVersion + ' is newer than ' + ROOM_SCHEMA_VERSION);
+                delete entries[key];
+            } else {
+                migrateRoomState(entries[key]);
+            }
+        }
+    }
+    return entries;
+}
+
+function readGamesListEntry(listId, gameId) {
+    'use strict';
+    return migrateRoomState(getSharedGroupData(listId, [gameId])[gameId]);
+}
+
+function updateGamesListEntry(listId, gameId, entry) {
+    'use strict';
+    entry.SchemaVersion = ROOM_SCHEMA_VERSION;
+    updateSharedGroupEntry(listId, gameId, entry);
+}
+
+// Room state revisions
+//
+// Every write of a room shared group bumps its 'Revision' entry. Writers re-read the
+// stored Revision right before writing and compare it with the one they started from:
+// when another webhook wrote in between, the change is applied again on fresh state,
+// up to ROOM_STATE_MAX_ATTEMPTS times, and then rejected with ResultCode 7.
+// This is a best-effort check, it costs one more read per write and narrows the race without
+// closing it: shared groups have no compare-and-swap, so a write landing between the re-read
+// and the write is still overwritten. Saved games (updateGameState) are checked the same way.
+// Writes also stamp 'LastActivity', which CleanupRooms goes by.
+var ROOM_STATE_MAX_ATTEMPTS = 3;
+
+// Rooms written by the current execution, by GameId (script globals do not outlive an execution).
+var roomStateWrites = {};
+
+function writeRoomState(gameId, data, timestamp) {
+    'use strict';
+    trimRoomEvents(data, timestamp);
+    data.Revision = getRoomRevision(data) + 1;
+    data.SchemaVersion = ROOM_SCHEMA_VERSION;
+    data.LastActivity = { Timestamp: timestamp };
+    updateSharedGroupData(gameId, data);
+    roomStateWrites[gameId] = timestamp;
+}
+
+function getRoomRevision(data) {
+    'use strict';
+    return undefinedOrNull(data.Revision) ? 0 : data.Revision;
+}
+
+function getStoredRoomRevision(gameId) {
+    'use strict';
+    return getRoomRevision(getSharedGroupEntry(gameId, 'Revision'));
+}
+
+// Writes the state of a room whose shared group was just created (Create, Load).
+function initRoomState(gameId, data, timestamp) {
+    'use strict';
+    writeRoomState(gameId, data, timestamp);
+}
+
+// Reads the room state, lets 'apply(data)' validate and change it, then stores it
+// unless 'apply' returned false. Returns the state as written.
+// 'apply' may run more than once and must not have side effects besides changing 'data'.
+function updateRoomState(gameId, timestamp, webhook, apply) {
+    'use strict';
+    var attempt, data, write;
+    for (attempt = 1; attempt <= ROOM_STATE_MAX_ATTEMPTS; attempt += 1) {
+        data = readRoomState(gameId);
+        write = apply(data) !== false;
+        if (getStoredRoomRevision(gameId) === getRoomRevision(data)) {
+            if (write) {
+                writeRoomState(gameId, data, timestamp);
+            }
+            return data;
+        }
+        log.info('Room=' + gameId + ' changed while handling ' + webhook.Type + ', attempt ' + attempt);
+    }
+    throw new PhotonException(7, 'Room state revision conflict', timestamp, { Webhook: webhook, CustomState: data });
+}
+
+function onGameCreated(args, timestamp) {
+    'use strict';
+    var data = {};
+    var msg = "";
+    try  {
+        createSharedGroup(args.GameId);
+    } catch (e) {
+        if (!undefinedOrNull(e.Error) && e.Error.error === "InvalidSharedGroupId") {
+            log.info("game already exists.");
+            msg = "game already exists.";
+        } else {
+            log.info("Other error");
+            msg = "game error";
+        }
+    }
+
+    data.Env = {
+        Region: args.Region, AppVersion: args.AppVersion, AppId: args.AppId, TitleId: script.titleId,
+        CloudScriptVersion: script.version, CloudScriptRevision: script.revision, PlayFabServerVersion: server.version,
+        WebhooksVersion: getWebhooksVersion(args)
+    };
+    data.RoomOptions = args.CreateOptions || {};
+    data.Creation = { Timestamp: timestamp, UserId: args.UserId, Type: args.Type };
+    data.Actors = { 1: { UserId: args.UserId, Inactive: false } };
+    data.NextActorNr = 2;
+    initRoomState(args.GameId, data, timestamp);
+    updateGamesListEntry(getGamesListId(currentPlayerId), args.GameId, data);
+
+    return { ReturnCode: 0, Message: msg };
+}
+
+// Returns 'properties' updated with 'changes', Photon removes properties set to null.
+function mergeProperties(properties, changes) {
+    'use strict';
+    var merged = {}, key;
+    for (key in properties) {
+        if (properties.hasOwnProperty(key)) {
+            merged[key] = properties[key];
+        }
+    }
+    for (key in changes) {
+        if (changes.hasOwnProperty(key)) {
+            if (changes[key] === null) {
+                delete merged[key];
+            } else {
+                merged[key] = changes[key];
+            }
+        }
+    }
+    return merged;
+}
+
+// Room environment
+//
+// A room keeps the Env it was created with. Webhooks for it compare the ENV_FIELDS of that Env with
+// their own (the client's AppId, AppVersion and Region, this script's revision and the webhooks
+// version) and the Env game rule sets the policy for each field:
+//   Allow    a different value is accepted
+//   Reject   a different value fails the webhook with ResultCode 4
+//   Migrate  RoomCreated Load brings the saved state over to the new value with the migrations
+//            registered for the field, one registerEnvMigration step after the other, and stores
+//            the new value in Env; without a path to it the Load is rejected. Joins of an open
+//            room reject a different value, the room was migrated when it was loaded.
+// Policies are enforced on Load and Join only. Photon drops the actor or the room whatever RoomLeft
+// and RoomClosed answer, so refusing them would lose the save and leave the shared group behind:
+// they log the mismatch and go on.
+// Only AppId is rejected by default. Values a room saved before they were recorded are not compared.
+var ENV_FIELDS = ['AppId', 'AppVersion', 'Region', 'CloudScriptRevision', 'WebhooksVersion'];
+
+var EnvMigrations = {};
+
+// Registers 'migrate(data, args)', which changes the saved room state 'data' from the Env 'field'
+// value 'from' to the value 'to'.
+function registerEnvMigration(field, from, to, migrate) {
+    'use strict';
+    if (undefinedOrNull(EnvMigrations[field])) {
+        EnvMigrations[field] = [];
+    }
+    EnvMigrations[field].push({ From: String(from), To: String(to), Migrate: migrate });
+}
+
+function getWebhookEnv(args) {
+    'use strict';
+    return {
+        AppId: args.AppId, AppVersion: args.AppVersion, Region: args.Region,
+        CloudScriptRevision: script.revision, WebhooksVersion: getWebhooksVersion(args)
+    };
+}
+
+// The fields whose stored and webhook values differ, as [{ Field, Stored, Current, Policy }].
+function getEnvMismatches(env, args) {
+    'use strict';
+    var current = getWebhookEnv(args), policies = getGameRules(args.AppVersion).Env;
+    return ENV_FIELDS.filter(function (field) {
+        return !undefinedOrNull(env) && !undefinedOrNull(env[field]) && String(env[field]) !== String(current[field]);
+    }).map(function (field) {
+        return { Field: field, Stored: env[field], Current: current[field], Policy: policies[field] || 'Allow' };
+    });
+}
+
+function throwEnvMismatches(mismatches, data, args, timestamp) {
+    'use strict';
+    if (mismatches.length > 0) {
+        throw new PhotonException(4, 'Room=' + args.GameId + ' Env mismatch: ' + mismatches.map(function (mismatch) {
+            return mismatch.Field + ' ' + mismatch.Stored + ' != ' + mismatch.Current;
+        }).join(', '), timestamp, { Webhook: args, CustomState: data, Mismatches: mismatches });
+    }
+}
+
+// Checks the Env of the open room 'room' for the webhook 'args'.
+function checkRoomEnv(room, args, timestamp) {
+    'use strict';
+    throwEnvMismatches(getEnvMismatches(room.Env, args).filter(function (mismatch) {
+        return mismatch.Policy !== 'Allow';
+    }), room, args, timestamp);
+}
+
+// Logs the mismatches checkRoomEnv would reject for the leave or close webhook 'args'.
+function logRoomEnvMismatches(room, args) {
+    'use strict';
+    var mismatches = getEnvMismatches(room.Env, args).filter(function (mismatch) {
+        return mismatch.Policy !== 'Allow';
+    });
+    if (mismatches.length > 0) {
+        log.error('Room=' + args.GameId + ' Env mismatch ignored by ' + args.Type, { Mismatches: mismatches });
+    }
+}
+
+// The registered steps leading from the stored to the current value, or null when there are none.
+function getEnvMigrationPath(mismatch) {
+    'use strict';
+    var steps = EnvMigrations[mismatch.Field] || [], path = [], value = String(mismatch.Stored), step;
+    function from(candidate) {
+        return candidate.From === value;
+    }
+    while (value !== String(mismatch.Current)) {
+        step = steps.filter(from)[0];
+        if (undefinedOrNull(step) || path.indexOf(step) > -1) {
+            return null;
+        }
+        path.push(step);
+        value = step.To;
+    }
+    return path;
+}
+
+// Migrates the saved room state 'data' to the Env of the Load webhook 'args'.
+// Returns the migrated fields as [{ Field, From, To }].
+function migrateRoomEnv(data, args, timestamp) {
+    'use strict';
+    var mismatches = getEnvMismatches(data.Env, args), blocking, migrated = [];
+    blocking = mismatches.filter(function (mismatch) {
+        return mismatch.Policy === 'Reject' || (mismatch.Policy === 'Migrate' && getEnvMigrationPath(mismatch) === null);
+    });
+    throwEnvMismatches(blocking, data, args, timestamp);
+    mismatches.filter(function (mismatch) {
+        return mismatch.Policy === 'Migrate';
+    }).forEach(function (mismatch) {
+        getEnvMigrationPath(mismatch).forEach(function (step) {
+            step.Migrate(data, args);
+            log.info('Room=' + args.GameId + ' migrated ' + mismatch.Field + ' ' + step.From + ' -> ' + step.To);
+        });
+        data.Env[mismatch.Field] = mismatch.Current;
+        migrated.push({ Field: mismatch.Field, From: mismatch.Stored, To: mismatch.Current });
+    });
+    return migrated;
+}
+
+// Games list entries
+//
+// The creator's games list holds the saved room state. Every other actor's entry points to it:
+//   { Env, Creation, ActorNr, Summary: { LastSavedAt, ActorCount, Turn: { ActorNr, UserId, TurnNumber } or null } }
+// The Summary, which the saved state carries too, is rewritten for every actor whenever the game is
+// saved or a turn is played on the saved game, so each list can show the game without its creator's.
+function getGameSummary(data) {
+    'use strict';
+    var match = data.Match, turn = null;
+    if (!undefinedOrNull(match) && match.Status === 'Active' && !undefinedOrNull(data.Actors[match.Turn])) {
+        turn = { ActorNr: match.Turn, UserId: data.Actors[match.Turn].UserId, TurnNumber: match.TurnNumber };
+    }
+    return { LastSavedAt: getLastSaveTimestamp(data), ActorCount: Object.keys(data.Actors).length, Turn: turn };
+}
+
+// UserIds that may have an entry for the game 'data': its creator, actors, invitees and past
+// joiners, whose entry stays behind when their RoomLeft was lost.
+function getGamePlayers(data) {
+    'use strict';
+    var players = [data.Creation.UserId], actorNr, timestamp;
+    function add(userId) {
+        if (!undefinedOrNull(userId) && players.indexOf(userId) === -1) {
+            players.push(userId);
+        }
+    }
+    for (actorNr in data.Actors) {
+        if (data.Actors.hasOwnProperty(actorNr)) {
+            add(data.Actors[actorNr].UserId);
+        }
+    }
+    Object.keys(data.Invites || {}).forEach(add);
+    for (timestamp in data.JoinEvents) {
+        if (data.JoinEvents.hasOwnProperty(timestamp)) {
+            add(data.JoinEvents[timestamp].UserId);
+        }
+    }
+    return players;
+}
+
+// Writes the entry of every actor but the creator, whose entry is the saved state itself.
+// A list that can't be written is logged and does not stop the others.
+function updateActorGameEntries(gameId, data) {
+    'use strict';
+    var actorNr, userId;
+    for (actorNr in data.Actors) {
+        if (data.Actors.hasOwnProperty(actorNr) && data.Actors[actorNr].UserId !== data.Creation.UserId) {
+            userId = data.Actors[actorNr].UserId;
+            try  {
+                updateGamesListEntry(getGamesListId(userId), gameId, { Env: data.Env, Creation: data.Creation, ActorNr: Number(actorNr), Summary: data.Summary });
+            } catch (e) {
+                log.error('Could not update Room=' + gameId + ' in the games list of ' + userId, { Error: e.Error ? e.Error.errorMessage : String(e) });
+            }
+        }
+    }
+}
+
+// Removes the game 'data' from the games list of every player, logging the lists that can't be written.
+function removeGameEntries(gameId, data) {
+    'use strict';
+    getGamePlayers(data).forEach(function (userId) {
+        try  {
+            deleteSharedGroupEntry(getGamesListId(userId), gameId);
+        } catch (e) {
+            log.error('Could not remove Room=' + gameId + ' from the games list of ' + userId, { Error: e.Error ? e.Error.errorMessage : String(e) });
+        }
+    });
+}
+
+// Photon Webhooks Integration
+//
+// The following functions are examples of Photon Cloud Webhook handlers.
+// When you enable the Photon Add-on (https://playfab.com/marketplace/photon/)
+// in the Game Manager, your Photon applications are automatically configured
+// to authenticate players using their PlayFab accounts and to fire events that
+// trigger your Cloud Script Webhook handlers, if defined.
+// This makes it easier than ever to incorporate multiplayer server logic into your game.
+// Triggered automatically when a Photon room is first created
+handlers.RoomCreated = function (args) {
+    'use strict';
+    log.debug("Room Created - Game: " + args.GameId + " Type: " + args.Type);
+
+    try  {
+        var timestamp = getISOTimestamp(), data = {}, migrated;
+        checkWebhookArgs(args, timestamp);
+        if (args.Type === 'Create') {
+            onGameCreated(args, timestamp);
+            return { ResultCode: 0, Message: 'OK' };
+        } else if (args.Type === 'Load') {
+            data = readGamesListEntry(getGamesListId(currentPlayerId), args.GameId);
+            if (!undefinedOrNull(data) && data.Creation.UserId !== currentPlayerId) {
+                data = readGamesListEntry(getGamesListId(data.Creation.UserId), args.GameId);
+            }
+            if (undefinedOrNull(data) || undefinedOrNull(data.State)) {
+                if (args.CreateIfNotExists === false) {
+                    throw new PhotonException(5, 'Room=' + args.GameId + ' not found', timestamp, args);
+                } else {
+                    onGameCreated(args, timestamp);
+                    return { ResultCode: 0, Message: 'OK', State: '' };
+                }
+            }
+            migrated = migrateRoomEnv(data, args, timestamp);
+            if (undefinedOrNull(data.LoadEvents)) {
+                data.LoadEvents = {};
+            }
+            data.LoadEvents[timestamp] = { ActorNr: args.ActorNr, UserId: args.UserId };
+            if (migrated.length > 0) {
+                data.LoadEvents[timestamp].Migrated = migrated;
+            }
+            if (data.Actors.hasOwnProperty(args.ActorNr)) {
+                data.Actors[args.ActorNr].Inactive = false;
+            }
+            createSharedGroup(args.GameId);
+            initRoomState(args.GameId, data, timestamp);
+            return { ResultCode: 0, Message: 'OK', State: data.State };
+        } else {
+            throw new PhotonException(2, 'Wrong PathCreate Type=' + args.Type, timestamp, { Webhook: args });
+        }
+    } catch (e) {
+        return getErrorResult('RoomCreated', e, args);
+    }
+};
+
+// Triggered automatically when a player joins a Photon room
+handlers.RoomJoined = function (args) {
+    'use strict';
+    log.debug("Room Joined - Game: " + args.GameId + " PlayFabId: " + args.UserId);
+
+    try  {
+        var timestamp = getISOTimestamp(), data = {};
+        checkWebhookArgs(args, timestamp);
+        data = updateRoomState(args.GameId, timestamp, args, function (room) {
+            if (args.Type !== 'Join') {
+                throw new PhotonException(2, 'Wrong PathJoin Type=' + args.Type, timestamp, { Webhook: args, CustomState: room });
+            }
+
+            checkRoomEnv(room, args, timestamp);
+            if (room.RoomOptions.PlayerTTL !== 0 && room.NextActorNr > args.ActorNr) {
+                if (room.Actors[args.ActorNr].Inactive === false) {
+                    throw new PhotonException(2, 'Actor is already joined', timestamp, { Webhook: args, CustomState: room });
+                } else if (room.RoomOptions.CheckUserOnJoin === true && args.UserId !== room.Actors[args.ActorNr].UserId) {
+                    throw new PhotonException(2, 'Illegal rejoin with different UserId', timestamp, { Webhook: args, CustomState: room });
+                } else if (args.UserId !== room.Actors[args.ActorNr].UserId) {
+                    room.Actors[args.ActorNr].UserId = args.UserId;
+                }
+                room.Actors[args.ActorNr].Inactive = false;
+            } else if (room.NextActorNr === args.ActorNr) {
+                if (room.RoomOptions.MaxPlayers > 0 && Object.keys(room.Actors).length + countInvitedSeats(room, args.UserId, timestamp) >= room.RoomOptions.MaxPlayers) {
+                    throw new PhotonException(2, 'Actors overflow', timestamp, { Webhook: args, CustomState: room });
+                }
+                room.Actors[args.ActorNr] = { UserId: args.UserId, Inactive: false };
+                room.NextActorNr = room.NextActorNr + 1;
+            } else {
+                throw new PhotonException(2, 'Unexpected ActorNr', timestamp, { Webhook: args, CustomState: room });
+            }
+            if (!undefinedOrNull(room.Invites)) {
+                delete room.Invites[args.UserId];
+            }
+            if (undefinedOrNull(room.JoinEvents)) {
+                room.JoinEvents = {};
+            }
+            room.JoinEvents[timestamp] = { ActorNr: args.ActorNr, UserId: args.UserId };
+        });
+        updateGamesListEntry(getGamesListId(currentPlayerId), args.GameId, { Env: data.Env, Creation: data.Creation, ActorNr: args.ActorNr });
+        return { ResultCode: 0, Message: 'OK' };
+    } catch (e) {
+        return getErrorResult('RoomJoined', e, args);
+    }
+};
+
+// Triggered automatically when a player leaves a Photon room
+handlers.RoomLeft = function (args) {
+    'use strict';
+    log.debug("Room Left - Game: " + args.GameId + " PlayFabId: " + args.UserId);
+
+    try  {
+        var timestamp = getISOTimestamp(), data = {};
+        checkWebhookArgs(args, timestamp);
+        data = updateRoomState(args.GameId, timestamp, args, function (room) {
+            if (!LeaveReason.hasOwnProperty(args.Type)) {
+                throw new PhotonException(2, 'Wrong PathLeave Type=' + args.Type, timestamp, { Webhook: args, CustomState: room });
+            }
+
+            logRoomEnvMismatches(room, args);
+            if (!room.Actors.hasOwnProperty(args.ActorNr)) {
+                throw new PhotonException(2, 'No ActorNr inside the room', timestamp, { Webhook: args, CustomState: room });
+            }
+            if (args.Reason !== LeaveReason.PlayerTtlTimedOut && room.Actors[args.ActorNr].Inactive === true) {
+                throw new PhotonException(2, 'Inactive actors cant leave', timestamp, { Webhook: args, CustomState: room });
+            }
+            if (room.Actors[args.ActorNr].UserId !== args.UserId) {
+                throw new PhotonException(2, 'Leaving UserId is different from joined', timestamp, { Webhook: args, CustomState: room });
+            }
+            if (args.IsInactive) {
+                room.Actors[args.ActorNr].Inactive = true;
+            } else {
+                delete room.Actors[args.ActorNr];
+            }
+            if (undefinedOrNull(room.LeaveEvents)) {
+                room.LeaveEvents = {};
+            }
+            room.LeaveEvents[timestamp] = { ActorNr: args.ActorNr, UserId: args.UserId, CanRejoin: args.IsInactive };
+        });
+        if (!args.IsInactive) {
+            deleteSharedGroupEntry(getGamesListId(currentPlayerId), args.GameId);
+        }
+        return { ResultCode: 0, Message: 'OK' };
+    } catch (e) {
+        return getErrorResult('RoomLeft', e, args);
+    }
+};
+
+// Triggered automatically when a Photon room closes
+// Note: currentPlayerId is undefined in this function
+handlers.RoomClosed = function (args) {
+    'use strict';
+    log.debug("Room Closed - Game: " + args.GameId);
+
+    try  {
+        var timestamp = getISOTimestamp(), data = {};
+        checkWebhookArgs(args, timestamp);
+        // nothing is written back to the room, but it must not have changed since it was read
+        data = updateRoomState(args.GameId, timestamp, args, function (room) {
+            if (Object.keys(room.Actors).length !== args.ActorCount) {
+                throw new PhotonException(6, 'Actors count does not match', timestamp, { Webhook: args, CustomState: room });
+            }
+            if (args.Type !== 'Close' && args.Type !== 'Save') {
+                throw new PhotonException(2, 'Wrong PathClose Type=' + args.Type, timestamp, { Webhook: args, CustomState: room });
+            }
+            logRoomEnvMismatches(room, args);
+            return false;
+        });
+
+        if (args.Type === 'Close') {
+            removeGameEntries(args.GameId, data);
+        } else {
+            if (undefinedOrNull(data.SaveEvents)) {
+                data.SaveEvents = {};
+            }
+            data.SaveEvents[timestamp] = { ActorCount: args.ActorCount };
+            data.State = args.State;
+            trimRoomEvents(data, timestamp);
+            delete data.EventArchive;
+            data.Summary = getGameSummary(data);
+            updateGamesListEntry(getGamesListId(data.Creation.UserId), args.GameId, data);
+            updateActorGameEntries(args.GameId, data);
+        }
+        deleteSharedGroup(args.GameId);
+        return { ResultCode: 0, Message: 'OK' };
+    } catch (e) {
+        return getErrorResult('RoomClosed', e, args);
+    }
+};
+
+// Triggered automatically when a Photon room game property is updated.
+// Note: currentPlayerId is undefined in this function
+handlers.RoomPropertyUpdated = function (args) {
+    'use strict';
+    log.debug("Room Property Updated - Game: " + args.GameId);
+
+    try  {
+        var timestamp = getISOTimestamp();
+        checkWebhookArgs(args, timestamp);
+        updateRoomState(args.GameId, timestamp, args, function (room) {
+            if (args.Type === 'Game') {
+                // a forwarded State is a full snapshot, properties included
+                if (!undefinedOrNull(args.State)) {
+                    room.State = args.State;
+                } else {
+                    if (undefinedOrNull(room.State)) {
+                        room.State = {};
+                    }
+                    room.State.CustomProperties = mergeProperties(room.State.CustomProperties, args.Properties);
+                }
+            } else if (args.Type === 'Player') {
+                if (!room.Actors.hasOwnProperty(args.TargetActor)) {
+                    throw new PhotonException(2, 'No TargetActor inside the room', timestamp, { Webhook: args, CustomState: room });
+                }
+                room.Actors[args.TargetActor].Properties = mergeProperties(room.Actors[args.TargetActor].Properties, args.Properties);
+                if (!undefinedOrNull(args.State)) {
+                    room.State = args.State;
+                }
+            } else {
+                throw new PhotonException(2, 'Wrong PathGameProperties Type=' + args.Type, timestamp, { Webhook: args, CustomState: room });
+            }
+        });
+        return { ResultCode: 0, Message: 'OK' };
+    } catch (e) {
+        return getErrorResult('RoomPropertyUpdated', e, args);
+    }
+};
+
+// Room event router
+//
+// Game modules register a handler per "eventType" of the event payload with registerRoomEvent
+// instead of extending RoomEventRaised:
+//   handler(args, payload, timestamp) returns the Data sent back to Photon, or throws a PhotonException
+//   options.schema     schema ({ fields, checks }, see PhotonSchemas) the payload must satisfy
+//   options.rateLimit  { Count, Seconds }: at most Count events of this type per player within Seconds,
+//                      tracked in the player's internal data under ROOM_EVENT_RATES_KEY
+var RoomEvents = {};
+var ROOM_EVENT_RATES_KEY = 'RoomEventRates';
+
+function registerRoomEvent(eventType, handler, options) {
+    'use strict';
+    options = options || {};
+    RoomEvents[eventType] = {
+        Handler: handler,
+        Schema: options.schema || { fields: { eventType: { type: 'string', required: true } } },
+        RateLimit: options.rateLimit
+    };
+}
+
+// Events whose handler left the room state alone still count as activity of the room: only its
+// LastActivity entry is written, outside of the Revision check since nothing else depends on it.
+function recordRoomEventActivity(gameId, timestamp) {
+    'use strict';
+    if (roomStateWrites.hasOwnProperty(gameId)) {
+        return;
+    }
+    try  {
+        updateSharedGroupEntry(gameId, 'LastActivity', { Timestamp: timestamp });
+    } catch (e) {
+        log.error('Could not record the activity of Room=' + gameId, { Error: e.Error ? e.Error.errorMessage : String(e) });
+    }
+}
+
+function checkRoomEventRate(eventType, rateLimit, args, timestamp) {
+    'use strict';
+    var now = Date.parse(timestamp), stored, rates, recent, update = {};
+    stored = server.GetUserInternalData({ PlayFabId: args.UserId, Keys: [ROOM_EVENT_RATES_KEY] }).Data[ROOM_EVENT_RATES_KEY];
+    rates = undefinedOrNull(stored) ? {} : JSON.parse(stored.Value);
+    recent = (rates[eventType] || []).filter(function (time) {
+        return now - time < rateLimit.Seconds * 1000;
+    });
+    if (recent.length >= rateLimit.Count) {
+        throw new PhotonException(8, 'Rate limit exceeded for eventType=' + eventType, timestamp, { Webhook: args, RateLimit: rateLimit });
+    }
+    recent.push(now);
+    rates[eventType] = recent;
+    update[ROOM_EVENT_RATES_KEY] = JSON.stringify(rates);
+    server.UpdateUserInternalData({ PlayFabId: args.UserId, Data: update });
+}
+
+// Triggered by calling "OpRaiseEvent" on the Photon client. The "args.Data" property is
+// set to the value of the "customEventContent" HashTable parameter, so you can use
+// it to pass in arbitrary data. Its "eventType" selects the handler registered with registerRoomEvent.
+handlers.RoomEventRaised = function (args) {
+    'use strict';
+    log.debug("Event Raised - Game: " + args.GameId + " Event Type: " + (undefinedOrNull(args.Data) ? undefined : args.Data.eventType));
+
+    try  {
+        var timestamp = getISOTimestamp(), roomEvent, violations = [], data;
+        checkWebhookArgs(args, timestamp);
+        if (args.Type !== 'Event') {
+            throw new PhotonException(2, 'Wrong PathEvent Type=' + args.Type, timestamp, { Webhook: args });
+        }
+        roomEvent = RoomEvents.hasOwnProperty(args.Data.eventType) ? RoomEvents[args.Data.eventType] : undefined;
+        if (undefinedOrNull(roomEvent)) {
+            throw new PhotonException(2, 'Unknown eventType=' + args.Data.eventType, timestamp, { Webhook: args });
+        }
+        validateSchema(roomEvent.Schema, args.Data, violations);
+        throwViolations(violations, timestamp, args);
+        if (!undefinedOrNull(roomEvent.RateLimit)) {
+            checkRoomEventRate(args.Data.eventType, roomEvent.RateLimit, args, timestamp);
+        }
+        data = roomEvent.Handler(args, args.Data, timestamp);
+        recordRoomEventActivity(args.GameId, timestamp);
+        return { ResultCode: 0, Message: 'OK', Data: data };
+    } catch (e) {
+        return getErrorResult('RoomEventRaised', e, args);
+    }
+};
+
+// Fields of a move sent by a client, see processPlayerMove.
+var PlayerMoveSchema = {
+    fields: {
+        Sequence: { type: 'number', required: true, min: 1 },
+        Position: { type: 'object', required: true, fields: { x: { type: 'number', required: true }, y: { type: 'number', required: true } } }
+    }
+};
+
+registerRoomEvent('playerMove', function (args, payload, timestamp) {
+    'use strict';
+    var rejection = processPlayerMove({
+        GameId: args.GameId,
+        ActorNr: args.ActorNr,
+        UserId: args.UserId,
+        Sequence: payload.Sequence,
+        Position: payload.Position
+    });
+    if (rejection !== null) {
+        throw new PhotonException(rejection.Code, 'Invalid move (' + rejection.Reason + '): ' + rejection.Message, timestamp, { Webhook: args, Rejection: rejection });
+    }
+    return { validMove: true };
+}, {
+    schema: {
+        fields: {
+            eventType: { type: 'string', required: true },
+            Sequence: PlayerMoveSchema.fields.Sequence,
+            Position: PlayerMoveSchema.fields.Position
+        }
+    }
+});
+
+handlers.GetGameList = function (args) {
+    return GetGameList(args);
+};
+
+registerClientHandler('InitGameList', {}, function (args, context) {
+    var sharedGroupId = getGamesListId(currentPlayerId);
+    var msg = 'return message';
+    try  {
+        createSharedGroup(sharedGroupId);
+        msg = "game list created";
+    } catch (e) {
+        if (!undefinedOrNull(e.Error) && e.Error.error === "InvalidSharedGroupId") {
+            log.info("Games list already exists.");
+            msg = "game list already exists.";
+        } else {
+            throw e;
+        }
+    }
+
+    //var data = {};
+    //data = getSharedGroupData(getGamesListId(currentPlayerId));
+    //if (undefinedOrNull(data))
+    //{
+    //log.debug("Games list does not exist. Creating.");
+    //createSharedGroup(getGamesListId(currentPlayerId));
+    //}
+    //else {
+    // 	log.debug("Games list already exists.");
+    //}
+    return { message: msg };
+});
+
+// Open and saved rooms
+//
+// WebRPCs about a game reach it whether it is open in Photon (its shared group) or saved in its
+// creator's games list, see RoomClosed and RoomCreated.
+
+// The room's shared group while it is open, else the saved state in its creator's games list.
+// Returns { Room, Saved, ListId } or throws a PhotonException with ResultCode 5.
+function readGameState(gameId, playerId, timestamp, args) {
+    'use strict';
+    var listId = getGamesListId(playerId), entry;
+    try  {
+        return { Room: readRoomState(gameId), Saved: false };
+    } catch (e) {
+        if (undefinedOrNull(e.Error) || e.Error.error !== 'InvalidSharedGroupId') {
+            throw e;
+        }
+    }
+    entry = readGamesListEntry(listId, gameId);
+    if (!undefinedOrNull(entry) && !undefinedOrNull(entry.Creation) && entry.Creation.UserId !== playerId) {
+        listId = getGamesListId(entry.Creation.UserId);
+        entry = readGamesListEntry(listId, gameId);
+    }
+    if (undefinedOrNull(entry) || undefinedOrNull(entry.Actors)) {
+        throw new PhotonException(5, 'Room=' + gameId + ' not found', timestamp, { WebRpc: args });
+    }
+    return { Room: entry, Saved: true, ListId: listId };
+}
+
+// updateRoomState for open and saved rooms: 'apply(room, saved)' may run more than once and returns
+// false to leave the state as it was.
+function updateGameState(gameId, playerId, timestamp, args, apply) {
+    'use strict';
+    var attempt, found, write;
+    for (attempt = 1; attempt <= ROOM_STATE_MAX_ATTEMPTS; attempt += 1) {
+        found = readGameState(gameId, playerId, timestamp, args);
+        if (!found.Saved) {
+            return updateRoomState(gameId, timestamp, { Type: args.Type, GameId: gameId, UserId: playerId }, function (room) {
+                return apply(room, false);
+            });
+        }
+        write = apply(found.Room, true) !== false;
+        if (getRoomRevision(getSharedGroupEntry(found.ListId, gameId)[gameId] || {}) === getRoomRevision(found.Room)) {
+            if (write) {
+                found.Room.Revision = getRoomRevision(found.Room) + 1;
+                found.Room.LastActivity = { Timestamp: timestamp };
+                updateGamesListEntry(found.ListId, gameId, found.Room);
+            }
+            return found.Room;
+        }
+        log.info('Saved Room=' + gameId + ' changed while handling ' + args.Type + ', attempt ' + attempt);
+    }
+    throw new PhotonException(7, 'Room state revision conflict', timestamp, { WebRpc: args });
+}
+
+function getRoomActorNr(room, userId) {
+    'use strict';
+    return getMoveActorNr({ UserId: userId }, room);
+}
+
+// Turn-based matches
+//
+// Asynchronous matches keep their turn state under 'Match' in the room state, so it follows the
+// room into the creator's games list on Save and back on Load:
+//   { Status: 'Active' or 'Finished', TurnOrder: [ActorNr], Turn: ActorNr to play, TurnNumber,
+//     TurnStarted, TurnDeadline, Forfeited: { ActorNr: { Timestamp, Reason } }, Winner, History: [turn] }
+// The match starts with the actors of the room in ActorNr order; later joiners are appended and
+// actors who left for good are dropped, inactive actors keep their place. Only the actor whose
+// turn it is can submit one (SubmitTurn), sending the TurnNumber it played so that a stale
+// client can't play twice. Any actor can forfeit. Nothing wakes a script up when a deadline
+// passes, so an expired turn is skipped (or forfeited, per the Match.OnTimeout game rule) the
+// next time the match is read or played, and the next turn starts from then.
+// The player whose turn comes up is sent a push notification when Match.Notify is set.
+// With the PlayerMove.TurnOrder game rule, updatePlayerMove and playerMove events play turns too.
+var MATCH_NOTIFICATION = { Subject: 'Your turn', Message: 'It is your turn in ' };
+
+function startMatchTurn(match, actorNr, timestamp, rules) {
+    'use strict';
+    match.Turn = actorNr;
+    match.TurnStarted = timestamp;
+    match.TurnDeadline = rules.Match.TurnTimeoutSeconds > 0 ?
+            new Date(Date.parse(timestamp) + rules.Match.TurnTimeoutSeconds * 1000).toISOString() : null;
+}
+
+// Passes the turn to the actor after 'actorNr' in TurnOrder, 'actorNr' may have just been removed from it.
+function passMatchTurn(match, actorNr, order, timestamp, rules) {
+    'use strict';
+    var i;
+    match.TurnNumber += 1;
+    for (i = 1; i <= order.length; i += 1) {
+        if (match.TurnOrder.indexOf(order[(order.indexOf(actorNr) + i) % order.length]) > -1) {
+            startMatchTurn(match, order[(order.indexOf(actorNr) + i) % order.length], timestamp, rules);
+            return;
+        }
+    }
+}
+
+function recordMatchTurn(match, turn, rules) {
+    'use strict';
+    match.History.push(turn);
+    if (match.History.length > rules.Match.MaxHistory) {
+        match.History.splice(0, match.History.length - rules.Match.MaxHistory);
+    }
+}
+
+function forfeitMatch(match, actorNr, reason, timestamp, rules) {
+    'use strict';
+    var order = match.TurnOrder.slice();
+    match.Forfeited[actorNr] = { Timestamp: timestamp, Reason: reason };
+    match.TurnOrder = match.TurnOrder.filter(function (other) {
+        return other !== actorNr;
+    });
+    if (match.TurnOrder.length < 2) {
+        match.Status = 'Finished';
+        match.Winner = match.TurnOrder.length === 1 ? match.TurnOrder[0] : null;
+        match.Turn = null;
+        match.TurnDeadline = null;
+    } else if (match.Turn === actorNr) {
+        passMatchTurn(match, actorNr, order, timestamp, rules);
+    }
+}
+
+// Returns the match of 'room', started or brought up to date with its actors and deadline.
+function getMatchState(room, timestamp, rules) {
+    'use strict';
+    var match = room.Match, actors = getTurnOrder(room), order;
+    if (undefinedOrNull(match)) {
+        match = { Status: 'Active', TurnOrder: actors, TurnNumber: 1, Forfeited: {}, Winner: null, History: [] };
+        startMatchTurn(match, actors[0], timestamp, rules);
+        room.Match = match;
+        return match;
+    }
+    if (match.Status !== 'Active') {
+        return match;
+    }
+    actors.forEach(function (actorNr) {
+        if (match.TurnOrder.indexOf(actorNr) === -1 && !match.Forfeited.hasOwnProperty(actorNr)) {
+            match.TurnOrder.push(actorNr);
+        }
+    });
+    match.TurnOrder.filter(function (actorNr) {
+        return actors.indexOf(actorNr) === -1;
+    }).forEach(function (actorNr) {
+        forfeitMatch(match, actorNr, 'Left', timestamp, rules);
+    });
+    if (match.Status === 'Active' && !undefinedOrNull(match.TurnDeadline) && Date.parse(match.TurnDeadline) <= Date.parse(timestamp)) {
+        recordMatchTurn(match, { TurnNumber: match.TurnNumber, ActorNr: match.Turn, Timestamp: timestamp, TimedOut: true }, rules);
+        if (rules.Match.OnTimeout === 'Forfeit') {
+            forfeitMatch(match, match.Turn, 'TimedOut', timestamp, rules);
+        } else {
+            order = match.TurnOrder.slice();
+            passMatchTurn(match, match.Turn, order, timestamp, rules);
+        }
+    }
+    return match;
+}
+
+// What GetMatch and SubmitTurn return to the actor 'actorNr'.
+function getMatchView(gameId, room, actorNr) {
+    'use strict';
+    var match = room.Match;
+    return {
+        GameId: gameId,
+        Status: match.Status,
+        TurnOrder: match.TurnOrder.map(function (other) {
+            var actor = room.Actors[other] || {};
+            return { ActorNr: other, UserId: actor.UserId, Inactive: actor.Inactive };
+        }),
+        Turn: match.Turn,
+        TurnNumber: match.TurnNumber,
+        TurnStarted: match.TurnStarted,
+        TurnDeadline: match.TurnDeadline,
+        Forfeited: match.Forfeited,
+        Winner: match.Winner,
+        History: match.History,
+        ActorNr: actorNr,
+        IsMyTurn: match.Status === 'Active' && match.Turn === actorNr
+    };
+}
+
+// Pushes MATCH_NOTIFICATION to the player whose turn started since 'turnNumber' unless they are
+// the caller, a failed push does not undo the turn.
+function notifyMatchTurn(gameId, room, turnNumber, callerId, rules) {
+    'use strict';
+    var match = room.Match, recipient;
+    if (!rules.Match.Notify || match.Status !== 'Active' || match.TurnNumber === turnNumber || undefinedOrNull(room.Actors[match.Turn])) {
+        return;
+    }
+    recipient = room.Actors[match.Turn].UserId;
+    if (recipient === callerId) {
+        return;
+    }
+    try  {
+        server.SendPushNotification({ Recipient: recipient, Subject: MATCH_NOTIFICATION.Subject, Message: MATCH_NOTIFICATION.Message + gameId });
+    } catch (e) {
+        log.error('Could not notify ' + recipient + ' of turn ' + match.TurnNumber + ' in Room=' + gameId, { Error: e.Error ? e.Error.errorMessage : String(e) });
+    }
+}
+
+// updateGameState for the match WebRPC 'name', keeping the games list summaries of a saved game
+// in step with its turns.
+function updateMatchRoom(name, args, timestamp, apply) {
+    'use strict';
+    var changedSavedGame = false, room;
+    room = updateGameState(args.GameId, args.UserId, timestamp, { Type: name, GameId: args.GameId, UserId: args.UserId }, function (current, saved) {
+        var write = apply(current) !== false;
+        changedSavedGame = saved && write;
+        if (changedSavedGame) {
+            current.Summary = getGameSummary(current);
+        }
+        return write;
+    });
+    if (changedSavedGame) {
+        updateActorGameEntries(args.GameId, room);
+    }
+    return room;
+}
+
+// Reads the match of args.GameId, applying an expired turn deadline first.
+handlers.GetMatch = function (args) {
+    'use strict';
+    try  {
+        var timestamp = getISOTimestamp(), rules = getGameRules(args.AppVersion), room, actorNr, turnNumber;
+        checkWebRpcArgs(args, timestamp, 'GetMatch');
+        room = updateMatchRoom('GetMatch', args, timestamp, function (current) {
+            var match = current.Match, before = JSON.stringify(match);
+            actorNr = getRoomActorNr(current, args.UserId);
+            if (undefinedOrNull(actorNr)) {
+                throw new PhotonException(2, 'UserId=' + args.UserId + ' has no actor in Room=' + args.GameId, timestamp, { WebRpc: args });
+            }
+            turnNumber = undefinedOrNull(match) ? null : match.TurnNumber;
+            return JSON.stringify(getMatchState(current, timestamp, rules)) !== before;
+        });
+        notifyMatchTurn(args.GameId, room, turnNumber, args.UserId, rules);
+        return { ResultCode: 0, Data: getMatchView(args.GameId, room, actorNr) };
+    } catch (e) {
+        return getErrorResult('GetMatch', e, args);
+    }
+};
+
+// Plays turn args.TurnNumber of args.GameId with the optional args.Data, or forfeits the match
+// with args.Forfeit. Turns out of order are rejected with ResultCode 2, stale TurnNumbers with 7.
+handlers.SubmitTurn = function (args) {
+    'use strict';
+    try  {
+        var timestamp = getISOTimestamp(), rules = getGameRules(args.AppVersion), room, actorNr, turnNumber, rejection;
+        checkWebRpcArgs(args, timestamp, 'SubmitTurn');
+        room = updateMatchRoom('SubmitTurn', args, timestamp, function (current) {
+            var match = current.Match, before = JSON.stringify(match);
+            rejection = null;
+            actorNr = getRoomActorNr(current, args.UserId);
+            if (undefinedOrNull(actorNr)) {
+                throw new PhotonException(2, 'UserId=' + args.UserId + ' has no actor in Room=' + args.GameId, timestamp, { WebRpc: args });
+            }
+            turnNumber = undefinedOrNull(match) ? null : match.TurnNumber;
+            match = getMatchState(current, timestamp, rules);
+            if (match.Status !== 'Active') {
+                rejection = new PhotonException(2, 'Match is ' + match.Status, timestamp, { WebRpc: args, Match: match });
+            } else if (args.Forfeit === true) {
+                forfeitMatch(match, actorNr, 'Forfeit', timestamp, rules);
+                return true;
+            } else if (match.Turn !== actorNr) {
+                rejection = new PhotonException(2, 'Not your turn: it is ActorNr=' + match.Turn + ' turn', timestamp, { WebRpc: args, Match: match });
+            } else if (args.TurnNumber !== match.TurnNumber) {
+                rejection = new PhotonException(7, 'Stale TurnNumber=' + args.TurnNumber + ', the match is at TurnNumber=' + match.TurnNumber, timestamp, { WebRpc: args, Match: match });
+            } else {
+                recordMatchTurn(match, { TurnNumber: match.TurnNumber, ActorNr: actorNr, UserId: args.UserId, Timestamp: timestamp, Data: args.Data }, rules);
+                passMatchTurn(match, actorNr, match.TurnOrder.slice(), timestamp, rules);
+                return true;
+            }
+            // an expired deadline found on the way is kept even when the turn is refused
+            return JSON.stringify(match) !== before;
+        });
+        notifyMatchTurn(args.GameId, room, turnNumber, args.UserId, rules);
+        if (!undefinedOrNull(rejection)) {
+            throw rejection;
+        }
+        return { ResultCode: 0, Data: getMatchView(args.GameId, room, actorNr) };
+    } catch (e) {
+        return getErrorResult('SubmitTurn', e, args);
+    }
+};
+
+// Game invites
+//
+// A player of a game invites a friend with InviteToGame: the invitee must be in the inviter's
+// PlayFab friends list, so that players can't write into the games list of just anyone.
+// The invite is kept under 'Invites' in the room state, where it holds a seat, and as an entry
+// of the friend's games list:
+//   { Env, Creation, Invite: { From, Timestamp, Expires, Status: 'Pending' or 'Accepted' } }
+// so that GetGameList shows the game with its InviteStatus and a Load finds it through the creator.
+// AcceptInvite marks both accepted, the friend then joins through Photon and RoomJoined turns the
+// entry into a regular one. DeclineInvite removes both. Invites expire after the Invites.ExpirySeconds
+// game rule. Only rooms with CheckUserOnJoin take invites, so that no other UserId can take the
+// seat, and the actors and unexpired invites together can't exceed MaxPlayers.
+
+function isInviteExpired(invite, timestamp) {
+    'use strict';
+    return Date.parse(invite.Expires) <= Date.parse(timestamp);
+}
+
+function getInviteStatus(invite, timestamp) {
+    'use strict';
+    return isInviteExpired(invite, timestamp) ? 'Expired' : invite.Status;
+}
+
+// Drops the expired invites of 'room' and returns the seats the others hold, leaving out 'userId''s own.
+function countInvitedSeats(room, userId, timestamp) {
+    'use strict';
+    var invitee, seats = 0;
+    for (invitee in room.Invites) {
+        if (room.Invites.hasOwnProperty(invitee)) {
+            if (isInviteExpired(room.Invites[invitee], timestamp)) {
+                delete room.Invites[invitee];
+            } else if (invitee !== userId) {
+                seats += 1;
+            }
+        }
+    }
+    return seats;
+}
+
+// The caller's games list entry for the invite to args.GameId, throws a PhotonException when there is none.
+function getInviteEntry(args, timestamp) {
+    'use strict';
+    var entry = readGamesListEntry(getGamesListId(args.UserId), args.GameId);
+    if (undefinedOrNull(entry) || undefinedOrNull(entry.Invite)) {
+        throw new PhotonException(5, 'No invite to Room=' + args.GameId + ' for UserId=' + args.UserId, timestamp, { WebRpc: args });
+    }
+    return entry;
+}
+
+handlers.InviteToGame = function (args) {
+    'use strict';
+    try  {
+        var timestamp = getISOTimestamp(), rules = getGameRules(args.AppVersion), inviteeListId = getGamesListId(args.InviteeId), invite, entry, room;
+        checkWebRpcArgs(args, timestamp, 'InviteToGame');
+        if (!server.GetFriendsList({ PlayFabId: args.UserId }).Friends.some(function (friend) {
+                return friend.FriendPlayFabId === args.InviteeId;
+            })) {
+            throw new PhotonException(2, 'InviteeId=' + args.InviteeId + ' is not a friend of UserId=' + args.UserId, timestamp, { WebRpc: args });
+        }
+        invite = {
+            From: args.UserId,
+            Timestamp: timestamp,
+            Expires: new Date(Date.parse(timestamp) + rules.Invites.ExpirySeconds * 1000).toISOString(),
+            Status: 'Pending'
+        };
+        try  {
+            entry = getSharedGroupEntry(inviteeListId, args.GameId)[args.GameId];
+        } catch (e) {
+            if (!undefinedOrNull(e.Error) && e.Error.error === 'InvalidSharedGroupId') {
+                throw new PhotonException(5, 'InviteeId=' + args.InviteeId + ' has no games list', timestamp, { WebRpc: args });
+            }
+            throw e;
+        }
+        if (!undefinedOrNull(entry) && undefinedOrNull(entry.Invite)) {
+            throw new PhotonException(2, 'InviteeId=' + args.InviteeId + ' is already in Room=' + args.GameId, timestamp, { WebRpc: args });
+        }
+        room = updateGameState(args.GameId, args.UserId, timestamp, { Type: 'InviteToGame', GameId: args.GameId, UserId: args.UserId }, function (current) {
+            var options = current.RoomOptions || {};
+            if (undefinedOrNull(getRoomActorNr(current, args.UserId))) {
+                throw new PhotonException(2, 'UserId=' + args.UserId + ' has no actor in Room=' + args.GameId, timestamp, { WebRpc: args });
+            }
+            if (options.CheckUserOnJoin !== true) {
+                throw new PhotonException(2, 'Room=' + args.GameId + ' does not CheckUserOnJoin, invites cant hold a seat', timestamp, { WebRpc: args });
+            }
+            if (!undefinedOrNull(getRoomActorNr(current, args.InviteeId))) {
+                throw new PhotonException(2, 'InviteeId=' + args.InviteeId + ' is already in Room=' + args.GameId, timestamp, { WebRpc: args });
+            }
+            if (options.MaxPlayers > 0 && Object.keys(current.Actors).length + countInvitedSeats(current, args.InviteeId, timestamp) >= options.MaxPlayers) {
+                throw new PhotonException(2, 'Room=' + args.GameId + ' is full', timestamp, { WebRpc: args, RoomOptions: options });
+            }
+            if (undefinedOrNull(current.Invites)) {
+                current.Invites = {};
+            }
+            current.Invites[args.InviteeId] = invite;
+        });
+        updateGamesListEntry(inviteeListId, args.GameId, { Env: room.Env, Creation: room.Creation, Invite: invite });
+        return { ResultCode: 0, Data: { GameId: args.GameId, InviteeId: args.InviteeId, Expires: invite.Expires } };
+    } catch (e) {
+        return getErrorResult('InviteToGame', e, args);
+    }
+};
+
+handlers.AcceptInvite = function (args) {
+    'use strict';
+    try  {
+        var timestamp = getISOTimestamp(), entry;
+        checkWebRpcArgs(args, timestamp, 'AcceptInvite');
+        entry = getInviteEntry(args, timestamp);
+        if (isInviteExpired(entry.Invite, timestamp)) {
+            throw new PhotonException(2, 'Invite to Room=' + args.GameId + ' expired at ' + entry.Invite.Expires, timestamp, { WebRpc: args });
+        }
+        updateGameState(args.GameId, args.UserId, timestamp, { Type: 'AcceptInvite', GameId: args.GameId, UserId: args.UserId }, function (current) {
+            var invite = undefinedOrNull(current.Invites) ? undefined : current.Invites[args.UserId];
+            if (undefinedOrNull(invite) || isInviteExpired(invite, timestamp)) {
+                throw new PhotonException(2, 'Invite to Room=' + args.GameId + ' was withdrawn', timestamp, { WebRpc: args });
+            }
+            invite.Status = 'Accepted';
+        });
+        entry.Invite.Status = 'Accepted';
+        updateGamesListEntry(getGamesListId(args.UserId), args.GameId, entry);
+        return { ResultCode: 0, Data: { GameId: args.GameId, Creator: entry.Creation.UserId, Invite: entry.Invite } };
+    } catch (e) {
+        return getErrorResult('AcceptInvite', e, args);
+    }
+};
+
+handlers.DeclineInvite = function (args) {
+    'use strict';
+    try  {
+        var timestamp = getISOTimestamp();
+        checkWebRpcArgs(args, timestamp, 'DeclineInvite');
+        getInviteEntry(args, timestamp);
+        try  {
+            updateGameState(args.GameId, args.UserId, timestamp, { Type: 'DeclineInvite', GameId: args.GameId, UserId: args.UserId }, function (current) {
+                if (undefinedOrNull(current.Invites) || !current.Invites.hasOwnProperty(args.UserId)) {
+                    return false;
+                }
+                delete current.Invites[args.UserId];
+            });
+        } catch (e) {
+            // a closed game has no seat left to free
+            if (!(e instanceof PhotonException) || e.ResultCode !== 5) {
+                throw e;
+            }
+        }
+        deleteSharedGroupEntry(getGamesListId(args.UserId), args.GameId);
+        return { ResultCode: 0, Message: 'OK' };
+    } catch (e) {
+        return getErrorResult('DeclineInvite', e, args);
+    }
+};
+
+// Lists the caller's invites as GameId -> { From, Creator, Timestamp, Expires, Status }, expired ones included.
+handlers.ListInvites = function (args) {
+    'use strict';
+    try  {
+        var timestamp = getISOTimestamp(), gameList, invites = {};
+        checkWebRpcArgs(args, timestamp);
+        gameList = readGamesList(getGamesListId(args.UserId));
+        Object.keys(gameList).forEach(function (gameId) {
+            var invite = gameList[gameId].Invite;
+            if (!undefinedOrNull(invite)) {
+                invites[gameId] = {
+                    From: invite.From,
+                    Creator: gameList[gameId].Creation.UserId,
+                    Timestamp: invite.Timestamp,
+                    Expires: invite.Expires,
+                    Status: getInviteStatus(invite, timestamp)
+                };
+            }
+        });
+        return { ResultCode: 0, Data: invites };
+    } catch (e) {
+        return getErrorResult('ListInvites', e, args);
+    }
+};
+
+// Room cleanup
+//
+// When RoomClosed never comes (a crash, a failed webhook) the room shared group and the games list
+// entries of its players stay behind. CleanupRooms is meant for a scheduled task: run for each player
+// of a segment it scans that player's games list, run without a player it scans the games lists of
+// args.PlayerIds. Each listed game is resolved like a Load does and removed when:
+//   OrphanedRoom     its shared group is still open with no activity for OpenRoomTTLSeconds
+//   StaleSavedGame   it is saved with no activity for SavedGameTTLSeconds
+//   MissingGame      it is neither open nor saved, only the scanned entry is removed
+//   ExpiredInvite    the entry is an invite past its expiry, only the scanned entry is removed
+// Run without a player, the first two delete the shared group and the game's entry from the games
+// lists of the creator, every actor and every invitee. A player's run only ever removes entries
+// from that player's own games list, so no player can delete rooms or entries of others. Activity
+// is the newest timestamp in the room state (LastActivity, stamped by every write and room event,
+// creation, event maps and their summaries, the last move and match turns).
+// PlayFab caps the API calls of an execution (15 on the standard tier). A run makes at most
+// MaxApiCallsPerRun of them: a step (reading a games list, resolving a game, removing it) is only
+// started when its worst case fits, otherwise the scan stops and the report says it was cut short.
+// args: DryRun to only report and, for the scheduled task run without a player only, PlayerIds,
+// OpenRoomTTLSeconds, SavedGameTTLSeconds and MaxApiCallsPerRun (ROOM_CLEANUP defaults): a player's
+// run always uses the defaults, so players can't expire games still in play.
+// Data is the report { Scanned, ApiCalls, Truncated, DryRun, Removed: [...], Errors: [...] }.
+var ROOM_CLEANUP = {
+    OpenRoomTTLSeconds: 86400,
+    SavedGameTTLSeconds: 2592000,
+    MaxApiCallsPerRun: 15
+};
+
+var RoomCleanupSchema = {
+    fields: {
+        PlayerIds: { type: 'array' },
+        OpenRoomTTLSeconds: { type: 'number', min: 60 },
+        SavedGameTTLSeconds: { type: 'number', min: 60 },
+        MaxApiCallsPerRun: { type: 'number', min: 5 },
+        DryRun: { type: 'boolean' }
+    }
+};
+
+// Newest ISO timestamp found in the room state 'data'.
+function getRoomLastActivity(data) {
+    'use strict';
+    var last = undefinedOrNull(data.Creation) ? '' : data.Creation.Timestamp || '';
+    function consider(timestamp) {
+        if (isString(timestamp) && timestamp > last) {
+            last = timestamp;
+        }
+    }
+    if (!undefinedOrNull(data.LastActivity)) {
+        consider(data.LastActivity.Timestamp);
+    }
+    if (!undefinedOrNull(data.Moves) && !undefinedOrNull(data.Moves.Last)) {
+        consider(data.Moves.Last.Timestamp);
+    }
+    ROOM_EVENT_MAPS.forEach(function (mapName) {
+        Object.keys(data[mapName] || {}).forEach(consider);
+        if (!undefinedOrNull(data.EventSummary) && !undefinedOrNull(data.EventSummary[mapName])) {
+            consider(data.EventSummary[mapName].Newest);
+        }
+    });
+    if (!undefinedOrNull(data.Match)) {
+        consider(data.Match.TurnStarted);
+    }
+    return last;
+}
+
+function isOlderThan(timestamp, seconds, now) {
+    'use strict';
+    return Date.parse(timestamp) + seconds * 1000 <= Date.parse(now);
+}
+
+// Whether 'calls' more API calls fit the budget of the run, the run is marked Truncated when not.
+function fitsCleanupBudget(calls, options, report) {
+    'use strict';
+    if (report.ApiCalls + calls > options.MaxApiCallsPerRun) {
+        report.Truncated = true;
+        return false;
+    }
+    return true;
+}
+
+// Removes 'gameId' from the games list of 'playerId', returns whether it was there. Up to 2 API calls.
+function removeGamesListEntry(playerId, gameId, report) {
+    'use strict';
+    var listId = getGamesListId(playerId);
+    try  {
+        report.ApiCalls += 1;
+        if (undefinedOrNull(getSharedGroupEntry(listId, gameId)[gameId])) {
+            return false;
+        }
+        if (!report.DryRun) {
+            report.ApiCalls += 1;
+            deleteSharedGroupEntry(listId, gameId);
+        }
+        return true;
+    } catch (e) {
+        report.Errors.push({ GameId: gameId, PlayerId: playerId, Message: e.Error ? e.Error.errorMessage : String(e) });
+        return false;
+    }
+}
+
+// Removes the room 'data': its shared group when open and every player's entry, or only the entry
+// of 'playerId' with options.OwnEntryOnly. Returns false, removing nothing, when it doesn't fit the budget.
+function removeStaleGame(playerId, gameId, data, open, options, removal, report) {
+    'use strict';
+    var players = options.OwnEntryOnly ? [playerId] : getGamePlayers(data);
+    if (!fitsCleanupBudget((open && !options.OwnEntryOnly ? 1 : 0) + 2 * players.length, options, report)) {
+        return false;
+    }
+    if (open && !options.OwnEntryOnly) {
+        if (!report.DryRun) {
+            report.ApiCalls += 1;
+            deleteSharedGroup(gameId);
+        }
+        removal.SharedGroupDeleted = true;
+    }
+    removal.EntriesRemoved = players.filter(function (player) {
+        return removeGamesListEntry(player, gameId, report);
+    });
+    return true;
+}
+
+// Looks at the entry 'gameId' of the games list of 'playerId' and removes what is stale.
+// Returns true when the whole game was looked at, false when only this entry was.
+function cleanupGamesListEntry(playerId, gameId, entry, options, now, report) {
+    'use strict';
+    var removal = { GameId: gameId, PlayerId: playerId }, room, saved;
+    if (!undefinedOrNull(entry.Invite) && isInviteExpired(entry.Invite, now)) {
+        removal.Reason = 'ExpiredInvite';
+        removal.EntriesRemoved = removeGamesListEntry(playerId, gameId, report) ? [playerId] : [];
+        report.Removed.push(removal);
+        return false;
+    }
+    try  {
+        report.ApiCalls += 1;
+        room = readRoomState(gameId);
+    } catch (e) {
+        if (undefinedOrNull(e.Error) || e.Error.error !== 'InvalidSharedGroupId') {
+            throw e;
+        }
+    }
+    if (!undefinedOrNull(room) && !undefinedOrNull(room.Creation)) {
+        removal.LastActivity = getRoomLastActivity(room);
+        if (!isOlderThan(removal.LastActivity, options.OpenRoomTTLSeconds, now)) {
+            return true;
+        }
+        removal.Reason = 'OrphanedRoom';
+        if (!removeStaleGame(playerId, gameId, room, true, options, removal, report)) {
+            return false;
+        }
+    } else {
+        if (entry.Creation.UserId === playerId) {
+            saved = entry;
+        } else {
+            report.ApiCalls += 1;
+            saved = readGamesListEntry(getGamesListId(entry.Creation.UserId), gameId);
+        }
+        if (undefinedOrNull(saved) || undefinedOrNull(saved.State)) {
+            if (!fitsCleanupBudget(2, options, report)) {
+                return false;
+            }
+            removal.Reason = 'MissingGame';
+            removal.EntriesRemoved = removeGamesListEntry(playerId, gameId, report) ? [playerId] : [];
+        } else {
+            removal.LastActivity = getRoomLastActivity(saved);
+            if (!isOlderThan(removal.LastActivity, options.SavedGameTTLSeconds, now)) {
+                return true;
+            }
+            removal.Reason = 'StaleSavedGame';
+            if (!removeStaleGame(playerId, gameId, saved, false, options, removal, report)) {
+                return false;
+            }
+        }
+    }
+    report.Removed.push(removal);
+    return !options.OwnEntryOnly && (removal.Reason === 'OrphanedRoom' || removal.Reason === 'StaleSavedGame');
+}
+
+handlers.CleanupRooms = function (args) {
+    'use strict';
+    var timestamp = getISOTimestamp(), violations = [], options = {}, playerIds, handled = {},
+        report = { Timestamp: timestamp, Scanned: 0, ApiCalls: 0, Truncated: false, Removed: [], Errors: [] };
+    args = args || {};
+    try  {
+        validateSchema(RoomCleanupSchema, args, violations);
+        throwViolations(violations, timestamp, args);
+        Object.keys(ROOM_CLEANUP).forEach(function (key) {
+            options[key] = undefinedOrNull(args[key]) ? ROOM_CLEANUP[key] : args[key];
+        });
+        report.DryRun = args.DryRun === true;
+        if (!undefinedOrNull(currentPlayerId)) {
+            ['PlayerIds'].concat(Object.keys(ROOM_CLEANUP)).forEach(function (key) {
+                if (!undefinedOrNull(args[key])) {
+                    throw new PhotonException(3, key + ' can only be given to a scheduled task run without a player', timestamp, args);
+                }
+            });
+            playerIds = [currentPlayerId];
+            options.OwnEntryOnly = true;
+        } else {
+            playerIds = args.PlayerIds || [];
+        }
+
+        playerIds.forEach(function (playerId) {
+            var gameList;
+            if (report.Truncated || !fitsCleanupBudget(1, options, report)) {
+                return;
+            }
+            try  {
+                report.ApiCalls += 1;
+                gameList = readGamesList(getGamesListId(playerId));
+            } catch (e) {
+                report.Errors.push({ PlayerId: playerId, Message: e.Error ? e.Error.errorMessage : String(e) });
+                return;
+            }
+            Object.keys(gameList).forEach(function (gameId) {
+                if (handled.hasOwnProperty(gameId)) {
+                    return;
+                }
+                // an expired invite needs 2 calls, resolving a game up to 2 before its removal is budgeted
+                if (report.Truncated || !fitsCleanupBudget(2, options, report)) {
+                    return;
+                }
+                report.Scanned += 1;
+                try  {
+                    if (cleanupGamesListEntry(playerId, gameId, gameList[gameId], options, timestamp, report)) {
+                        handled[gameId] = true;
+                    }
+                } catch (e) {
+                    report.Errors.push({ GameId: gameId, PlayerId: playerId, Message: e.Error ? e.Error.errorMessage : String(e) });
+                }
+            });
+        });
+        log.info('Room cleanup: ' + report.Removed.length + ' of ' + report.Scanned + ' games removed' + (report.DryRun ? ' (dry run)' : ''), report);
+        return { ResultCode: 0, Data: report };
+    } catch (e) {
+        return getErrorResult('CleanupRooms', e, args);
+    }
+};
+
+// Client handlers
+//
+// Handlers called through ExecuteCloudScript are defined with registerClientHandler:
+//   options.args           schema (see PhotonSchemas) the FunctionParameter must satisfy
+//   options.context        schema of the PlayStream context, for handlers run by PlayStream actions
+//   options.requirePlayer  currentPlayerId must be set, true unless set to false
+// handler(args, context) returns the data for the client, or throws a ClientError for an
+// expected failure. The client always gets { ok, data, error: { code, message } }: validation
+// failures are reported as MissingArgument or InvalidArgument with the violations in
+// error.details, and unexpected exceptions are journaled and reported as InternalError.
+function ClientError(code, message, details) {
+    'use strict';
+    this.Code = code;
+    this.Message = message;
+    this.Details = details;
+}
+
+ClientError.prototype = Object.create(Error.prototype);
+ClientError.prototype.constructor = ClientError;
+
+function getClientErrorResult(name, e, args) {
+    'use strict';
+    var error;
+    if (e instanceof ClientError) {
+        error = { code: e.Code, message: e.Message };
+        if (!undefinedOrNull(e.Details)) {
+            error.details = e.Details;
+        }
+    } else {
+        journalException(name, e, args);
+        error = { code: 'InternalError', message: e.name + ': ' + e.message };
+    }
+    return { ok: false, data: null, error: error };
+}
+
+function registerClientHandler(name, options, handler) {
+    'use strict';
+    handlers[name] = function (args, context) {
+        var violations = [], data;
+        args = args || {};
+        context = context || {};
+        try  {
+            if (options.requirePlayer !== false && undefinedOrNull(currentPlayerId)) {
+                throw new ClientError('Unauthorized', name + ' must be called by a player');
+            }
+            validateSchema(options.args || {}, args, violations);
+            if (!undefinedOrNull(options.context)) {
+                validateFields(options.context.fields, context, 'context.', violations);
+            }
+            if (violations.length > 0) {
+                throw new ClientError(violations[0].Code === 1 ? 'MissingArgument' : 'InvalidArgument', violations.map(function (v) {
+                    return v.Message;
+                }).join('; '), violations);
+            }
+            data = handler(args, context);
+            return { ok: true, data: undefinedOrNull(data) ? null : data, error: null };
+        } catch (e) {
+            return getClientErrorResult(name, e, args);
+        }
+    };
+}
+
+// This is a Cloud Script function. "args" is set to the value of the "FunctionParameter"
+// parameter of the ExecuteCloudScript API.
+// (https://api.playfab.com/Documentation/Client/method/ExecuteCloudScript)
+// "context" contains additional information when the Cloud Script function is called from a PlayStream action.
+registerClientHandler('helloWorld', { args: { fields: { inputValue: {} } } }, function (args, context) {
+    // The pre-defined "currentPlayerId" variable is initialized to the PlayFab ID of the player logged-in on the game client.
+    // Cloud Script handles authenticating the player automatically.
+    var message = "Hello " + currentPlayerId + "!";
+
+    // You can use the "log" object to write out debugging statements. It has
+    // three functions corresponding to logging level: debug, info, and error. These functions
+    // take a message string and an optional object.
+    log.info(message);
+    var inputValue = null;
+    if (args.inputValue)
+        inputValue = args.inputValue;
+    log.debug("helloWorld:", { input: inputValue });
+
+    // The value you return from a Cloud Script function is passed back
+    // to the game client in the ExecuteCloudScript API response, along with any log statements
+    // and additional diagnostic information, such as any errors returned by API calls or external HTTP
+    // requests. They are also included in the optional player_executed_cloudscript PlayStream event
+    // generated by the function execution.
+    // (https://api.playfab.com/playstream/docs/PlayStreamEventModels/player/player_executed_cloudscript)
+    return { messageValue: message };
+});
+
+// This is a simple example of making a PlayFab server API call
+registerClientHandler('makeAPICall', {}, function (args, context) {
+    var rules = getGameRules();
+    var request = {
+        PlayFabId: currentPlayerId, Statistics: [{
+                StatisticName: rules.Statistics.Level,
+                Value: rules.MakeAPICall.Level
+            }]
+    };
+
+    // The pre-defined "server" object has functions corresponding to each PlayFab server API
+    // (https://api.playfab.com/Documentation/Server). It is automatically
+    // authenticated as your title and handles all communication with
+    // the PlayFab API, so you don't have to write extra code to issue HTTP requests.
+    var playerStatResult = server.UpdatePlayerStatistics(request);
+    return { statisticName: rules.Statistics.Level, value: rules.MakeAPICall.Level };
+});
+
+// This is a simple example of making a web request to an external HTTP API.
+// The endpoint comes from the game rules and the request goes through httpRequest,
+// which checks the host and logs the attempt. It is not signed (no options.sign): the
+// example endpoint has no HttpSigningSecret to verify the signature with.
+registerClientHandler('makeHTTPRequest', {}, function (args, context) {
+    var headers = {
+        "X-MyCustomHeader": "Some Value"
+    };
+
+    var body = {
+        input: args,
+        userId: currentPlayerId,
+        mode: "foobar"
+    };
+
+    var url = getGameRules().Endpoints.HttpExample;
+
+    // The pre-defined http object makes synchronous HTTP requests
+    try  {
+        return { responseContent: httpRequest({ url: url, method: 'post', body: body, headers: headers, json: false }) };
+    } catch (e) {
+        if (e instanceof HttpRequestError) {
+            throw new ClientError(e.Reason, e.message, e.Details);
+        }
+        throw e;
+    }
+});
+
+// PlayStream forwarding
+//
+// Events are forwarded to external sinks according to the routing table kept in the title
+// internal data PLAYSTREAM_FORWARDER.RoutesKey:
+//   {
+//     "Sinks": {
+//       "analytics": { "Url": "https://analytics.example.com/events", "Fields": ["EventName", "StatisticValue", "Profile.DisplayName"],
+//                      "BatchSize": 20, "Sign": true, "Retries": 1 }
+//     },
+//     "Routes": { "player_statistic_changed": ["analytics"], "*": ["archive"] }
+//   }
+// Routes are keyed by the event names of PlayStreamModels (PlayStreamEventGroups), "*" matches
+// every event. Fields projects each event onto the listed paths ("Profile." paths read the player
+// profile), the whole event is sent without it. Events queued during an execution are posted
+// with flushPlayStreamEvents as { Events: [...] }, at most BatchSize per request, through
+// httpRequest (so the sink host must be allowlisted; Retries implies the sink tolerates
+// duplicates). A batch that can't be delivered is kept in the PLAYSTREAM_FORWARDER.DeadLetterGroupId
+// shared group under its sink name, the latest MaxDeadLetters per sink.
+var PLAYSTREAM_FORWARDER = {
+    RoutesKey: 'PlayStreamRoutes',
+    DeadLetterGroupId: '_PlayStreamDeadLetters',
+    MaxDeadLetters: 100,
+    DefaultBatchSize: 20
+};
+
+// Event names declared in TypeScript/Scripts/typings/PlayFab/PlayStream.d.ts, by PlayStream group.
+var PlayStreamEventGroups = {
+    none: ['developer_logged_in', 'developer_registered', 'studio_created', 'studio_user_added', 'studio_user_invited', 'studio_user_removed'],
+    character: ['character_consumed_item', 'character_created', 'character_inventory_item_added', 'character_statistic_changed',
+        'character_vc_item_purchased', 'character_virtual_currency_balance_changed'],
+    partner: ['display_name_filtered', 'player_display_name_filtered', 'player_photon_session_authenticated'],
+    player: ['player_ad_campaign_attribution', 'player_ad_closed', 'player_added_title', 'player_ad_ended', 'player_ad_opened',
+        'player_ad_rewarded', 'player_ad_activity_valued', 'player_ad_started', 'player_banned', 'player_changed_avatar',
+        'player_completed_password_reset', 'player_consumed_item', 'player_created', 'player_displayname_changed',
+        'player_executed_cloudscript', 'player_inventory_item_added', 'player_joined_lobby', 'player_left_lobby',
+        'player_linked_account', 'player_logged_in', 'player_matched_with_lobby', 'player_password_reset_link_sent',
+        'player_ranked_on_leaderboard_version', 'player_realmoney_purchase', 'player_receipt_validation', 'player_redeemed_coupon',
+        'player_registered_push_notifications', 'player_reported_as_abusive', 'player_statistic_changed', 'player_statistic_deleted',
+        'player_tag_added', 'player_tag_removed', 'player_triggered_action_executed_cloudscript', 'player_unlinked_account',
+        'player_vc_item_purchased', 'player_virtual_currency_balance_changed'],
+    session: ['gamelobby_ended', 'gamelobby_started', 'session_ended', 'session_started'],
+    title: ['title_aborted_task', 'title_added_cloudscript', 'title_game_build_added', 'title_api_settings_changed',
+        'title_catalog_updated', 'title_client_rate_limited_alert', 'title_completed_task', 'title_created_task',
+        'title_deleted_task', 'title_exceeded_limit', 'title_high_error_rate_alert', 'title_initiated_player_password_reset',
+        'title_limit_changed', 'title_game_build_modified', 'title_news_updated', 'title_permission_policy_changed',
+        'title_published_cloudscript', 'title_requested_limit_change', 'title_scheduled_cloudscript_executed',
+        'title_secret_key_changed', 'title_started_task', 'title_statistic_version_changed', 'title_store_updated',
+        'title_updated_task']
+};
+
+var PlayStreamRoutesSchema = {
+    fields: {
+        Sinks: {
+            type: 'object',
+            required: true,
+            values: {
+                type: 'object',
+                fields: {
+                    Url: { type: 'string', required: true },
+                    Fields: { type: 'array' },
+                    BatchSize: { type: 'number', min: 1 },
+                    Sign: { type: 'boolean' },
+                    Retries: { type: 'number', min: 0 }
+                }
+            }
+        },
+        Routes: { type: 'object', required: true, values: { type: 'array' } }
+    }
+};
+
+// Script globals do not outlive an execution: the queue only batches the events of the current one.
+var playStreamQueue = {};
+
+function isPlayStreamEventName(name) {
+    'use strict';
+    var group;
+    for (group in PlayStreamEventGroups) {
+        if (PlayStreamEventGroups.hasOwnProperty(group) && PlayStreamEventGroups[group].indexOf(name) > -1) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function validatePlayStreamRoutes(table) {
+    'use strict';
+    var violations = [], eventName;
+    if (undefinedOrNull(table) || getSchemaType(table) !== 'object') {
+        return [schemaViolation(2, '', 'type', 'Wrong type: routing table is ' + getSchemaType(table) + ' instead of object')];
+    }
+    validateFields(PlayStreamRoutesSchema.fields, table, '', violations);
+    if (violations.length > 0) {
+        return violations;
+    }
+    for (eventName in table.Routes) {
+        if (table.Routes.hasOwnProperty(eventName)) {
+            if (eventName !== '*' && !isPlayStreamEventName(eventName)) {
+                violations.push(schemaViolation(2, 'Routes.' + eventName, 'oneOf', 'Unknown PlayStream event: ' + eventName));
+            }
+            table.Routes[eventName].forEach(function (sink) {
+                if (!table.Sinks.hasOwnProperty(sink)) {
+                    violations.push(schemaViolation(2, 'Routes.' + eventName, 'oneOf', 'Unknown sink: ' + sink));
+                }
+            });
+        }
+    }
+    return violations;
+}
+
+// The routing table, or null when none is configured or it is invalid.
+function getPlayStreamRoutes() {
+    'use strict';
+    return readTitleDataOnce(PLAYSTREAM_FORWARDER.RoutesKey, true, function (stored) {
+        var table, violations;
+        if (undefinedOrNull(stored)) {
+            return null;
+        }
+        try  {
+            table = JSON.parse(stored);
+        } catch (e) {
+            log.error('Could not parse ' + PLAYSTREAM_FORWARDER.RoutesKey + ', nothing is forwarded', { Error: e.message });
+            return null;
+        }
+        violations = validatePlayStreamRoutes(table);
+        if (violations.length > 0) {
+            log.error('Invalid ' + PLAYSTREAM_FORWARDER.RoutesKey + ', nothing is forwarded', { Violations: violations });
+            return null;
+        }
+        return table;
+    });
+}
+
+function getPath(value, path) {
+    'use strict';
+    var parts = path.split('.'), i;
+    for (i = 0; i < parts.length && !undefinedOrNull(value); i += 1) {
+        value = value[parts[i]];
+    }
+    return value;
+}
+
+function projectPlayStreamEvent(fields, playStreamEvent, profile) {
+    'use strict';
+    var projected = {};
+    if (undefinedOrNull(fields)) {
+        return playStreamEvent;
+    }
+    fields.forEach(function (field) {
+        var value = field.indexOf('Profile.') === 0 ? getPath(profile, field.substring(8)) : getPath(playStreamEvent, field);
+        if (value !== undefined) {
+            projected[field] = value;
+        }
+    });
+    return projected;
+}
+
+// Queues 'playStreamEvent' for every sink routed from its EventName and returns the sink names.
+function queuePlayStreamEvent(playStreamEvent, profile) {
+    'use strict';
+    var table = getPlayStreamRoutes(), sinks = [];
+    if (table === null || undefinedOrNull(playStreamEvent)) {
+        return sinks;
+    }
+    (table.Routes[playStreamEvent.EventName] || []).concat(table.Routes['*'] || []).forEach(function (sink) {
+        if (sinks.indexOf(sink) === -1) {
+            sinks.push(sink);
+            playStreamQueue[sink] = playStreamQueue[sink] || [];
+            playStreamQueue[sink].push(projectPlayStreamEvent(table.Sinks[sink].Fields, playStreamEvent, profile));
+        }
+    });
+    return sinks;
+}
+
+function recordPlayStreamDeadLetter(sink, url, events, e) {
+    'use strict';
+    var entry = { Timestamp: getISOTimestamp(), Sink: sink, Url: url, Error: e.message, Events: events }, stored, letters, update = {};
+    try  {
+        try  {
+            stored = getSharedGroupEntry(PLAYSTREAM_FORWARDER.DeadLetterGroupId, sink);
+        } catch (readError) {
+            if (undefinedOrNull(readError.Error) || readError.Error.error !== "InvalidSharedGroupId") {
+                throw readError;
+            }
+            createSharedGroup(PLAYSTREAM_FORWARDER.DeadLetterGroupId);
+            stored = {};
+        }
+        letters = stored[sink] || [];
+        letters.push(entry);
+        update[sink] = letters.slice(-PLAYSTREAM_FORWARDER.MaxDeadLetters);
+        updateSharedGroupData(PLAYSTREAM_FORWARDER.DeadLetterGroupId, update);
+    } catch (writeError) {
+        log.error('PlayStream dead letter write failed', { Entry: entry, Error: writeError.Error || writeError.message });
+    }
+}
+
+// Posts the queued events and empties the queue. Returns { Sent: { sink: count }, DeadLettered: { sink: count } }.
+function flushPlayStreamEvents() {
+    'use strict';
+    var table = getPlayStreamRoutes(), result = { Sent: {}, DeadLettered: {} }, sink, config, events, batchSize, batch, i;
+    for (sink in playStreamQueue) {
+        if (playStreamQueue.hasOwnProperty(sink)) {
+            config = table.Sinks[sink];
+            events = playStreamQueue[sink];
+            batchSize = config.BatchSize || PLAYSTREAM_FORWARDER.DefaultBatchSize;
+            for (i = 0; i < events.length; i += batchSize) {
+                batch = events.slice(i, i + batchSize);
+                try  {
+                    httpRequest({ url: config.Url, method: 'post', body: { Events: batch }, sign: config.Sign === true,
+                        retries: config.Retries, idempotent: true, json: false });
+                    result.Sent[sink] = (result.Sent[sink] || 0) + batch.length;
+                } catch (e) {
+                    recordPlayStreamDeadLetter(sink, config.Url, batch, e);
+                    result.DeadLettered[sink] = (result.DeadLettered[sink] || 0) + batch.length;
+                }
+            }
+        }
+    }
+    playStreamQueue = {};
+    return result;
+}
+
+var PlayStreamContextSchema = {
+    fields: {
+        playStreamEvent: { type: 'object', required: true, fields: { EventName: { type: 'string', required: true } } },
+        playerProfile: { type: 'object' }
+    }
+};
+
+// This is a simple example of a function that is called from a
+// PlayStream event action. (https://playfab.com/introducing-playstream/)
+// It forwards the event to the sinks routed from its name. Only the event PlayStream passes in
+// the context is forwarded: game clients can call the handler too, but without a PlayStream
+// event their calls are refused, so they can't feed made-up events to the sinks.
+registerClientHandler('handlePlayStreamEventAndProfile', { context: PlayStreamContextSchema }, function (args, context) {
+    'use strict';
+    // The event that triggered the action
+    // (https://api.playfab.com/playstream/docs/PlayStreamEventModels)
+    var psEvent = context.playStreamEvent;
+
+    // The profile data of the player associated with the event
+    // (https://api.playfab.com/playstream/docs/PlayStreamProfileModels)
+    var profile = context.playerProfile;
+
+    // Queue the event for the external APIs routed from it, then post them
+    queuePlayStreamEvent(psEvent, profile);
+    return flushPlayStreamEvents();
+});
+
+// Level completion checks
+//
+// startLevel opens a level attempt and hands out its token, "<attempt id>.<HMAC-SHA256 signature>"
+// keyed with the title internal data LEVEL_TOKEN_SECRET_KEY. The current attempt is kept in the
+// player's internal data under LEVEL_ATTEMPT_KEY and completedLevel must present its token.
+// completedLevel submissions are held against the "Levels" game rules: at most MaxKills monsters
+// and at least MinSeconds since the attempt started (both overridable in PerLevel), no level
+// past the next one in Order and a single submission per attempt. The progression check is
+// opt-in: the script can't know the levels of a title, so with the default empty Order any
+// level can be completed in any order. Titles with a fixed sequence must set Levels.Order.
+// Each check returns null or a flag; a flagged submission is not recorded. It is appended to the
+// player's internal data under LEVEL_FLAGS_KEY, keeping the latest AntiCheat.MaxFlags, and the
+// player is tagged with AntiCheat.Tag so that the submission can be reviewed.
+// Finished attempts, completed, flagged or abandoned by starting another one, are listed under
+// LEVEL_HISTORY_KEY (the latest Levels.MaxHistory) with their duration and kills.
+var LEVEL_ATTEMPT_KEY = 'levelAttempt';
+var LEVEL_HISTORY_KEY = 'levelAttempts';
+var LEVEL_PROGRESS_KEY = 'levelProgress';
+var LEVEL_FLAGS_KEY = 'levelFlags';
+var LEVEL_TOKEN_SECRET_KEY = 'LevelAttemptSecret';
+
+function levelFlag(check, message, expected, actual) {
+    'use strict';
+    var flag = { Check: check, Message: message };
+    if (!undefinedOrNull(expected)) {
+        flag.Expected = expected;
+        flag.Actual = actual;
+    }
+    return flag;
+}
+
+// Limit 'name' of 'level', from PerLevel when it overrides it.
+function getLevelLimit(rules, level, name) {
+    'use strict';
+    var perLevel = rules.Levels.PerLevel[level];
+    return !undefinedOrNull(perLevel) && !undefinedOrNull(perLevel[name]) ? perLevel[name] : rules.Levels[name];
+}
+
+var LevelCompletionChecks = [
+    function (submission, player, rules) {
+        'use strict';
+        var kills = submission.MonstersKilled, maxKills = getLevelLimit(rules, submission.Level, 'MaxKills');
+        if (typeof kills !== 'number' || Math.floor(kills) !== kills || kills < 0) {
+            return levelFlag('kills', 'monstersKilled must be a positive integer', 'integer', kills);
+        }
+        if (kills > maxKills) {
+            return levelFlag('kills', kills + ' kills exceed the maximum of ' + maxKills + ' for ' + submission.Level, maxKills, kills);
+        }
+        return null;
+    },
+    function (submission, player) {
+        'use strict';
+        var attempt = player.Attempt;
+        if (undefinedOrNull(attempt) || !signaturesEqual(submission.Token, player.Token)) {
+            return levelFlag('token', 'no valid attempt token for ' + submission.Level);
+        }
+        if (attempt.Level !== submission.Level) {
+            return levelFlag('token', 'the attempt token was issued for ' + attempt.Level, attempt.Level, submission.Level);
+        }
+        if (attempt.Completed === true) {
+            return levelFlag('duplicate', submission.Level + ' attempt started at ' + attempt.StartedAt + ' was already submitted');
+        }
+        return null;
+    },
+    function (submission, player, rules) {
+        'use strict';
+        var minSeconds = getLevelLimit(rules, submission.Level, 'MinSeconds'), elapsed;
+        if (undefinedOrNull(player.Attempt) || player.Attempt.Level !== submission.Level) {
+            return null;
+        }
+        elapsed = (Date.parse(submission.Timestamp) - Date.parse(player.Attempt.StartedAt)) / 1000;
+        if (elapsed < minSeconds) {
+            return levelFlag('duration', submission.Level + ' completed in ' + elapsed + 's, less than ' + minSeconds + 's', minSeconds, elapsed);
+        }
+        return null;
+    },
+    function (submission, player, rules) {
+        'use strict';
+        var index = rules.Levels.Order.indexOf(submission.Level);
+        if (rules.Levels.Order.length === 0) {
+            return null;
+        }
+        if (index === -1) {
+            return levelFlag('progression', submission.Level + ' is not a known level');
+        }
+        if (index > player.Progress.Highest + 1) {
+            return levelFlag('progression', submission.Level + ' skips ahead of ' + (rules.Levels.Order[player.Progress.Highest] || 'the first level'),
+                player.Progress.Highest + 1, index);
+        }
+        return null;
+    }
+];
+
+function getLevelTokenSecret() {
+    'use strict';
+    var secret = server.GetTitleInternalData({ Keys: [LEVEL_TOKEN_SECRET_KEY] }).Data[LEVEL_TOKEN_SECRET_KEY];
+    if (undefinedOrNull(secret) || secret === '') {
+        throw new Error('Title internal data ' + LEVEL_TOKEN_SECRET_KEY + ' is not set');
+    }
+    return secret;
+}
+
+function getLevelAttemptToken(secret, playerId, attempt) {
+    'use strict';
+    return attempt.Id + '.' + hmacSha256(secret, [playerId, attempt.Id, attempt.Level, attempt.StartedAt].join('|'));
+}
+
+// Attempt, with the token it should be submitted with, progress and attempt history of 'playerId'.
+function readLevelState(playerId) {
+    'use strict';
+    var data = server.GetUserInternalData({ PlayFabId: playerId, Keys: [LEVEL_ATTEMPT_KEY, LEVEL_PROGRESS_KEY, LEVEL_HISTORY_KEY] }).Data,
+        player = {
+            Attempt: undefinedOrNull(data[LEVEL_ATTEMPT_KEY]) ? undefined : JSON.parse(data[LEVEL_ATTEMPT_KEY].Value),
+            Progress: undefinedOrNull(data[LEVEL_PROGRESS_KEY]) ? { Highest: -1 } : JSON.parse(data[LEVEL_PROGRESS_KEY].Value),
+            History: undefinedOrNull(data[LEVEL_HISTORY_KEY]) ? [] : JSON.parse(data[LEVEL_HISTORY_KEY].Value)
+        };
+    if (!undefinedOrNull(player.Attempt)) {
+        player.Token = getLevelAttemptToken(getLevelTokenSecret(), playerId, player.Attempt);
+    }
+    return player;
+}
+
+// Adds the outcome of the current attempt to the history and returns the history to store.
+function recordLevelAttempt(player, result, submission, flags, rules) {
+    'use strict';
+    var attempt = player.Attempt, record = { Id: attempt.Id, Level: attempt.Level, StartedAt: attempt.StartedAt, Result: result };
+    if (!undefinedOrNull(submission)) {
+        record.CompletedAt = submission.Timestamp;
+        record.DurationSeconds = (Date.parse(submission.Timestamp) - Date.parse(attempt.StartedAt)) / 1000;
+        record.MonstersKilled = submission.MonstersKilled;
+    }
+    if (!undefinedOrNull(flags) && flags.length > 0) {
+        record.Flags = flags.map(function (flag) {
+            return flag.Check;
+        });
+    }
+    player.History.push(record);
+    return player.History.slice(-rules.Levels.MaxHistory);
+}
+
+function checkLevelCompletion(submission, player, rules) {
+    'use strict';
+    var flags = [], i, flag;
+    for (i = 0; i < LevelCompletionChecks.length; i += 1) {
+        flag = LevelCompletionChecks[i](submission, player, rules);
+        if (!undefinedOrNull(flag)) {
+            flags.push(flag);
+        }
+    }
+    return flags;
+}
+
+function flagLevelCompletion(playerId, submission, flags, rules) {
+    'use strict';
+    var stored = server.GetUserInternalData({ PlayFabId: playerId, Keys: [LEVEL_FLAGS_KEY] }).Data[LEVEL_FLAGS_KEY],
+        records = undefinedOrNull(stored) ? [] : JSON.parse(stored.Value), update = {};
+    records.push({ Timestamp: submission.Timestamp, Level: submission.Level, MonstersKilled: submission.MonstersKilled, Flags: flags });
+    update[LEVEL_FLAGS_KEY] = JSON.stringify(records.slice(-rules.AntiCheat.MaxFlags));
+    server.UpdateUserInternalData({ PlayFabId: playerId, Data: update });
+    server.AddPlayerTag({ PlayFabId: playerId, TagName: rules.AntiCheat.Tag });
+    log.error('Flagged completion of ' + submission.Level + ' by ' + playerId, { Flags: flags });
+}
+
+// The game client calls this when the player starts a level and sends the returned
+// attemptToken along with completedLevel. An attempt still open is recorded as abandoned.
+registerClientHandler('startLevel', {
+    args: { fields: { levelName: { type: 'string', required: true } } }
+}, function (args, context) {
+    'use strict';
+    var rules = getGameRules(), player = readLevelState(currentPlayerId), secret = getLevelTokenSecret(), update = {},
+        attempt = {
+            Id: Date.now().toString(36) + Math.random().toString(36).substring(2, 10),
+            Level: args.levelName,
+            StartedAt: getISOTimestamp()
+        };
+    if (!undefinedOrNull(player.Attempt) && player.Attempt.Completed !== true) {
+        update[LEVEL_HISTORY_KEY] = JSON.stringify(recordLevelAttempt(player, 'abandoned', null, null, rules));
+    }
+    attempt.Token = getLevelAttemptToken(secret, currentPlayerId, attempt);
+    update[LEVEL_ATTEMPT_KEY] = JSON.stringify(attempt);
+    server.UpdateUserInternalData({ PlayFabId: currentPlayerId, Data: update });
+    return { attemptToken: attempt.Token, level: attempt.Level, startedAt: attempt.StartedAt };
+});
+
+// Below are some examples of using Cloud Script in slightly more realistic scenarios
+// This is a function that the game client would call whenever a player completes
+// a level. It updates a setting in the player's data that only game server
+// code can write - it is read-only on the client - and it updates a player
+// statistic that can be used for leaderboards.
+//
+// The level completion data is checked first (see checkLevelCompletion) so that
+// implausible submissions are flagged instead of reaching the leaderboards.
+// It could also do things like award the player items from the game catalog based
+// on their performance. Flagged submissions fail with the code LevelFlagged.
+registerClientHandler('completedLevel', {
+    args: {
+        fields: {
+            levelName: { type: 'string', required: true },
+            monstersKilled: { type: 'number', required: true },
+            attemptToken: { type: 'string', required: true }
+        }
+    }
+}, function (args, context) {
+    var level = args.levelName;
+    var monstersKilled = args.monstersKilled;
+    var rules = getGameRules();
+    var submission = { Level: level, MonstersKilled: monstersKilled, Token: args.attemptToken, Timestamp: getISOTimestamp() };
+    var player = readLevelState(currentPlayerId);
+    var flags = checkLevelCompletion(submission, player, rules);
+    var data = {};
+
+    // a genuine token consumes its attempt, whether the submission passes or not
+    if (!undefinedOrNull(player.Attempt) && player.Attempt.Completed !== true && signaturesEqual(submission.Token, player.Token)) {
+        data[LEVEL_HISTORY_KEY] = JSON.stringify(recordLevelAttempt(player, flags.length > 0 ? 'flagged' : 'completed', submission, flags, rules));
+        player.Attempt.Completed = true;
+        data[LEVEL_ATTEMPT_KEY] = JSON.stringify(player.Attempt);
+    }
+    if (flags.length > 0) {
+        if (!isEmpty(data)) {
+            server.UpdateUserInternalData({ PlayFabId: currentPlayerId, Data: data });
+        }
+        flagLevelCompletion(currentPlayerId, submission, flags, rules);
+        throw new ClientError('LevelFlagged', flags.map(function (flag) {
+            return flag.Message;
+        }).join('; '), flags);
+    }
+
+    player.Progress.Highest = Math.max(player.Progress.Highest, rules.Levels.Order.indexOf(level));
+    data.lastLevelCompleted = level;
+    data[LEVEL_PROGRESS_KEY] = JSON.stringify(player.Progress);
+    var updateUserDataResult = server.UpdateUserInternalData({
+        PlayFabId: currentPlayerId,
+        Data: data
+    });
+
+    log.debug("Set lastLevelCompleted for player " + currentPlayerId + " to " + level);
+    var request = {
+        PlayFabId: currentPlayerId, Statistics: [{
+                StatisticName: rules.Statistics.MonsterKills,
+                Value: monstersKilled
+            }]
+    };
+    server.UpdatePlayerStatistics(request);
+    log.debug("Updated " + rules.Statistics.MonsterKills + " stat for player " + currentPlayerId + " to " + monstersKilled);
+    return { accepted: true };
+});
+
+// In addition to the Cloud Script handlers, you can define your own functions and call them from your handlers.
+// This makes it possible to share code between multiple handlers and to improve code organization.
+// "args" is { GameId, Sequence, Position: { x, y } }. A rejected move fails with
+// the rejection Reason as error code and the rejection in error.details.
+registerClientHandler('updatePlayerMove', {
+    args: {
+        fields: {
+            GameId: { type: 'string', required: true },
+            Sequence: PlayerMoveSchema.fields.Sequence,
+            Position: PlayerMoveSchema.fields.Position
+        }
+    }
+}, function (args) {
+    'use strict';
+    var rejection = processPlayerMove({
+        GameId: args.GameId,
+        UserId: currentPlayerId,
+        Sequence: args.Sequence,
+        Position: args.Position
+    });
+    if (rejection !== null) {
+        throw new ClientError(rejection.Reason, rejection.Message, rejection);
+    }
+    return { validMove: true };
+});
+
+// Move validation
+//
+// Moves are checked against the game state kept under 'Moves' in the room's shared group:
+//   { Sequences: { ActorNr: last Sequence }, Positions: { ActorNr: { x, y } }, Count, Last }
+// Every actor numbers its moves 1, 2, 3... so replayed or reordered moves are caught. With the
+// PlayerMove.TurnOrder game rule a move plays the room's match turn (see Turn-based matches),
+// so moves and SubmitTurn share the one Match.Turn. Validators
+// registered with registerMoveValidator run in order as validate(move, room, rules, player) and
+// return null or the moveRejection that stops the move. Validation and the write share one
+// updateRoomState pass, so a move that raced another write is validated again on the fresh
+// state, within the limits of the Revision check (see Room state revisions).
+var MoveValidators = [];
+
+function registerMoveValidator(name, validate) {
+    'use strict';
+    MoveValidators.push({ Name: name, Validate: validate });
+}
+
+// 'code' is the Photon ResultCode a RoomEventRaised move is rejected with.
+function moveRejection(code, reason, message, expected, actual) {
+    'use strict';
+    var rejection = { Code: code, Reason: reason, Message: message };
+    if (!undefinedOrNull(expected)) {
+        rejection.Expected = expected;
+        rejection.Actual = actual;
+    }
+    return rejection;
+}
+
+function getMoveState(room) {
+    'use strict';
+    return room.Moves || { Sequences: {}, Positions: {}, Count: 0 };
+}
+
+// Actor numbers in turn order.
+function getTurnOrder(room) {
+    'use strict';
+    return Object.keys(room.Actors || {}).map(Number).sort(function (a, b) {
+        return a - b;
+    });
+}
+
+// Client moves only name the room, the caller's actor is looked up by UserId.
+function getMoveActorNr(move, room) {
+    'use strict';
+    var actorNr;
+    if (!undefinedOrNull(move.ActorNr)) {
+        return move.ActorNr;
+    }
+    for (actorNr in room.Actors) {
+        if (room.Actors.hasOwnProperty(actorNr) && room.Actors[actorNr].UserId === move.UserId) {
+            return Number(actorNr);
+        }
+    }
+    return undefined;
+}
+
+registerMoveValidator('actor', function (move, room) {
+    'use strict';
+    var actor = undefinedOrNull(room.Actors) || undefinedOrNull(move.ActorNr) ? undefined : room.Actors[move.ActorNr];
+    if (undefinedOrNull(actor) || actor.UserId !== move.UserId) {
+        return moveRejection(2, 'NotInRoom', 'UserId=' + move.UserId + ' has no actor in GameId=' + move.GameId);
+    }
+    return null;
+});
+
+registerMoveValidator('cooldown', function (move, room, rules, player) {
+    'use strict';
+    var elapsed;
+    if (undefinedOrNull(player.LastMoveTime)) {
+        return null;
+    }
+    elapsed = (player.Now - player.LastMoveTime) / 1000;
+    if (elapsed < rules.PlayerMove.CooldownSeconds) {
+        return moveRejection(2, 'Cooldown', 'time since last move: ' + elapsed + 's less than minimum of ' + rules.PlayerMove.CooldownSeconds + 's',
+            rules.PlayerMove.CooldownSeconds, elapsed);
+    }
+    return null;
+});
+
+registerMoveValidator('sequence', function (move, room) {
+    'use strict';
+    var expected = (getMoveState(room).Sequences[move.ActorNr] || 0) + 1;
+    if (move.Sequence !== expected) {
+        return moveRejection(2, 'BadSequence', 'ActorNr=' + move.ActorNr + ' expected Sequence=' + expected, expected, move.Sequence);
+    }
+    return null;
+});
+
+// processPlayerMove brings room.Match up to date before the validators run.
+registerMoveValidator('turn', function (move, room, rules) {
+    'use strict';
+    var match = room.Match;
+    if (rules.PlayerMove.TurnOrder && !undefinedOrNull(match) && match.Status === 'Active' && match.Turn !== move.ActorNr) {
+        return moveRejection(2, 'OutOfTurn', 'it is ActorNr=' + match.Turn + ' turn', match.Turn, move.ActorNr);
+    }
+    return null;
+});
+
+registerMoveValidator('position', function (move, room, rules) {
+    'use strict';
+    var board = rules.PlayerMove.Board, x = move.Position.x, y = move.Position.y, state = getMoveState(room),
+        previous = state.Positions[move.ActorNr], actorNr, other;
+    if (Math.floor(x) !== x || Math.floor(y) !== y || x < 0 || y < 0 || x >= board.Width || y >= board.Height) {
+        return moveRejection(2, 'IllegalPosition', '(' + x + ',' + y + ') is off the ' + board.Width + 'x' + board.Height + ' board');
+    }
+    if (!undefinedOrNull(previous) && rules.PlayerMove.MaxStep > 0 &&
+            Math.max(Math.abs(x - previous.x), Math.abs(y - previous.y)) > rules.PlayerMove.MaxStep) {
+        return moveRejection(2, 'IllegalPosition', '(' + x + ',' + y + ') is more than ' + rules.PlayerMove.MaxStep + ' away from (' + previous.x + ',' + previous.y + ')',
+            rules.PlayerMove.MaxStep, Math.max(Math.abs(x - previous.x), Math.abs(y - previous.y)));
+    }
+    for (actorNr in state.Positions) {
+        if (state.Positions.hasOwnProperty(actorNr) && Number(actorNr) !== move.ActorNr && !undefinedOrNull(room.Actors[actorNr])) {
+            other = state.Positions[actorNr];
+            if (other.x === x && other.y === y) {
+                return moveRejection(2, 'Occupied', '(' + x + ',' + y + ') is held by ActorNr=' + actorNr);
+            }
+        }
+    }
+    return null;
+});
+
+function validateMove(move, room, rules, player) {
+    'use strict';
+    var i, rejection;
+    for (i = 0; i < MoveValidators.length; i += 1) {
+        rejection = MoveValidators[i].Validate(move, room, rules, player);
+        if (!undefinedOrNull(rejection)) {
+            rejection.Validator = MoveValidators[i].Name;
+            return rejection;
+        }
+    }
+    return null;
+}
+
+function applyMove(move, room, timestamp, rules) {
+    'use strict';
+    var state = getMoveState(room), match = room.Match;
+    state.Sequences[move.ActorNr] = move.Sequence;
+    state.Positions[move.ActorNr] = { x: move.Position.x, y: move.Position.y };
+    state.Count += 1;
+    state.Last = { ActorNr: move.ActorNr, Sequence: move.Sequence, Position: state.Positions[move.ActorNr], Timestamp: timestamp };
+    room.Moves = state;
+    if (rules.PlayerMove.TurnOrder && !undefinedOrNull(match) && match.Status === 'Active') {
+        recordMatchTurn(match, { TurnNumber: match.TurnNumber, ActorNr: move.ActorNr, UserId: move.UserId, Timestamp: timestamp, Data: { Move: state.Last } }, rules);
+        passMatchTurn(match, move.ActorNr, match.TurnOrder.slice(), timestamp, rules);
+    }
+}
+
+// This is a helper function that validates a player's move against the rules of the game and
+// the stored room state: the move must come from an actor of the room, in turn, with the next
+// Sequence number, to a legal position and not too quickly after the player's previous move.
+// If the move is valid, it is applied to the room and the player's statistics and profile
+// data are updated. It returns null then, or the rejection explaining why the move was refused.
+// This function is called from the "UpdatePlayerMove" handler above and also is
+// triggered by the "RoomEventRaised" Photon room event in the Webhook handler
+// above.
+//
+// The cooldown period (PlayerMove.CooldownSeconds, 15 seconds by default), the board and the
+// statistic names come from the game rules in Title Data (see getGameRules), so they can be
+// adjusted over time without having to edit, test, and roll out an updated script. The rules are
+// those of the room's AppVersion, whoever sends the move.
+function processPlayerMove(move) {
+    'use strict';
+    var timestamp = getISOTimestamp(), player = { Now: Date.parse(timestamp) }, rules = getGameRules(), rejection = null, lastMove, movesMade, stats;
+
+    lastMove = server.GetUserInternalData({ PlayFabId: move.UserId, Keys: ['last_move_timestamp'] }).Data.last_move_timestamp;
+    if (!undefinedOrNull(lastMove)) {
+        player.LastMoveTime = Date.parse(lastMove.Value);
+    }
+
+    try  {
+        updateRoomState(move.GameId, timestamp, { Type: 'Move', GameId: move.GameId, UserId: move.UserId }, function (room) {
+            rules = getRoomGameRules(room);
+            move.ActorNr = getMoveActorNr(move, room);
+            if (rules.PlayerMove.TurnOrder) {
+                getMatchState(room, timestamp, rules);
+            }
+            rejection = validateMove(move, room, rules, player);
+            if (rejection !== null) {
+                return false;
+            }
+            applyMove(move, room, timestamp, rules);
+        });
+    } catch (e) {
+        if (!undefinedOrNull(e.Error) && e.Error.error === 'InvalidSharedGroupId') {
+            rejection = moveRejection(5, 'UnknownRoom', 'GameId=' + move.GameId + ' not found');
+        } else if (e instanceof PhotonException && e.ResultCode === 7) {
+            rejection = moveRejection(7, 'Conflict', e.Message);
+        } else {
+            throw e;
+        }
+    }
+    if (rejection !== null) {
+        log.error('Invalid move - ' + rejection.Reason + ': ' + rejection.Message);
+        return rejection;
+    }
+
+    stats = server.GetPlayerStatistics({ PlayFabId: move.UserId, StatisticNames: [rules.Statistics.MovesMade] }).Statistics;
+    movesMade = stats.length > 0 ? stats[0].Value : 0;
+    server.UpdatePlayerStatistics({
+        PlayFabId: move.UserId,
+        Statistics: [{ StatisticName: rules.Statistics.MovesMade, Value: movesMade + 1 }]
+    });
+    server.UpdateUserInternalData({
+        PlayFabId: move.UserId,
+        Data: {
+            last_move_timestamp: new Date(player.Now).toUTCString(),
+            last_move: JSON.stringify(move)
+        }
+    });
+    return null;
+}
+
+// Reward rules
+//
+// Segment entry and PlayStream actions reward players through the rules kept in the title
+// internal data REWARD_RULES.RulesKey, so live ops can add unlocks without a new revision:
+//   {
+//     "Rules": [{
+//       "Id": "high-skill",
+//       "Trigger": { "Segment": "HighSkill" },
+//       "Actions": [
+//         { "Type": "SetInternalData", "Data": { "HighSkillSince": "{{Event.Timestamp}}" } },
+//         { "Type": "GrantItems", "CatalogVersion": "main", "ItemIds": ["golden_sword"] },
+//         { "Type": "AddVirtualCurrency", "Currency": "GO", "Amount": 100 },
+//         { "Type": "AddTag", "TagName": "HighSkill" },
+//         { "Type": "SendPushNotification", "Subject": "Unlocked", "Message": "New levels for {{Profile.DisplayName}}!" }
+//       ]
+//     }]
+//   }
+// Rules are only applied for PlayStream and segment actions, which pass the triggering event in
+// context.playStreamEvent; game clients can't call applyRewardRules. A rule fires when every
+// Trigger condition holds: EventName and Event fields are compared with the event itself, and
+// Segment (name or id) must be one of the player's segments from server.GetPlayerSegments, as
+// segment entry actions get the event that moved the player (e.g. player_statistic_changed).
+// "{{Event.x}}", "{{Profile.x}}" and "{{Args.x}}" in string values are replaced from the call.
+// A rule rewards a player once: the grant is recorded in the player's internal data under
+// REWARD_RULES.GrantsKey after its actions succeeded. A rule with a failing action is recorded
+// with Status 'Failed' and retried by the next matching call, which runs all of its actions
+// again, so actions that can fail should come first. "Repeatable": true lifts the once guard.
+// DefaultRewardRules apply when no rules are configured.
+var REWARD_RULES = {
+    RulesKey: 'RewardRules',
+    GrantsKey: 'RewardGrants'
+};
+
+var DefaultRewardRules = {
+    Rules: [{
+        Id: 'HighSkillContent',
+        Trigger: { EventName: 'player_statistic_changed' },
+        Actions: [{ Type: 'SetInternalData', Data: { HighSkillContent: 'true', XPAtHighSkillUnlock: '{{Event.StatisticValue}}' } }]
+    }]
+};
+
+// Reward actions by Type: the fields they need and how they apply to 'playerId'.
+var RewardActions = {
+    SetInternalData: {
+        fields: { Data: { type: 'object', required: true, values: { type: 'string' } } },
+        apply: function (action, playerId) {
+            'use strict';
+            server.UpdateUserInternalData({ PlayFabId: playerId, Data: action.Data });
+        }
+    },
+    GrantItems: {
+        fields: { ItemIds: { type: 'array', required: true }, CatalogVersion: { type: 'string' } },
+        apply: function (action, playerId, rule) {
+            'use strict';
+            server.GrantItemsToUser({ PlayFabId: playerId, CatalogVersion: action.CatalogVersion, ItemIds: action.ItemIds, Annotation: 'Reward rule ' + rule.Id });
+        }
+    },
+    AddVirtualCurrency: {
+        fields: { Currency: { type: 'string', required: true }, Amount: { type: 'number', required: true, min: 1 } },
+        apply: function (action, playerId) {
+            'use strict';
+            server.AddUserVirtualCurrency({ PlayFabId: playerId, VirtualCurrency: action.Currency, Amount: action.Amount });
+        }
+    },
+    AddTag: {
+        fields: { TagName: { type: 'string', required: true } },
+        apply: function (action, playerId) {
+            'use strict';
+            server.AddPlayerTag({ PlayFabId: playerId, TagName: action.TagName });
+        }
+    },
+    SendPushNotification: {
+        fields: { Message: { type: 'string', required: true }, Subject: { type: 'string' } },
+        apply: function (action, playerId) {
+            'use strict';
+            server.SendPushNotification({ Recipient: playerId, Message: action.Message, Subject: action.Subject });
+        }
+    }
+};
+
+var RewardRuleSchema = {
+    fields: {
+        Id: { type: 'string', required: true },
+        Trigger: { type: 'object', required: true, fields: { Segment: { type: 'string' }, EventName: { type: 'string' }, Event: { type: 'object' } } },
+        Actions: { type: 'array', required: true },
+        Repeatable: { type: 'boolean' }
+    }
+};
+
+function validateRewardRules(document) {
+    'use strict';
+    var violations = [], ids = [];
+    if (undefinedOrNull(document) || getSchemaType(document) !== 'object' || getSchemaType(document.Rules) !== 'array') {
+        return [schemaViolation(2, 'Rules', 'type', 'Rules must be an array')];
+    }
+    document.Rules.forEach(function (rule, i) {
+        var path = 'Rules[' + i + ']';
+        if (undefinedOrNull(rule) || getSchemaType(rule) !== 'object') {
+            violations.push(schemaViolation(2, path, 'type', 'Wrong type: ' + path + ' is not an object'));
+            return;
+        }
+        validateFields(RewardRuleSchema.fields, rule, path + '.', violations);
+        if (ids.indexOf(rule.Id) > -1) {
+            violations.push(schemaViolation(2, path + '.Id', 'unique', 'Duplicate rule Id: ' + rule.Id));
+        }
+        ids.push(rule.Id);
+        (getSchemaType(rule.Actions) === 'array' ? rule.Actions : []).forEach(function (action, j) {
+            var actionPath = path + '.Actions[' + j + ']';
+            if (undefinedOrNull(action) || !RewardActions.hasOwnProperty(action.Type)) {
+                violations.push(schemaViolation(2, actionPath + '.Type', 'oneOf', 'Unknown action type: ' + (action && action.Type), Object.keys(RewardActions), action && action.Type));
+            } else {
+                validateFields(RewardActions[action.Type].fields, action, actionPath + '.', violations);
+            }
+        });
+    });
+    return violations;
+}
+
+// The configured rules, the defaults when there are none. Invalid rules disable rewards.
+function getRewardRules() {
+    'use strict';
+    var stored = server.GetTitleInternalData({ Keys: [REWARD_RULES.RulesKey] }).Data[REWARD_RULES.RulesKey], document, violations;
+    if (undefinedOrNull(stored)) {
+        return DefaultRewardRules.Rules;
+    }
+    try  {
+        document = JSON.parse(stored);
+    } catch (e) {
+        log.error('Could not parse ' + REWARD_RULES.RulesKey + ', no rewards are granted', { Error: e.message });
+        return [];
+    }
+    violations = validateRewardRules(document);
+    if (violations.length > 0) {
+        log.error('Invalid ' + REWARD_RULES.RulesKey + ', no rewards are granted', { Violations: violations });
+        return [];
+    }
+    return document.Rules;
+}
+
+// 'getSegments' returns the player's segments, it is only called for Segment triggers.
+function matchesRewardTrigger(trigger, values, getSegments) {
+    'use strict';
+    var field, playStreamEvent = values.Event || {};
+    if (!undefinedOrNull(trigger.EventName) && trigger.EventName !== playStreamEvent.EventName) {
+        return false;
+    }
+    for (field in trigger.Event) {
+        if (trigger.Event.hasOwnProperty(field) && getPath(playStreamEvent, field) !== trigger.Event[field]) {
+            return false;
+        }
+    }
+    if (!undefinedOrNull(trigger.Segment)) {
+        return getSegments().some(function (segment) {
+            return segment.Name === trigger.Segment || segment.Id === trigger.Segment;
+        });
+    }
+    return true;
+}
+
+// Copy of 'value' with the {{Root.path}} placeholders of its strings replaced.
+function fillRewardTemplate(value, values) {
+    'use strict';
+    var filled, key;
+    if (isString(value)) {
+        return value.replace(/\{\{([A-Za-z]+)\.([^}]+)\}\}/g, function (placeholder, root, path) {
+            var found = values.hasOwnProperty(root) ? getPath(values[root], path) : undefined;
+            return undefinedOrNull(found) ? '' : String(found);
+        });
+    }
+    if (getSchemaType(value) === 'array') {
+        return value.map(function (item) {
+            return fillRewardTemplate(item, values);
+        });
+    }
+    if (!undefinedOrNull(value) && getSchemaType(value) === 'object') {
+        filled = {};
+        for (key in value) {
+            if (value.hasOwnProperty(key)) {
+                filled[key] = fillRewardTemplate(value[key], values);
+            }
+        }
+        return filled;
+    }
+    return value;
+}
+
+// Applies the rules matching the call (only 'ruleId' when given) to 'playerId'.
+// Returns { Granted: [rule ids], AlreadyGranted: [rule ids], Failed: { rule id: message } }.
+function applyRewardRules(playerId, args, context, ruleId) {
+    'use strict';
+    var values = { Args: args || {}, Event: context.playStreamEvent, Profile: context.playerProfile },
+        result = { Granted: [], AlreadyGranted: [], Failed: {} }, stored, grants, update = {}, timestamp = getISOTimestamp(), segments = null;
+    function getSegments() {
+        if (segments === null) {
+            segments = server.GetPlayerSegments({ PlayFabId: playerId }).Segments || [];
+        }
+        return segments;
+    }
+    stored = server.GetUserInternalData({ PlayFabId: playerId, Keys: [REWARD_RULES.GrantsKey] }).Data[REWARD_RULES.GrantsKey];
+    grants = undefinedOrNull(stored) ? {} : JSON.parse(stored.Value);
+    getRewardRules().filter(function (rule) {
+        return (undefinedOrNull(ruleId) || rule.Id === ruleId) && matchesRewardTrigger(rule.Trigger, values, getSegments);
+    }).forEach(function (rule) {
+        var grant = grants[rule.Id], count = grant ? grant.Count : 0;
+        if (!undefinedOrNull(grant) && grant.Status !== 'Failed' && rule.Repeatable !== true) {
+            result.AlreadyGranted.push(rule.Id);
+            return;
+        }
+        try  {
+            rule.Actions.forEach(function (action) {
+                RewardActions[action.Type].apply(fillRewardTemplate(action, values), playerId, rule);
+            });
+            grants[rule.Id] = { Status: 'Granted', Timestamp: timestamp, Count: count + 1 };
+            result.Granted.push(rule.Id);
+            log.info('Reward rule ' + rule.Id + ' granted to ' + playerId);
+        } catch (e) {
+            result.Failed[rule.Id] = e.Error ? e.Error.errorMessage : e.message;
+            grants[rule.Id] = { Status: 'Failed', Timestamp: timestamp, Count: count, Error: result.Failed[rule.Id] };
+            log.error('Reward rule ' + rule.Id + ' failed for ' + playerId + ', it is retried by the next matching call', { Error: result.Failed[rule.Id] });
+        }
+        update[REWARD_RULES.GrantsKey] = JSON.stringify(grants);
+        server.UpdateUserInternalData({ PlayFabId: playerId, Data: update });
+    });
+    return result;
+}
+
+var RewardContextSchema = {
+    fields: {
+        playStreamEvent: { type: 'object', required: true, fields: { EventName: { type: 'string', required: true } } },
+        playerProfile: { type: 'object' }
+    }
+};
+
+// Called by segment entry and PlayStream actions only, calls without a PlayStream event are refused.
+registerClientHandler('applyRewardRules', { context: RewardContextSchema }, function (args, context) {
+    'use strict';
+    return applyRewardRules(currentPlayerId, args, context);
+});
+
+// This is an example of using PlayStream real-time segmentation to trigger
+// game logic based on player behavior. (https://playfab.com/introducing-playstream/)
+// The function is called when a player_statistic_changed PlayStream event causes a player
+// to enter a segment defined for high skill players. It applies the HighSkillContent reward
+// rule, by default setting a key value in the player's internal data which unlocks some new
+// content for the player.
+registerClientHandler('unlockHighSkillContent', {
+    context: {
+        fields: {
+            playStreamEvent: { type: 'object', required: true, fields: { StatisticValue: { type: 'number', required: true } } },
+            playerProfile: { type: 'object', required: true }
+        }
+    }
+}, function (args, context) {
+    var rewards = applyRewardRules(currentPlayerId, args, context, 'HighSkillContent');
+    if (rewards.Granted.length > 0) {
+        log.info('Unlocked HighSkillContent for ' + context.playerProfile.DisplayName);
+    }
+    return { profile: context.playerProfile };
+});
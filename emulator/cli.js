@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/*jslint node: true */
+'use strict';
+
+// Runs one Cloud Script handler locally and prints the ExecuteCloudScript-style result.
+//
+//   node emulator/cli.js <FunctionName> [FunctionParameter JSON] [options]
+//
+//   --player <PlayFabId>  value of currentPlayerId (omit for RoomClosed)
+//   --context <file>      JSON file passed as the "context" argument
+//   --state <file>        JSON file holding the fake server state; it is loaded
+//                         before and written back after the run, so several runs
+//                         can replay a whole webhook flow (RoomCreated, RoomJoined, ...)
+//   --script <file>       script to load instead of ./cloudscript.js
+
+var fs = require('fs');
+var CloudScriptRuntime = require('./runtime');
+var FakeServerApi = require('./fakeServer');
+
+function parseArguments(argv) {
+    var parsed = { positional: [] }, i;
+    for (i = 0; i < argv.length; i += 1) {
+        if (argv[i].indexOf('--') === 0) {
+            parsed[argv[i].substring(2)] = argv[i + 1];
+            i += 1;
+        } else {
+            parsed.positional.push(argv[i]);
+        }
+    }
+    return parsed;
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function main(argv) {
+    var options = parseArguments(argv), server, runtime, result;
+    if (options.positional.length === 0) {
+        process.stderr.write('Usage: node emulator/cli.js <FunctionName> [FunctionParameter JSON] [--player id] [--context file] [--state file] [--script file]\n');
+        return 2;
+    }
+
+    server = new FakeServerApi(options.state && fs.existsSync(options.state) ? readJson(options.state) : undefined);
+    runtime = new CloudScriptRuntime({ server: server, scriptPath: options.script });
+    result = runtime.execute(options.positional[0], options.positional[1] ? JSON.parse(options.positional[1]) : {}, {
+        playerId: options.player,
+        context: options.context ? readJson(options.context) : undefined
+    });
+
+    if (options.state) {
+        fs.writeFileSync(options.state, JSON.stringify(server, null, 2));
+    }
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    return result.Error ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,34 @@
+/*jslint node: true */
+'use strict';
+
+// Stand-in for the synchronous "http" global in Cloud Script.
+// No request leaves the machine: every call is recorded in "requests" and
+// answered by the first registered route whose prefix matches the url.
+
+function FakeHttp() {
+    this.requests = [];
+    this.routes = [];
+}
+
+// "response" is either the body to return or a function(request) returning it.
+// A function may also throw to simulate a failed request.
+FakeHttp.prototype.route = function (urlPrefix, response) {
+    this.routes.push({ prefix: urlPrefix, response: response });
+    return this;
+};
+
+FakeHttp.prototype.request = function (url, method, content, contentType, headers) {
+    var request = { url: url, method: method, content: content, contentType: contentType, headers: headers || {} }, i;
+    this.requests.push(request);
+    for (i = 0; i < this.routes.length; i += 1) {
+        if (url.indexOf(this.routes[i].prefix) === 0) {
+            if (typeof this.routes[i].response === 'function') {
+                return this.routes[i].response(request);
+            }
+            return this.routes[i].response;
+        }
+    }
+    return '';
+};
+
+module.exports = FakeHttp;
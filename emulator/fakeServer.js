@@ -0,0 +1,408 @@
+/*jslint node: true */
+'use strict';
+
+// In-memory stand-in for the PlayFab Server API ("server" global in Cloud Script).
+// State lives in plain objects so that tests and the command line runner can
+// inspect it, dump it to disk and load it back.
+//
+// Only the calls cloudscript.js makes are implemented. They follow the live API
+// where the script depends on it:
+//  - failures are thrown as { Error: { code, status, error, errorCode, errorMessage } },
+//    so checks such as e.Error.error === "InvalidSharedGroupId" behave the same;
+//  - data values must be strings, a null value removes the key;
+//  - "Keys" (and "StatisticNames") restrict what is returned to the listed entries;
+//  - results are copies, mutating them does not change the stored state.
+
+var ERRORS = {
+    InvalidParams: { code: 400, status: 'BadRequest', errorCode: 1000 },
+    InvalidSharedGroupId: { code: 400, status: 'BadRequest', errorCode: 1088 },
+    StatisticNameConflict: { code: 400, status: 'BadRequest', errorCode: 1253 }
+};
+
+function PlayFabApiError(api, error, message) {
+    this.name = 'PlayFabApiError';
+    this.message = api + ': ' + message;
+    this.Error = {
+        code: ERRORS[error].code,
+        status: ERRORS[error].status,
+        error: error,
+        errorCode: ERRORS[error].errorCode,
+        errorMessage: message
+    };
+    this.stack = (new Error(this.message)).stack;
+}
+
+PlayFabApiError.prototype = Object.create(Error.prototype);
+PlayFabApiError.prototype.constructor = PlayFabApiError;
+
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function requireParam(api, request, name) {
+    if (request === undefined || request === null || request[name] === undefined || request[name] === null || request[name] === '') {
+        throw new PlayFabApiError(api, 'InvalidParams', name + ' is required');
+    }
+}
+
+function FakeServerApi(state) {
+    this.version = 'emulator';
+    this.now = function () {
+        return new Date();
+    };
+    this.reset(state);
+}
+
+FakeServerApi.PlayFabApiError = PlayFabApiError;
+
+FakeServerApi.prototype.reset = function (state) {
+    state = copy(state) || {};
+    this.sharedGroups = state.sharedGroups || {};
+    this.users = state.users || {};
+    this.titleData = state.titleData || {};
+    this.titleInternalData = state.titleInternalData || {};
+};
+
+FakeServerApi.prototype.toJSON = function () {
+    return {
+        sharedGroups: this.sharedGroups,
+        users: this.users,
+        titleData: this.titleData,
+        titleInternalData: this.titleInternalData
+    };
+};
+
+// Applies { key: string | null } to a record map, stamping LastUpdated.
+FakeServerApi.prototype.writeRecords = function (api, records, data, keysToRemove, permission) {
+    var key, timestamp = this.now().toISOString(), i;
+    for (key in data) {
+        if (data.hasOwnProperty(key)) {
+            if (data[key] === null || data[key] === undefined) {
+                delete records[key];
+            } else if (typeof data[key] !== 'string') {
+                throw new PlayFabApiError(api, 'InvalidParams', 'Data.' + key + ' must be a string');
+            } else {
+                records[key] = { Value: data[key], LastUpdated: timestamp, Permission: permission || 'Private' };
+            }
+        }
+    }
+    for (i = 0; keysToRemove && i < keysToRemove.length; i += 1) {
+        delete records[keysToRemove[i]];
+    }
+};
+
+function readRecords(records, keys) {
+    var data = {}, key, i;
+    if (keys === undefined || keys === null) {
+        for (key in records) {
+            if (records.hasOwnProperty(key)) {
+                data[key] = copy(records[key]);
+            }
+        }
+    } else {
+        for (i = 0; i < keys.length; i += 1) {
+            if (records.hasOwnProperty(keys[i])) {
+                data[keys[i]] = copy(records[keys[i]]);
+            }
+        }
+    }
+    return data;
+}
+
+// Shared groups
+
+FakeServerApi.prototype.getSharedGroup = function (api, id) {
+    if (!this.sharedGroups.hasOwnProperty(id)) {
+        throw new PlayFabApiError(api, 'InvalidSharedGroupId', 'No shared group with identifier ' + id);
+    }
+    return this.sharedGroups[id];
+};
+
+FakeServerApi.prototype.CreateSharedGroup = function (request) {
+    var id = request && request.SharedGroupId;
+    if (id === undefined || id === null || id === '') {
+        id = 'SG' + Math.random().toString(36).substring(2, 12).toUpperCase();
+    }
+    if (this.sharedGroups.hasOwnProperty(id)) {
+        throw new PlayFabApiError('CreateSharedGroup', 'InvalidSharedGroupId', 'Shared group ' + id + ' already exists');
+    }
+    this.sharedGroups[id] = { Data: {}, Members: [] };
+    return { SharedGroupId: id };
+};
+
+FakeServerApi.prototype.GetSharedGroupData = function (request) {
+    var group, result;
+    requireParam('GetSharedGroupData', request, 'SharedGroupId');
+    group = this.getSharedGroup('GetSharedGroupData', request.SharedGroupId);
+    result = { Data: readRecords(group.Data, request.Keys) };
+    if (request.GetMembers) {
+        result.Members = copy(group.Members);
+    }
+    return result;
+};
+
+FakeServerApi.prototype.UpdateSharedGroupData = function (request) {
+    var group;
+    requireParam('UpdateSharedGroupData', request, 'SharedGroupId');
+    group = this.getSharedGroup('UpdateSharedGroupData', request.SharedGroupId);
+    this.writeRecords('UpdateSharedGroupData', group.Data, request.Data, request.KeysToRemove, request.Permission);
+    return {};
+};
+
+FakeServerApi.prototype.DeleteSharedGroup = function (request) {
+    requireParam('DeleteSharedGroup', request, 'SharedGroupId');
+    this.getSharedGroup('DeleteSharedGroup', request.SharedGroupId);
+    delete this.sharedGroups[request.SharedGroupId];
+    return {};
+};
+
+FakeServerApi.prototype.AddSharedGroupMembers = function (request) {
+    var group, i;
+    requireParam('AddSharedGroupMembers', request, 'SharedGroupId');
+    group = this.getSharedGroup('AddSharedGroupMembers', request.SharedGroupId);
+    for (i = 0; i < (request.PlayFabIds || []).length; i += 1) {
+        if (group.Members.indexOf(request.PlayFabIds[i]) === -1) {
+            group.Members.push(request.PlayFabIds[i]);
+        }
+    }
+    return {};
+};
+
+FakeServerApi.prototype.RemoveSharedGroupMembers = function (request) {
+    var group;
+    requireParam('RemoveSharedGroupMembers', request, 'SharedGroupId');
+    group = this.getSharedGroup('RemoveSharedGroupMembers', request.SharedGroupId);
+    group.Members = group.Members.filter(function (member) {
+        return (request.PlayFabIds || []).indexOf(member) === -1;
+    });
+    return {};
+};
+
+// Player data and statistics
+
+FakeServerApi.prototype.getUser = function (api, request) {
+    var id;
+    requireParam(api, request, 'PlayFabId');
+    id = request.PlayFabId;
+    if (!this.users.hasOwnProperty(id)) {
+        this.users[id] = { Data: {}, ReadOnlyData: {}, InternalData: {}, Statistics: {}, Tags: [], Segments: [], Friends: [], Inventory: [], VirtualCurrency: {}, PushNotifications: [] };
+    }
+    this.users[id].Tags = this.users[id].Tags || [];
+    this.users[id].Segments = this.users[id].Segments || [];
+    this.users[id].Friends = this.users[id].Friends || [];
+    this.users[id].Inventory = this.users[id].Inventory || [];
+    this.users[id].VirtualCurrency = this.users[id].VirtualCurrency || {};
+    this.users[id].PushNotifications = this.users[id].PushNotifications || [];
+    return this.users[id];
+};
+
+function userDataReader(api, section) {
+    return function (request) {
+        var user = this.getUser(api, request);
+        return { PlayFabId: request.PlayFabId, DataVersion: 0, Data: readRecords(user[section], request.Keys) };
+    };
+}
+
+function userDataWriter(api, section) {
+    return function (request) {
+        var user = this.getUser(api, request);
+        this.writeRecords(api, user[section], request.Data, request.KeysToRemove, request.Permission);
+        return { DataVersion: 0 };
+    };
+}
+
+FakeServerApi.prototype.GetUserData = userDataReader('GetUserData', 'Data');
+FakeServerApi.prototype.UpdateUserData = userDataWriter('UpdateUserData', 'Data');
+FakeServerApi.prototype.GetUserReadOnlyData = userDataReader('GetUserReadOnlyData', 'ReadOnlyData');
+FakeServerApi.prototype.UpdateUserReadOnlyData = userDataWriter('UpdateUserReadOnlyData', 'ReadOnlyData');
+FakeServerApi.prototype.GetUserInternalData = userDataReader('GetUserInternalData', 'InternalData');
+FakeServerApi.prototype.UpdateUserInternalData = userDataWriter('UpdateUserInternalData', 'InternalData');
+
+FakeServerApi.prototype.GetPlayerStatistics = function (request) {
+    var user = this.getUser('GetPlayerStatistics', request), names = request.StatisticNames, statistics = [], name;
+    for (name in user.Statistics) {
+        if (user.Statistics.hasOwnProperty(name) && (!names || names.indexOf(name) > -1)) {
+            statistics.push({ StatisticName: name, Value: user.Statistics[name].Value, Version: user.Statistics[name].Version });
+        }
+    }
+    return { PlayFabId: request.PlayFabId, Statistics: statistics };
+};
+
+FakeServerApi.prototype.UpdatePlayerStatistics = function (request) {
+    var user = this.getUser('UpdatePlayerStatistics', request), i, update;
+    requireParam('UpdatePlayerStatistics', request, 'Statistics');
+    for (i = 0; i < request.Statistics.length; i += 1) {
+        update = request.Statistics[i];
+        if (typeof update.StatisticName !== 'string' || update.StatisticName === '') {
+            throw new PlayFabApiError('UpdatePlayerStatistics', 'InvalidParams', 'Statistics[' + i + '].StatisticName is required');
+        }
+        if (typeof update.Value !== 'number' || Math.floor(update.Value) !== update.Value) {
+            throw new PlayFabApiError('UpdatePlayerStatistics', 'InvalidParams', 'Statistics[' + i + '].Value must be an integer');
+        }
+        if (update.Version !== undefined && user.Statistics.hasOwnProperty(update.StatisticName) &&
+                update.Version !== user.Statistics[update.StatisticName].Version) {
+            throw new PlayFabApiError('UpdatePlayerStatistics', 'StatisticNameConflict', 'Version mismatch for ' + update.StatisticName);
+        }
+        user.Statistics[update.StatisticName] = { Value: update.Value, Version: 0 };
+    }
+    return {};
+};
+
+// Player tags, kept by name without the "title.<TitleId>." prefix the live API adds to GetPlayerTags results
+
+FakeServerApi.prototype.AddPlayerTag = function (request) {
+    var user = this.getUser('AddPlayerTag', request);
+    requireParam('AddPlayerTag', request, 'TagName');
+    if (user.Tags.indexOf(request.TagName) === -1) {
+        user.Tags.push(request.TagName);
+    }
+    return {};
+};
+
+FakeServerApi.prototype.RemovePlayerTag = function (request) {
+    var user = this.getUser('RemovePlayerTag', request);
+    requireParam('RemovePlayerTag', request, 'TagName');
+    user.Tags = user.Tags.filter(function (tag) {
+        return tag !== request.TagName;
+    });
+    return {};
+};
+
+FakeServerApi.prototype.GetPlayerTags = function (request) {
+    var user = this.getUser('GetPlayerTags', request);
+    return { PlayFabId: request.PlayFabId, Tags: copy(user.Tags) };
+};
+
+// Segments are not computed from segment definitions, tests place players with addPlayerToSegment
+
+FakeServerApi.prototype.GetPlayerSegments = function (request) {
+    var user = this.getUser('GetPlayerSegments', request);
+    return { Segments: copy(user.Segments) };
+};
+
+FakeServerApi.prototype.addPlayerToSegment = function (playFabId, id, name) {
+    this.getUser('addPlayerToSegment', { PlayFabId: playFabId }).Segments.push({ Id: id, Name: name });
+};
+
+// Friends lists, only PlayFab friendships without external platforms; addFriends befriends both ways
+
+FakeServerApi.prototype.GetFriendsList = function (request) {
+    var user = this.getUser('GetFriendsList', request);
+    return {
+        Friends: user.Friends.map(function (friendId) {
+            return { FriendPlayFabId: friendId };
+        })
+    };
+};
+
+FakeServerApi.prototype.addFriends = function (playFabId, friendId) {
+    var user = this.getUser('addFriends', { PlayFabId: playFabId }), friend = this.getUser('addFriends', { PlayFabId: friendId });
+    if (user.Friends.indexOf(friendId) === -1) {
+        user.Friends.push(friendId);
+    }
+    if (friend.Friends.indexOf(playFabId) === -1) {
+        friend.Friends.push(playFabId);
+    }
+};
+
+// Inventory, currencies and push notifications. Items are granted without a catalog lookup
+// and notifications are only recorded, for tests to inspect.
+
+FakeServerApi.prototype.GrantItemsToUser = function (request) {
+    var user = this.getUser('GrantItemsToUser', request), self = this, granted;
+    requireParam('GrantItemsToUser', request, 'ItemIds');
+    granted = request.ItemIds.map(function (itemId) {
+        var item = { ItemId: itemId, ItemInstanceId: String(user.Inventory.length + 1), CatalogVersion: request.CatalogVersion,
+            Annotation: request.Annotation, PurchaseDate: self.now().toISOString() };
+        user.Inventory.push(item);
+        return { PlayFabId: request.PlayFabId, Result: true, ItemId: itemId, ItemInstanceId: item.ItemInstanceId };
+    });
+    return { ItemGrantResults: granted };
+};
+
+FakeServerApi.prototype.AddUserVirtualCurrency = function (request) {
+    var user = this.getUser('AddUserVirtualCurrency', request), code = request.VirtualCurrency;
+    requireParam('AddUserVirtualCurrency', request, 'VirtualCurrency');
+    if (typeof request.Amount !== 'number' || Math.floor(request.Amount) !== request.Amount || request.Amount < 0) {
+        throw new PlayFabApiError('AddUserVirtualCurrency', 'InvalidParams', 'Amount must be a positive integer');
+    }
+    user.VirtualCurrency[code] = (user.VirtualCurrency[code] || 0) + request.Amount;
+    return { PlayFabId: request.PlayFabId, VirtualCurrency: code, BalanceChange: request.Amount, Balance: user.VirtualCurrency[code] };
+};
+
+FakeServerApi.prototype.SendPushNotification = function (request) {
+    var user;
+    requireParam('SendPushNotification', request, 'Recipient');
+    requireParam('SendPushNotification', request, 'Message');
+    user = this.getUser('SendPushNotification', { PlayFabId: request.Recipient });
+    user.PushNotifications.push({ Subject: request.Subject, Message: request.Message, Timestamp: this.now().toISOString() });
+    return {};
+};
+
+// Title data
+
+function titleDataReader(section) {
+    return function (request) {
+        var data = {}, key, keys = request && request.Keys;
+        for (key in this[section]) {
+            if (this[section].hasOwnProperty(key) && (!keys || keys.indexOf(key) > -1)) {
+                data[key] = this[section][key];
+            }
+        }
+        return { Data: data };
+    };
+}
+
+function titleDataWriter(api, section) {
+    return function (request) {
+        requireParam(api, request, 'Key');
+        if (request.Value === undefined || request.Value === null || request.Value === '') {
+            delete this[section][request.Key];
+        } else if (typeof request.Value !== 'string') {
+            throw new PlayFabApiError(api, 'InvalidParams', 'Value must be a string');
+        } else {
+            this[section][request.Key] = request.Value;
+        }
+        return {};
+    };
+}
+
+FakeServerApi.prototype.GetTitleData = titleDataReader('titleData');
+FakeServerApi.prototype.SetTitleData = titleDataWriter('SetTitleData', 'titleData');
+FakeServerApi.prototype.GetTitleInternalData = titleDataReader('titleInternalData');
+FakeServerApi.prototype.SetTitleInternalData = titleDataWriter('SetTitleInternalData', 'titleInternalData');
+
+// Helpers for tests: stored values with their JSON decoded, or undefined when missing.
+
+FakeServerApi.prototype.readSharedGroup = function (id) {
+    var data = {}, key, group = this.sharedGroups[id];
+    if (group === undefined) {
+        return undefined;
+    }
+    for (key in group.Data) {
+        if (group.Data.hasOwnProperty(key)) {
+            data[key] = JSON.parse(group.Data[key].Value);
+        }
+    }
+    return data;
+};
+
+FakeServerApi.prototype.readUserInternalData = function (playFabId) {
+    var data = {}, key, user = this.users[playFabId];
+    if (user === undefined) {
+        return undefined;
+    }
+    for (key in user.InternalData) {
+        if (user.InternalData.hasOwnProperty(key)) {
+            data[key] = user.InternalData[key].Value;
+        }
+    }
+    return data;
+};
+
+FakeServerApi.prototype.readStatistic = function (playFabId, name) {
+    var user = this.users[playFabId];
+    return user && user.Statistics.hasOwnProperty(name) ? user.Statistics[name].Value : undefined;
+};
+
+module.exports = FakeServerApi;
@@ -0,0 +1,102 @@
+/*jslint node: true */
+'use strict';
+
+// Builds Photon webhook (v1.2) and WebRPC payloads the way the Photon Add-on
+// forwards them to RoomCreated, RoomJoined, RoomLeft, RoomClosed,
+// RoomPropertyUpdated, RoomEventRaised and the WebRPC handlers.
+
+var LEAVE_REASONS = {
+    ClientDisconnect: '0', ClientTimeoutDisconnect: '1', ManagedDisconnect: '2', ServerDisconnect: '3', TimeoutDisconnect: '4', ConnectTimeout: '5',
+    SwitchRoom: '100', LeaveRequest: '101', PlayerTtlTimedOut: '102', PeerLastTouchTimedout: '103', PluginRequest: '104', PluginFailedJoin: '105'
+};
+
+function PhotonWebhooks(env) {
+    env = env || {};
+    this.AppId = env.AppId || 'photon-app-id';
+    this.AppVersion = env.AppVersion || '1.0';
+    this.Region = env.Region || 'eu';
+}
+
+PhotonWebhooks.LEAVE_REASONS = LEAVE_REASONS;
+
+PhotonWebhooks.prototype.base = function (gameId, type, actorNr, userId) {
+    var args = { AppId: this.AppId, AppVersion: this.AppVersion, Region: this.Region, GameId: gameId, Type: type };
+    if (actorNr !== undefined) {
+        args.ActorNr = actorNr;
+        args.UserId = userId;
+        args.Nickname = userId;
+    }
+    return args;
+};
+
+PhotonWebhooks.prototype.create = function (gameId, userId, createOptions) {
+    var args = this.base(gameId, 'Create', 1, userId);
+    args.CreateOptions = createOptions || { MaxPlayers: 2, PlayerTTL: -1, EmptyRoomTTL: 0, CheckUserOnJoin: true };
+    return args;
+};
+
+PhotonWebhooks.prototype.load = function (gameId, actorNr, userId, createIfNotExists) {
+    var args = this.base(gameId, 'Load', actorNr, userId);
+    args.CreateIfNotExists = createIfNotExists === true;
+    return args;
+};
+
+PhotonWebhooks.prototype.join = function (gameId, actorNr, userId) {
+    return this.base(gameId, 'Join', actorNr, userId);
+};
+
+// "type" is one of the LEAVE_REASONS names, LeaveRequest by default.
+PhotonWebhooks.prototype.leave = function (gameId, actorNr, userId, isInactive, type) {
+    var args = this.base(gameId, type || 'LeaveRequest', actorNr, userId);
+    args.IsInactive = isInactive === true;
+    args.Reason = LEAVE_REASONS[args.Type];
+    return args;
+};
+
+PhotonWebhooks.prototype.save = function (gameId, actorCount, state) {
+    var args = this.base(gameId, 'Save');
+    args.ActorCount = actorCount;
+    args.State = state;
+    return args;
+};
+
+PhotonWebhooks.prototype.close = function (gameId) {
+    var args = this.base(gameId, 'Close');
+    args.ActorCount = 0;
+    return args;
+};
+
+PhotonWebhooks.prototype.gameProperties = function (gameId, actorNr, userId, properties, state) {
+    var args = this.base(gameId, 'Game', actorNr, userId);
+    args.Properties = properties;
+    args.State = state;
+    return args;
+};
+
+PhotonWebhooks.prototype.playerProperties = function (gameId, actorNr, userId, targetActor, properties, state) {
+    var args = this.base(gameId, 'Player', actorNr, userId);
+    args.TargetActor = targetActor;
+    args.Properties = properties;
+    args.State = state;
+    return args;
+};
+
+PhotonWebhooks.prototype.event = function (gameId, actorNr, userId, evCode, data, state) {
+    var args = this.base(gameId, 'Event', actorNr, userId);
+    args.EvCode = evCode;
+    args.Data = data;
+    args.State = state;
+    return args;
+};
+
+PhotonWebhooks.prototype.webRpc = function (userId, parameters) {
+    var args = { AppId: this.AppId, AppVersion: this.AppVersion, Region: this.Region, UserId: userId }, key;
+    for (key in parameters) {
+        if (parameters.hasOwnProperty(key)) {
+            args[key] = parameters[key];
+        }
+    }
+    return args;
+};
+
+module.exports = PhotonWebhooks;
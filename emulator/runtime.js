@@ -0,0 +1,174 @@
+/*jslint node: true */
+'use strict';
+
+// Local host for cloudscript.js.
+// Provides the globals described in TypeScript/Scripts/typings/PlayFab/CloudScript.d.ts
+// (handlers, server, http, log, script and currentPlayerId), evaluates the script
+// and runs a handler the way ExecuteCloudScript or a Photon webhook would.
+// Like the PlayFab host, every execution starts from a freshly evaluated script,
+// so nothing kept in script globals survives between two executions.
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var FakeServerApi = require('./fakeServer');
+var FakeHttp = require('./fakeHttp');
+
+var DEFAULT_SCRIPT_PATH = path.join(__dirname, '..', 'cloudscript.js');
+
+// options.scriptPath: script to host, ./cloudscript.js by default
+// options.modules: further script files of the same revision, evaluated after it in the same global scope
+// options.server, options.http: stand-ins for the globals, a new FakeServerApi and FakeHttp by default
+// options.titleId, options.revision: values exposed through the "script" global
+// options.now: function returning epoch milliseconds; when set it drives Date in the
+// script and the LastUpdated stamps of the fake server
+function CloudScriptRuntime(options) {
+    options = options || {};
+    this.scriptPath = options.scriptPath || DEFAULT_SCRIPT_PATH;
+    this.server = options.server || new FakeServerApi();
+    this.http = options.http || new FakeHttp();
+    this.titleId = options.titleId || 'EMULATOR';
+    this.revision = options.revision || 1;
+    this.now = options.now;
+    if (this.now && this.server instanceof FakeServerApi) {
+        this.server.now = function () {
+            return new Date(options.now());
+        };
+    }
+    this.compiled = [this.scriptPath].concat(options.modules || []).map(function (file) {
+        return new vm.Script(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''), { filename: file });
+    });
+}
+
+function createLogger(logs) {
+    function write(level) {
+        return function (message, data) {
+            var entry = { Level: level, Message: String(message) };
+            if (data !== undefined) {
+                entry.Data = toHost(data); // serialized like the PlayFab logs
+            }
+            logs.push(entry);
+        };
+    }
+    return { debug: write('Debug'), info: write('Info'), error: write('Error') };
+}
+
+// Wraps "target" so that every method call is counted in "counter.calls",
+// and calls to server methods the emulator does not know fail loudly instead of
+// surfacing as "undefined is not a function" deep inside the script.
+function instrument(target, counter, label) {
+    return new Proxy(target, {
+        get: function (obj, name) {
+            var value = obj[name];
+            if (typeof value === 'function') {
+                return function () {
+                    counter.calls += 1;
+                    return value.apply(obj, arguments);
+                };
+            }
+            if (value === undefined && typeof name === 'string' && /^[A-Z]/.test(name)) {
+                return function () {
+                    throw new Error(label + '.' + name + ' is not implemented by the emulator');
+                };
+            }
+            return value;
+        }
+    });
+}
+
+// Replaces Date in the script realm so that new Date() and Date.now() follow "now",
+// which lets tests step through cooldowns and timeouts without waiting.
+function installClock(sandbox, now) {
+    vm.runInContext('(function (now) {' +
+        '    var RealDate = Date;' +
+        '    Date = class Date extends RealDate {' +
+        '        constructor() { if (arguments.length === 0) { super(now()); } else { super(...arguments); } }' +
+        '        static now() { return now(); }' +
+        '    };' +
+        '})', sandbox)(now);
+}
+
+// Copies a host value into the script realm, the way PlayFab hands over
+// JSON-serialized FunctionParameter and context objects.
+function toSandbox(sandbox, value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    return vm.runInContext('JSON.parse', sandbox)(JSON.stringify(value));
+}
+
+function toHost(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    return JSON.parse(JSON.stringify(value));
+}
+
+function describeError(e) {
+    if (e && e.Error) {
+        return { Error: 'CloudScriptAPIRequestError', Message: e.Error.errorMessage || e.Error.error, StackTrace: e.stack };
+    }
+    if (e instanceof Object && e.name !== undefined) {
+        return { Error: 'JavascriptException', Message: e.name + ': ' + e.message, StackTrace: e.stack };
+    }
+    return { Error: 'JavascriptException', Message: String(e) };
+}
+
+// Runs handlers[functionName](args, context) and returns an object shaped like
+// PlayFabServerModels.ExecuteCloudScriptResult.
+// options.playerId becomes currentPlayerId (leave it out for RoomClosed and
+// RoomPropertyUpdated, where PlayFab does not set it) and options.context is the
+// PlayStream context passed as the second argument.
+CloudScriptRuntime.prototype.execute = function (functionName, args, options) {
+    options = options || {};
+    var logs = [], apiCounter = { calls: 0 }, httpCounter = { calls: 0 }, started = Date.now(), sandbox, handler,
+        result = { FunctionName: functionName, Revision: this.revision };
+
+    sandbox = vm.createContext({
+        handlers: {},
+        server: instrument(this.server, apiCounter, 'server'),
+        http: instrument(this.http, httpCounter, 'http'),
+        log: createLogger(logs),
+        script: { revision: this.revision, titleId: this.titleId },
+        currentPlayerId: options.playerId
+    });
+    if (this.now) {
+        installClock(sandbox, this.now);
+    }
+
+    try {
+        this.compiled.forEach(function (compiled) {
+            compiled.runInContext(sandbox);
+        });
+        handler = sandbox.handlers[functionName];
+        if (typeof handler !== 'function') {
+            result.Error = { Error: 'CloudScriptNotFound', Message: 'No function named ' + functionName + ' was found to execute' };
+        } else {
+            result.FunctionResult = toHost(handler(toSandbox(sandbox, args), toSandbox(sandbox, options.context)));
+        }
+    } catch (e) {
+        result.Error = describeError(e);
+        logs.push({ Level: 'Error', Message: result.Error.Message });
+    }
+
+    result.Logs = logs;
+    result.ExecutionTimeSeconds = (Date.now() - started) / 1000;
+    result.APIRequestsIssued = apiCounter.calls;
+    result.HttpRequestsIssued = httpCounter.calls;
+    return result;
+};
+
+// Shorthand for tests: returns FunctionResult, or throws when the execution failed.
+CloudScriptRuntime.prototype.run = function (functionName, args, options) {
+    var result = this.execute(functionName, args, options), error;
+    if (result.Error) {
+        error = new Error(result.Error.Error + ': ' + result.Error.Message);
+        error.executionResult = result;
+        throw error;
+    }
+    return result.FunctionResult;
+};
+
+CloudScriptRuntime.DEFAULT_SCRIPT_PATH = DEFAULT_SCRIPT_PATH;
+
+module.exports = CloudScriptRuntime;
@@ -0,0 +1,60 @@
+/*jslint node: true */
+'use strict';
+
+// Client handlers registered with registerClientHandler: argument validation, the
+// currentPlayerId requirement and the { ok, data, error } envelope.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var createHarness = require('./support/harness').createHarness;
+
+var STAT_EVENT = { playStreamEvent: { EventName: 'player_statistic_changed', StatisticValue: 1200 }, playerProfile: { PlayerId: 'P1', DisplayName: 'Player One' } };
+
+test('successful calls return their data in the envelope', function () {
+    var h = createHarness(['P1']);
+
+    assert.deepEqual(h.call('helloWorld', { inputValue: 'x' }, 'P1'), { ok: true, data: { messageValue: 'Hello P1!' }, error: null });
+    assert.deepEqual(h.call('helloWorld', undefined, 'P1').data, { messageValue: 'Hello P1!' }, 'args are optional');
+    assert.deepEqual(h.call('makeAPICall', {}, 'P1'), { ok: true, data: { statisticName: 'Level', value: 2 }, error: null });
+    assert.deepEqual(h.call('InitGameList', {}, 'P1'), { ok: true, data: { message: 'game list already exists.' }, error: null });
+
+    assert.deepEqual(h.execute('unlockHighSkillContent', {}, 'P1', STAT_EVENT).FunctionResult.data, { profile: STAT_EVENT.playerProfile });
+    assert.equal(h.server.readUserInternalData('P1').XPAtHighSkillUnlock, '1200');
+});
+
+test('validation failures are explicit', function () {
+    var h = createHarness(['P1']), result;
+
+    result = h.call('completedLevel', { levelName: 'forest', monstersKilled: '12', attemptToken: 'token' }, 'P1');
+    assert.equal(result.ok, false);
+    assert.equal(result.data, null);
+    assert.equal(result.error.code, 'InvalidArgument');
+    assert.equal(result.error.message, 'Wrong type: monstersKilled is string instead of number');
+    assert.equal(result.error.details[0].Path, 'monstersKilled');
+
+    assert.equal(h.call('startLevel', {}, 'P1').error.code, 'MissingArgument');
+    assert.equal(h.call('updatePlayerMove', { GameId: 'room-1', Sequence: 0, Position: { x: 0, y: 0 } }, 'P1').error.code, 'InvalidArgument');
+    assert.deepEqual(h.execute('unlockHighSkillContent', {}, 'P1', { playerProfile: {} }).FunctionResult.error.details.map(function (v) {
+        return v.Path;
+    }), ['context.playStreamEvent']);
+    assert.equal(h.server.readUserInternalData('P1'), undefined, 'nothing was written');
+});
+
+test('calls without a player are refused', function () {
+    var h = createHarness(['P1']);
+
+    assert.deepEqual(h.call('helloWorld', {}), { ok: false, data: null, error: { code: 'Unauthorized', message: 'helloWorld must be called by a player' } });
+    assert.equal(h.call('updatePlayerMove', { GameId: 'room-1', Sequence: 1, Position: { x: 0, y: 0 } }).error.code, 'Unauthorized');
+});
+
+test('unexpected exceptions are journaled and reported as InternalError', function () {
+    var h = createHarness(['P1']), result, journal;
+
+    result = h.call('startLevel', { levelName: 'forest' }, 'P1');
+    assert.deepEqual(result.error, { code: 'InternalError', message: 'Error: Title internal data LevelAttemptSecret is not set' });
+    journal = h.server.readSharedGroup('_ErrorJournal')['2017-04-21/startLevel'];
+    assert.equal(journal.length, 1);
+    assert.equal(journal[0].Severity, 'Error');
+    assert.equal(journal[0].UserId, 'P1');
+});
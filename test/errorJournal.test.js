@@ -0,0 +1,112 @@
+/*jslint node: true */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var createHarness = require('./support/harness').createHarness;
+
+var DAY = 86400000;
+
+function createAdminHarness() {
+    var h = createHarness();
+    h.server.SetTitleInternalData({ Key: 'ErrorJournalAdmins', Value: JSON.stringify(['ADMIN']) });
+    return h;
+}
+
+test('rejected webhooks are journaled instead of written to title data', function () {
+    var h = createAdminHarness(), args = h.photon.join('room-1', 2, 'P2'), journal;
+
+    delete args.ActorNr;
+    assert.equal(h.call('RoomJoined', args, 'P2').ResultCode, 1);
+    assert.deepEqual(h.server.titleData, {});
+
+    journal = h.call('GetErrorJournal', {}, 'ADMIN');
+    assert.equal(journal.ok, true);
+    assert.equal(journal.data.Total, 1);
+    assert.equal(journal.data.Entries[0].Severity, 'Warning');
+    assert.equal(journal.data.Entries[0].Handler, 'RoomJoined');
+    assert.equal(journal.data.Entries[0].GameId, 'room-1');
+    assert.equal(journal.data.Entries[0].UserId, 'P2');
+    assert.equal(journal.data.Entries[0].Data.Violations[0].Path, 'ActorNr');
+});
+
+test('signatures and tokens are not journaled', function () {
+    var h = createAdminHarness(), args = h.photon.webRpc('P1', { GameId: 'room-1' }), record;
+    args.AuthCookie = { Signature: 'secret-signature', Session: 'secret-session' };
+
+    assert.equal(h.call('GetMatch', args, 'P1').ResultCode, 9, 'no PhotonAuthSecret to check the signature with');
+    record = h.call('GetErrorJournal', {}, 'ADMIN').data.Entries[0];
+    assert.equal(record.Handler, 'GetMatch');
+    assert.equal(record.Data.Webhook.AuthCookie, '[redacted]');
+    assert.doesNotMatch(JSON.stringify(h.server.readSharedGroup('_ErrorJournal')), /secret-/);
+});
+
+test('a failing journal write does not hide the original error', function () {
+    var h = createAdminHarness(), update = h.server.UpdateSharedGroupData, args, execution;
+    h.server.UpdateSharedGroupData = function (request) {
+        if (request.SharedGroupId === '_ErrorJournal') {
+            throw { Error: { error: 'DataUpdateRateExceeded', errorMessage: 'too many writes' } };
+        }
+        return update.call(this, request);
+    };
+
+    args = h.photon.join('room-1', 2, 'P2');
+    delete args.ActorNr;
+    execution = h.execute('RoomJoined', args, 'P2');
+    assert.equal(execution.FunctionResult.ResultCode, 1);
+    assert.match(execution.FunctionResult.Message, /ActorNr/);
+    assert.ok(execution.Logs.some(function (entry) {
+        return entry.Level === 'Error' && entry.Message === 'Error journal write failed';
+    }));
+});
+
+test('the journal can be filtered, paged and cleared by admins only', function () {
+    var h = createAdminHarness(), i, journal;
+
+    for (i = 0; i < 3; i += 1) {
+        h.call('RoomJoined', h.photon.join('room-' + i, 2, 'P2'), 'P2');
+    }
+    h.call('RoomLeft', h.photon.leave('room-1', 2, 'P2'), 'P2');
+    assert.equal(h.call('GetErrorJournal', {}, 'P2').error.code, 'Unauthorized');
+    assert.equal(h.call('ClearErrorJournal', {}, 'P2').error.code, 'Unauthorized');
+    assert.equal(h.call('GetErrorJournal', { Limit: 0 }, 'ADMIN').error.code, 'InvalidArgument');
+
+    journal = h.call('GetErrorJournal', { Handler: 'RoomJoined', Limit: 2 }, 'ADMIN').data;
+    assert.equal(journal.Total, 3);
+    assert.deepEqual(journal.Entries.map(function (entry) {
+        return entry.GameId;
+    }), ['room-2', 'room-1'], 'newest first');
+    assert.equal(h.call('GetErrorJournal', { GameId: 'room-1' }, 'ADMIN').data.Total, 2);
+
+    assert.deepEqual(h.call('ClearErrorJournal', { Handler: 'RoomJoined' }, 'ADMIN').data.Removed, ['2017-04-21/RoomJoined']);
+    journal = h.call('GetErrorJournal', {}, 'ADMIN').data;
+    assert.equal(journal.Total, 1, 'RoomLeft remains, denied calls are answered without being journaled');
+});
+
+test('journal keys are bounded and rotated by day', function () {
+    var h = createAdminHarness(), i, index, records, args;
+
+    for (i = 0; i < 25; i += 1) {
+        h.call('RoomJoined', h.photon.join('room-' + i, 2, 'P2'), 'P2');
+    }
+    records = h.server.readSharedGroup('_ErrorJournal')['2017-04-21/RoomJoined'];
+    assert.equal(records.length, 20);
+    assert.equal(records[19].GameId, 'room-24');
+
+    for (i = 0; i < 10; i += 1) {
+        args = h.photon.create('room-' + i, 'P1');
+        args.Nickname = new Array(3000).join('x');
+        delete args.CreateOptions;
+        h.call('RoomCreated', args, 'P1');
+    }
+    records = h.server.readSharedGroup('_ErrorJournal')['2017-04-21/RoomCreated'];
+    assert.equal(records[records.length - 1].Data.Truncated, true);
+    assert.ok(records.length < 10, 'large records are dropped to keep the key small');
+    assert.ok(JSON.stringify(records).length <= 8000);
+
+    h.clock.time += 7 * DAY;
+    h.call('RoomJoined', h.photon.join('room-x', 2, 'P2'), 'P2');
+    index = h.server.readSharedGroup('_ErrorJournal').Index;
+    assert.deepEqual(index, ['2017-04-28/RoomJoined']);
+    assert.equal(h.server.readSharedGroup('_ErrorJournal')['2017-04-21/RoomJoined'], undefined);
+});
@@ -0,0 +1,108 @@
+/*jslint node: true */
+'use strict';
+
+// Invites to open and saved games: InviteToGame, AcceptInvite, DeclineInvite and ListInvites,
+// the seats invites hold against MaxPlayers, expiry and the invite status in GetGameList.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var createHarness = require('./support/harness').createHarness;
+
+var GAME = 'room-1';
+
+function createGame(createOptions, rules) {
+    var h = createHarness(['P1', 'P2', 'P3']);
+    if (rules) {
+        h.server.SetTitleData({ Key: 'GameRules', Value: JSON.stringify(rules) });
+    }
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', createOptions || { MaxPlayers: 3, PlayerTTL: -1, CheckUserOnJoin: true }), 'P1');
+    h.server.addFriends('P1', 'P2');
+    h.server.addFriends('P1', 'P3');
+    h.server.addFriends('P2', 'P3');
+    h.rpc = function (name, userId, parameters) {
+        return h.call(name, h.photon.webRpc(userId, parameters), userId);
+    };
+    h.invite = function (from, to) {
+        return h.rpc('InviteToGame', from, { GameId: GAME, InviteeId: to });
+    };
+    return h;
+}
+
+test('an invited player sees the game, accepts and joins', function () {
+    var h = createGame(), result, item;
+
+    result = h.invite('P1', 'P2');
+    assert.equal(result.ResultCode, 0);
+    assert.equal(result.Data.Expires, '2017-04-28T10:00:05.000Z', 'a week by default');
+    assert.equal(h.room(GAME).Invites.P2.Status, 'Pending');
+    assert.deepEqual(h.rpc('ListInvites', 'P2').Data[GAME], {
+        From: 'P1', Creator: 'P1', Timestamp: '2017-04-21T10:00:05.000Z', Expires: '2017-04-28T10:00:05.000Z', Status: 'Pending'
+    });
+
+    item = h.rpc('GetGameList', 'P2').Data[GAME];
+    assert.equal(item.InviteStatus, 'Pending');
+    assert.equal(item.InvitedBy, 'P1');
+    assert.equal(item.ActorNr, undefined);
+    assert.equal(h.rpc('GetGameList', 'P1').Data[GAME].InviteStatus, undefined);
+
+    result = h.rpc('AcceptInvite', 'P2', { GameId: GAME });
+    assert.equal(result.ResultCode, 0);
+    assert.equal(result.Data.Creator, 'P1');
+    assert.equal(h.gamesList('P2')[GAME].Invite.Status, 'Accepted');
+    assert.equal(h.room(GAME).Invites.P2.Status, 'Accepted');
+
+    assert.equal(h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2').ResultCode, 0);
+    assert.deepEqual(h.room(GAME).Invites, {});
+    assert.equal(h.gamesList('P2')[GAME].Invite, undefined);
+    assert.deepEqual(h.rpc('ListInvites', 'P2').Data, {});
+});
+
+test('invites hold seats until declined or expired', function () {
+    var h = createGame({ MaxPlayers: 2, PlayerTTL: -1, CheckUserOnJoin: true }, { Invites: { ExpirySeconds: 60 } });
+
+    assert.equal(h.invite('P1', 'P2').ResultCode, 0);
+    assert.match(h.invite('P1', 'P3').Message, /is full/);
+    assert.equal(h.call('RoomJoined', h.photon.join(GAME, 2, 'P3'), 'P3').ResultCode, 2, 'the seat is kept for P2');
+    assert.equal(h.invite('P1', 'P2').ResultCode, 0, 'inviting again renews the invite');
+
+    assert.equal(h.rpc('DeclineInvite', 'P2', { GameId: GAME }).ResultCode, 0);
+    assert.equal(h.gamesList('P2')[GAME], undefined);
+    assert.deepEqual(h.room(GAME).Invites, {});
+    assert.equal(h.rpc('DeclineInvite', 'P2', { GameId: GAME }).ResultCode, 5);
+
+    assert.equal(h.invite('P1', 'P3').ResultCode, 0);
+    h.clock.time += 60000;
+    assert.equal(h.rpc('ListInvites', 'P3').Data[GAME].Status, 'Expired');
+    assert.equal(h.rpc('GetGameList', 'P3').Data[GAME].InviteStatus, 'Expired');
+    assert.match(h.rpc('AcceptInvite', 'P3', { GameId: GAME }).Message, /expired/);
+    assert.equal(h.invite('P1', 'P2').ResultCode, 0, 'expired invites free their seat');
+});
+
+test('invites to saved games are kept with the saved room', function () {
+    var h = createGame();
+
+    h.call('RoomLeft', h.photon.leave(GAME, 1, 'P1', true), 'P1');
+    h.call('RoomClosed', h.photon.save(GAME, 1, { CustomProperties: { map: 'forest' } }));
+    assert.equal(h.invite('P1', 'P2').ResultCode, 0);
+    assert.equal(h.gamesList('P1')[GAME].Invites.P2.From, 'P1');
+    assert.deepEqual(h.rpc('GetGameList', 'P2').Data[GAME].Properties, { map: 'forest' });
+    assert.equal(h.rpc('AcceptInvite', 'P2', { GameId: GAME }).ResultCode, 0);
+    assert.equal(h.gamesList('P1')[GAME].Invites.P2.Status, 'Accepted');
+});
+
+test('invalid invites are refused', function () {
+    var h = createGame();
+
+    assert.equal(h.invite('P2', 'P3').ResultCode, 2, 'only actors invite');
+    assert.equal(h.invite('P1', 'P1').ResultCode, 2, 'actors are already in');
+    assert.match(h.invite('P1', 'P9').Message, /InviteeId=P9 is not a friend of UserId=P1/);
+    h.server.addFriends('P1', 'P9');
+    assert.equal(h.invite('P1', 'P9').ResultCode, 5, 'the invitee needs a games list');
+    assert.equal(h.rpc('InviteToGame', 'P1', { GameId: GAME }).ResultCode, 1);
+    assert.equal(h.rpc('AcceptInvite', 'P2', { GameId: GAME }).ResultCode, 5);
+
+    h = createGame({ MaxPlayers: 3, PlayerTTL: -1, CheckUserOnJoin: false });
+    assert.match(h.invite('P1', 'P2').Message, /CheckUserOnJoin/);
+    assert.equal(h.gamesList('P2')[GAME], undefined);
+});
@@ -0,0 +1,107 @@
+/*jslint node: true */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var createHarness = require('./support/harness').createHarness;
+
+// Creates 'gameId' by 'creator', joined by 'other', and saves it with 'properties'.
+function saveGame(h, gameId, creator, other, properties) {
+    h.call('RoomCreated', h.photon.create(gameId, creator, { MaxPlayers: 2, PlayerTTL: -1 }), creator);
+    h.call('RoomJoined', h.photon.join(gameId, 2, other), other);
+    h.call('RoomLeft', h.photon.leave(gameId, 2, other, true), other);
+    h.call('RoomLeft', h.photon.leave(gameId, 1, creator, true), creator);
+    h.call('RoomClosed', h.photon.save(gameId, 2, { CustomProperties: properties }));
+}
+
+function createGames() {
+    var h = createHarness();
+    saveGame(h, 'a', 'P1', 'P2', { mode: 'duel' });
+    saveGame(h, 'b', 'P2', 'P1', { mode: 'coop' });
+    saveGame(h, 'c', 'P1', 'P3', { mode: 'coop' });
+    // saved again, so the oldest game is the most recently saved one
+    h.call('RoomCreated', h.photon.load('a', 1, 'P1'), 'P1');
+    h.call('RoomLeft', h.photon.leave('a', 1, 'P1', true), 'P1');
+    h.call('RoomClosed', h.photon.save('a', 2, { CustomProperties: { mode: 'duel', round: 2 } }));
+    return h;
+}
+
+function gameIds(games) {
+    return Array.isArray(games) ? games.map(function (game) {
+        return game.GameId;
+    }) : Object.keys(games);
+}
+
+test('without paging every game is returned in the map Photon expects', function () {
+    var h = createGames(), data = h.call('GetGameList', h.photon.webRpc('P1'), 'P1').Data;
+
+    assert.deepEqual(gameIds(data), ['c', 'b', 'a'], 'newest created first');
+    assert.equal(data.a.ActorNr, 1);
+    assert.deepEqual(data.a.Properties, { mode: 'duel', round: 2 });
+    assert.equal(data.b.ActorNr, 2);
+    assert.equal(data.b.Creator, 'P2');
+    assert.deepEqual(data.b.Properties, { mode: 'coop' }, 'resolved through the creator games list');
+});
+
+test('pages follow the continuation token', function () {
+    var h = createGames(), first, second, result;
+
+    result = h.execute('GetGameList', h.photon.webRpc('P1', { PageSize: 1 }), 'P1');
+    first = result.FunctionResult.Data;
+    assert.deepEqual(gameIds(first.Games), ['c']);
+    assert.equal(first.Total, 3);
+    assert.equal(result.APIRequestsIssued, 2, 'only the PhotonAuth settings and games on the page are read');
+
+    second = h.call('GetGameList', h.photon.webRpc('P1', { PageSize: 5, Cursor: first.ContinuationToken }), 'P1').Data;
+    assert.deepEqual(gameIds(second.Games), ['b', 'a']);
+    assert.equal(second.ContinuationToken, null);
+
+    assert.equal(h.call('GetGameList', h.photon.webRpc('P1', { Cursor: 'nope' }), 'P1').ResultCode, 2);
+});
+
+test('pages follow the continuation token when every game is resolved', function () {
+    var h = createGames(), first, second;
+
+    first = h.call('GetGameList', h.photon.webRpc('P1', { PageSize: 2, SortBy: 'LastSave' }), 'P1').Data;
+    assert.deepEqual(gameIds(first.Games), ['a', 'c']);
+    second = h.call('GetGameList', h.photon.webRpc('P1', { PageSize: 2, SortBy: 'LastSave', Cursor: first.ContinuationToken }), 'P1');
+    assert.equal(second.ResultCode, 0);
+    assert.deepEqual(gameIds(second.Data.Games), ['b']);
+    assert.equal(first.Games[0].SortKey, undefined);
+
+    first = h.call('GetGameList', h.photon.webRpc('P1', { PageSize: 1, Filter: { CustomProperties: { mode: 'coop' } } }), 'P1').Data;
+    assert.deepEqual(gameIds(first.Games), ['c']);
+    second = h.call('GetGameList', h.photon.webRpc('P1', { PageSize: 1, Filter: { CustomProperties: { mode: 'coop' } }, Cursor: first.ContinuationToken }), 'P1').Data;
+    assert.deepEqual(gameIds(second.Games), ['b']);
+    assert.equal(second.ContinuationToken, null);
+});
+
+test('pages keep the sort order of integer-like GameIds', function () {
+    var h = createHarness(), data;
+    saveGame(h, '20', 'P1', 'P2', {});
+    saveGame(h, 'x', 'P1', 'P2', {});
+    saveGame(h, '3', 'P1', 'P2', {});
+
+    data = h.call('GetGameList', h.photon.webRpc('P1', { PageSize: 5 }), 'P1').Data;
+    assert.ok(Array.isArray(data.Games));
+    assert.deepEqual(gameIds(data.Games), ['3', 'x', '20'], 'newest created first');
+    assert.equal(data.Games[0].ActorNr, 1);
+});
+
+test('games can be filtered and sorted by last save', function () {
+    var h = createGames(), data;
+
+    data = h.call('GetGameList', h.photon.webRpc('P1', { SortBy: 'LastSave' }), 'P1').Data;
+    assert.deepEqual(gameIds(data), ['a', 'c', 'b']);
+
+    data = h.call('GetGameList', h.photon.webRpc('P1', { Filter: { CustomProperties: { mode: 'coop' } } }), 'P1').Data;
+    assert.deepEqual(gameIds(data), ['c', 'b']);
+
+    data = h.call('GetGameList', h.photon.webRpc('P1', { Filter: { Creator: 'P2' } }), 'P1').Data;
+    assert.deepEqual(gameIds(data), ['b']);
+
+    data = h.call('GetGameList', h.photon.webRpc('P1', { Filter: { AppVersion: '2.0' } }), 'P1').Data;
+    assert.deepEqual(data, {});
+
+    assert.equal(h.call('GetGameList', h.photon.webRpc('P1', { SortBy: 'Name' }), 'P1').ResultCode, 2);
+});
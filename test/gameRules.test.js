@@ -0,0 +1,109 @@
+/*jslint node: true */
+'use strict';
+
+// Game rules read from the "GameRules" title data document: defaults, validation
+// and per-AppVersion overrides.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var PhotonWebhooks = require('../emulator/photonWebhooks');
+var createHarness = require('./support/harness').createHarness;
+
+var GAME = 'room-1';
+
+function setRules(h, rules) {
+    h.server.SetTitleData({ Key: 'GameRules', Value: typeof rules === 'string' ? rules : JSON.stringify(rules) });
+}
+
+// P1 alone in a room created by an 'appVersion' client (1.0 by default), stepping back and forth between two squares
+function createRoom(appVersion) {
+    var h = createHarness();
+    h.call('RoomCreated', new PhotonWebhooks({ AppVersion: appVersion }).create(GAME, 'P1'), 'P1');
+    h.server.SetTitleInternalData({ Key: 'LevelAttemptSecret', Value: 'secret' });
+    h.moves = 0;
+    return h;
+}
+
+function completeLevel(h, kills, appVersion) {
+    var token = h.call('startLevel', { levelName: 'forest', AppVersion: appVersion }, 'P1').data.attemptToken;
+    h.clock.time += 60000;
+    return h.call('completedLevel', { levelName: 'forest', monstersKilled: kills, attemptToken: token, AppVersion: appVersion }, 'P1');
+}
+
+function move(h, appVersion) {
+    var result = h.call('updatePlayerMove', { GameId: GAME, Sequence: h.moves + 1, Position: { x: 0, y: h.moves % 2 }, AppVersion: appVersion }, 'P1');
+    if (result.ok) {
+        h.moves += 1;
+    }
+    return result.ok;
+}
+
+test('defaults apply without a GameRules document', function () {
+    var h = createRoom();
+
+    assert.equal(move(h), true);
+    h.clock.time += 13000;
+    assert.equal(move(h), false, '14s is within the 15s cooldown');
+    completeLevel(h, 7);
+    assert.equal(h.server.readStatistic('P1', 'level_monster_kills'), 7);
+    h.call('makeAPICall', {}, 'P1');
+    assert.equal(h.server.readStatistic('P1', 'Level'), 2);
+});
+
+test('title data and AppVersion overrides replace the defaults', function () {
+    var rules = {
+            PlayerMove: { CooldownSeconds: 5 },
+            Statistics: { MonsterKills: 'kills' },
+            AppVersions: { '2.0': { PlayerMove: { CooldownSeconds: 3 } } }
+        },
+        h = createRoom(), newer = createRoom('2.0'), reads = 0, getTitleData = h.server.GetTitleData;
+    h.server.GetTitleData = function (request) {
+        reads += 1;
+        return getTitleData.call(h.server, request);
+    };
+    setRules(h, rules);
+    setRules(newer, rules);
+
+    assert.equal(move(h), true);
+    h.clock.time += 2000;
+    assert.equal(move(h), false, 'cooldown of 5s');
+    h.clock.time += 3000;
+    assert.equal(move(h), true);
+    assert.equal(move(newer), true);
+    newer.clock.time += 2000;
+    assert.equal(move(newer), true, 'cooldown of 3s in rooms of 2.0 clients');
+
+    reads = 0;
+    completeLevel(h, 3);
+    assert.equal(h.server.readStatistic('P1', 'kills'), 3);
+    assert.equal(reads, 2, 'title data is read once per execution of startLevel and completedLevel');
+});
+
+test('a client-sent AppVersion can not loosen the limits', function () {
+    var h = createRoom(), result;
+    setRules(h, { AppVersions: { '9.9': { PlayerMove: { CooldownSeconds: 0 }, Levels: { MaxKills: 1000 } } } });
+
+    assert.equal(move(h, '9.9'), true);
+    assert.equal(move(h, '9.9'), false, 'the room keeps the 15s cooldown of 1.0');
+    result = completeLevel(h, 500, '9.9');
+    assert.equal(result.error.code, 'LevelFlagged');
+    assert.equal(result.error.details[0].Expected, 100);
+});
+
+test('an invalid GameRules document falls back to the defaults', function () {
+    var h = createHarness(), result;
+
+    setRules(h, { PlayerMove: { CooldownSeconds: -1 }, AppVersions: { '2.0': { Statistics: { Level: 3 } } } });
+    result = h.execute('makeAPICall', {}, 'P1');
+    assert.equal(result.Error, undefined);
+    assert.equal(h.server.readStatistic('P1', 'Level'), 2);
+    assert.deepEqual(result.Logs[0].Data.Violations.map(function (v) {
+        return v.Path;
+    }), ['PlayerMove.CooldownSeconds', 'AppVersions.2.0.Statistics.Level']);
+
+    setRules(h, '{ not json');
+    result = h.execute('makeAPICall', { AppVersion: '2.0' }, 'P1');
+    assert.equal(result.Error, undefined);
+    assert.match(result.Logs[0].Message, /Could not load GameRules/);
+});
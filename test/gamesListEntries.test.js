@@ -0,0 +1,72 @@
+/*jslint node: true */
+'use strict';
+
+// Games list maintenance on Save and Close: every actor's entry carries the same summary
+// (last save, actor count, whose turn) and closed games leave every list.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var createHarness = require('./support/harness').createHarness;
+
+var GAME = 'room-1';
+
+function createGame(h) {
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 3, PlayerTTL: -1, CheckUserOnJoin: true }), 'P1');
+    h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2');
+}
+
+function saveGame(h) {
+    h.call('RoomLeft', h.photon.leave(GAME, 2, 'P2', true), 'P2');
+    h.call('RoomLeft', h.photon.leave(GAME, 1, 'P1', true), 'P1');
+    h.call('RoomClosed', h.photon.save(GAME, 2, { CustomProperties: {} }));
+}
+
+test('saving writes the same summary to every actor', function () {
+    var h = createHarness(), summary;
+    createGame(h);
+    saveGame(h);
+
+    summary = { LastSavedAt: '2017-04-21T10:00:08.000Z', ActorCount: 2, Turn: null };
+    assert.deepEqual(h.gamesList('P1')[GAME].Summary, summary);
+    assert.deepEqual(h.gamesList('P2')[GAME], {
+        Env: h.gamesList('P1')[GAME].Env, Creation: h.gamesList('P1')[GAME].Creation, ActorNr: 2, Summary: summary, SchemaVersion: 2
+    });
+});
+
+test('the summary follows the turns of a saved match', function () {
+    var h = createHarness(), item;
+    createGame(h);
+    h.call('GetMatch', h.photon.webRpc('P1', { GameId: GAME }), 'P1');
+    saveGame(h);
+    assert.deepEqual(h.gamesList('P2')[GAME].Summary.Turn, { ActorNr: 1, UserId: 'P1', TurnNumber: 1 });
+
+    h.call('SubmitTurn', h.photon.webRpc('P1', { GameId: GAME, TurnNumber: 1 }), 'P1');
+    assert.deepEqual(h.gamesList('P1')[GAME].Summary.Turn, { ActorNr: 2, UserId: 'P2', TurnNumber: 2 });
+    assert.deepEqual(h.gamesList('P2')[GAME].Summary.Turn, { ActorNr: 2, UserId: 'P2', TurnNumber: 2 });
+
+    item = h.call('GetGameList', h.photon.webRpc('P2'), 'P2').Data[GAME];
+    assert.equal(item.ActorCount, 2);
+    assert.equal(item.Turn.UserId, 'P2');
+
+    h.server.UpdateSharedGroupData({ SharedGroupId: 'P1_GamesList', Data: { 'room-1': null } });
+    item = h.call('GetGameList', h.photon.webRpc('P2'), 'P2').Data[GAME];
+    assert.equal(item.LastSavedAt, '2017-04-21T10:00:09.000Z', 'the summary stands in for a missing creator entry');
+});
+
+test('closing removes the game from every list', function () {
+    var h = createHarness(), entry;
+    createGame(h);
+    h.server.addFriends('P1', 'P3');
+    h.call('InviteToGame', h.photon.webRpc('P1', { GameId: GAME, InviteeId: 'P3' }), 'P1');
+    entry = h.gamesList('P2')[GAME];
+    h.call('RoomLeft', h.photon.leave(GAME, 2, 'P2', false), 'P2');
+    // as if the RoomLeft webhook of P2 had been lost
+    h.server.UpdateSharedGroupData({ SharedGroupId: 'P2_GamesList', Data: { 'room-1': JSON.stringify(entry) } });
+    h.call('RoomLeft', h.photon.leave(GAME, 1, 'P1', false), 'P1');
+
+    assert.equal(h.call('RoomClosed', h.photon.close(GAME)).ResultCode, 0);
+    assert.equal(h.gamesList('P1')[GAME], undefined);
+    assert.equal(h.gamesList('P2')[GAME], undefined, 'past joiners lose the closed game too');
+    assert.equal(h.gamesList('P3')[GAME], undefined, 'so do invitees');
+});
@@ -0,0 +1,120 @@
+/*jslint node: true */
+'use strict';
+
+// The outbound HTTP helpers: host allowlist, JSON handling, retries and request signing.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var CloudScriptRuntime = require('../emulator/runtime');
+var createHarness = require('./support/harness').createHarness;
+
+// Exposes the helpers to the tests as a handler of a second script file.
+var FETCH_MODULE = [
+    "handlers.fetch = function (args) {",
+    "    'use strict';",
+    "    try {",
+    "        return { body: args.post ? httpPostJson(args.url, args.post, args) : httpGetJson(args.url, args) };",
+    "    } catch (e) {",
+    "        return { reason: e.Reason, message: e.message };",
+    "    }",
+    "};"
+].join('\n');
+
+function withFetch(fn) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudscript-')), file = path.join(dir, 'fetch.js'), h = createHarness(['P1']);
+    fs.writeFileSync(file, FETCH_MODULE);
+    h.runtime = new CloudScriptRuntime({ server: h.server, modules: [file], now: h.runtime.now });
+    h.http = h.runtime.http;
+    h.server.SetTitleInternalData({ Key: 'HttpAllowedHosts', Value: JSON.stringify(['api.example.com', '*.cdn.example.com']) });
+    try {
+        fn(h);
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+}
+
+test('only allowlisted hosts are called', function () {
+    withFetch(function (h) {
+        h.http.route('https://api.example.com/', '{"level":3}');
+        h.http.route('https://eu.cdn.example.com/', '[]');
+
+        assert.deepEqual(h.call('fetch', { url: 'https://api.example.com/levels/3' }, 'P1'), { body: { level: 3 } });
+        assert.deepEqual(h.call('fetch', { url: 'https://eu.cdn.example.com/x' }, 'P1'), { body: [] });
+        assert.equal(h.call('fetch', { url: 'https://cdn.example.com.evil.net/x' }, 'P1').reason, 'HostNotAllowed');
+        assert.equal(h.call('fetch', { url: 'https://api.example.com@evil.net/' }, 'P1').reason, 'InvalidUrl');
+        assert.equal(h.call('fetch', { url: 'ftp://api.example.com/' }, 'P1').reason, 'InvalidUrl');
+        assert.equal(h.http.requests.length, 2);
+    });
+});
+
+test('idempotent calls are retried a bounded number of times', function () {
+    withFetch(function (h) {
+        var calls = 0, result;
+        h.http.route('https://api.example.com/flaky', function () {
+            calls += 1;
+            if (calls < 3) {
+                throw new Error('connection reset');
+            }
+            return '{"ok":true}';
+        });
+        h.http.route('https://api.example.com/down', function () {
+            throw new Error('503');
+        });
+
+        result = h.execute('fetch', { url: 'https://api.example.com/flaky', retries: 5 }, 'P1');
+        assert.deepEqual(result.FunctionResult, { body: { ok: true } });
+        assert.deepEqual(result.Logs.map(function (entry) {
+            return [entry.Level, entry.Data.Attempt];
+        }), [['Error', 1], ['Error', 2], ['Info', 3]]);
+        assert.equal(typeof result.Logs[2].Data.LatencyMs, 'number');
+
+        result = h.call('fetch', { url: 'https://api.example.com/down', retries: 5 }, 'P1');
+        assert.equal(result.reason, 'RequestFailed');
+        assert.match(result.message, /after 3 attempt\(s\): 503$/);
+
+        calls = 0;
+        assert.equal(h.call('fetch', { url: 'https://api.example.com/flaky', post: {}, retries: 2 }, 'P1').reason, 'RequestFailed', 'POST is not retried');
+        assert.equal(calls, 1);
+        assert.deepEqual(h.call('fetch', { url: 'https://api.example.com/flaky', post: {}, retries: 2, idempotent: true }, 'P1').body, { ok: true });
+    });
+});
+
+test('non-JSON answers are reported', function () {
+    withFetch(function (h) {
+        h.http.route('https://api.example.com/', '<html>');
+        assert.equal(h.call('fetch', { url: 'https://api.example.com/' }, 'P1').reason, 'InvalidJson');
+    });
+});
+
+test('signed requests carry an HMAC of timestamp, method, url and body', function () {
+    withFetch(function (h) {
+        var request, expected;
+        h.http.route('https://api.example.com/', '{}');
+
+        assert.equal(h.call('fetch', { url: 'https://api.example.com/score', post: { score: 1 }, sign: true }, 'P1').reason, 'NotConfigured');
+        h.server.SetTitleInternalData({ Key: 'HttpSigningSecret', Value: 's3cret' });
+        h.call('fetch', { url: 'https://api.example.com/score', post: { score: 1 }, sign: true }, 'P1');
+
+        request = h.http.requests[0];
+        expected = crypto.createHmac('sha256', 's3cret')
+            .update([request.headers['X-Signature-Timestamp'], 'POST', 'https://api.example.com/score', '{"score":1}'].join('\n')).digest('hex');
+        assert.equal(request.headers['X-Signature'], expected);
+        assert.equal(request.contentType, 'application/json');
+    });
+});
+
+test('the example handlers read their endpoint from the game rules', function () {
+    var h = createHarness(['P1']);
+    h.server.SetTitleData({ Key: 'GameRules', Value: JSON.stringify({ Endpoints: { HttpExample: 'https://hooks.example.com/x' } }) });
+
+    assert.equal(h.call('makeHTTPRequest', {}, 'P1').error.code, 'HostNotAllowed');
+    h.server.SetTitleInternalData({ Key: 'HttpAllowedHosts', Value: JSON.stringify(['hooks.example.com']) });
+    h.runtime.http.route('https://hooks.example.com/', 'done');
+    assert.deepEqual(h.call('makeHTTPRequest', { value: 1 }, 'P1').data, { responseContent: 'done' });
+    assert.equal(JSON.parse(h.runtime.http.requests[0].content).userId, 'P1');
+});
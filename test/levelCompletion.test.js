@@ -0,0 +1,125 @@
+/*jslint node: true */
+'use strict';
+
+// Level attempts: startLevel tokens, plausibility checks of completedLevel submissions,
+// how suspicious ones are flagged and the attempt history.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var createHarness = require('./support/harness').createHarness;
+
+var RULES = {
+    Levels: { MaxKills: 20, MinSeconds: 30, Order: ['forest', 'cave', 'castle'], PerLevel: { cave: { MaxKills: 50 } } },
+    AntiCheat: { Tag: 'Review', MaxFlags: 2 }
+};
+
+function createPlayer() {
+    var h = createHarness(['P1']);
+    h.server.SetTitleData({ Key: 'GameRules', Value: JSON.stringify(RULES) });
+    h.server.SetTitleInternalData({ Key: 'LevelAttemptSecret', Value: 'secret' });
+    return h;
+}
+
+function play(h, level, kills, seconds) {
+    var token = h.call('startLevel', { levelName: level }, 'P1').data.attemptToken;
+    h.clock.time += seconds * 1000;
+    h.token = token;
+    return h.call('completedLevel', { levelName: level, monstersKilled: kills, attemptToken: token }, 'P1');
+}
+
+function history(h) {
+    return JSON.parse(h.server.readUserInternalData('P1').levelAttempts);
+}
+
+function checks(result) {
+    return result.ok ? [] : result.error.details.map(function (flag) {
+        return flag.Check;
+    });
+}
+
+test('plausible completions are recorded', function () {
+    var h = createPlayer();
+
+    assert.deepEqual(play(h, 'forest', 20, 45), { ok: true, data: { accepted: true }, error: null });
+    assert.deepEqual(play(h, 'cave', 50, 45), { ok: true, data: { accepted: true }, error: null }, 'cave allows more kills');
+    assert.deepEqual(play(h, 'forest', 3, 45), { ok: true, data: { accepted: true }, error: null }, 'earlier levels can be replayed');
+    assert.equal(h.server.readStatistic('P1', 'level_monster_kills'), 3);
+    assert.deepEqual(JSON.parse(h.server.readUserInternalData('P1').levelProgress), { Highest: 1 });
+    assert.deepEqual(h.server.GetPlayerTags({ PlayFabId: 'P1' }).Tags, []);
+});
+
+test('implausible completions are flagged and not recorded', function () {
+    var h = createPlayer();
+
+    assert.deepEqual(checks(play(h, 'forest', 21, 45)), ['kills']);
+    assert.deepEqual(checks(play(h, 'forest', 2.5, 45)), ['kills']);
+    assert.deepEqual(checks(play(h, 'forest', 5, 10)), ['duration']);
+    assert.deepEqual(checks(play(h, 'castle', 5, 45)), ['progression'], 'castle skips cave');
+    assert.deepEqual(checks(play(h, 'dungeon', 5, 45)), ['progression']);
+    assert.deepEqual(checks(h.call('completedLevel', { levelName: 'cave', monstersKilled: 1, attemptToken: 'forged' }, 'P1')), ['token', 'progression']);
+    assert.equal(h.server.readStatistic('P1', 'level_monster_kills'), undefined);
+
+    assert.deepEqual(h.server.GetPlayerTags({ PlayFabId: 'P1' }).Tags, ['Review']);
+    assert.deepEqual(JSON.parse(h.server.readUserInternalData('P1').levelFlags).map(function (record) {
+        return record.Level;
+    }), ['dungeon', 'cave'], 'only the latest MaxFlags records are kept');
+});
+
+test('levels can be completed in any order unless Levels.Order is set', function () {
+    var h = createHarness(['P1']), token;
+    h.server.SetTitleInternalData({ Key: 'LevelAttemptSecret', Value: 'secret' });
+
+    token = h.call('startLevel', { levelName: 'castle' }, 'P1').data.attemptToken;
+    h.clock.time += 45000;
+    assert.deepEqual(h.call('completedLevel', { levelName: 'castle', monstersKilled: 5, attemptToken: token }, 'P1'),
+        { ok: true, data: { accepted: true }, error: null });
+    assert.equal(h.server.readStatistic('P1', 'level_monster_kills'), 5);
+});
+
+test('an attempt token can only be submitted once', function () {
+    var h = createPlayer();
+
+    assert.deepEqual(play(h, 'forest', 5, 45), { ok: true, data: { accepted: true }, error: null });
+    assert.deepEqual(checks(h.call('completedLevel', { levelName: 'forest', monstersKilled: 9, attemptToken: h.token }, 'P1')), ['duplicate']);
+    assert.equal(h.server.readStatistic('P1', 'level_monster_kills'), 5);
+    assert.equal(history(h).length, 1);
+});
+
+test('tokens are signed for the player, the level and the attempt', function () {
+    var h = createPlayer(), token, forged;
+
+    token = h.call('startLevel', { levelName: 'forest' }, 'P1').data.attemptToken;
+    assert.match(token, /^[a-z0-9]+\.[0-9a-f]{64}$/);
+    h.clock.time += 45000;
+    forged = token.split('.')[0] + '.' + '0'.repeat(64);
+    assert.equal(h.call('completedLevel', { levelName: 'forest', monstersKilled: 1 }, 'P1').error.code, 'MissingArgument');
+    assert.deepEqual(h.server.GetPlayerTags({ PlayFabId: 'P1' }).Tags, [], 'a missing token is not flagged');
+    assert.deepEqual(checks(h.call('completedLevel', { levelName: 'forest', monstersKilled: 1, attemptToken: forged }, 'P1')), ['token']);
+    assert.deepEqual(h.call('completedLevel', { levelName: 'forest', monstersKilled: 1, attemptToken: token }, 'P1'), { ok: true, data: { accepted: true }, error: null },
+        'forged tokens do not consume the attempt');
+    assert.deepEqual(checks(h.call('completedLevel', { levelName: 'cave', monstersKilled: 1, attemptToken: token }, 'P1')), ['token']);
+
+    h.server.SetTitleInternalData({ Key: 'LevelAttemptSecret', Value: 'rotated' });
+    token = h.call('startLevel', { levelName: 'forest' }, 'P1').data.attemptToken;
+    h.server.SetTitleInternalData({ Key: 'LevelAttemptSecret', Value: 'secret' });
+    h.clock.time += 45000;
+    assert.deepEqual(checks(h.call('completedLevel', { levelName: 'forest', monstersKilled: 1, attemptToken: token }, 'P1')), ['token']);
+});
+
+test('finished and abandoned attempts are kept in the history', function () {
+    var h = createPlayer(), records;
+
+    play(h, 'forest', 5, 45);
+    h.call('startLevel', { levelName: 'cave' }, 'P1');
+    play(h, 'cave', 99, 60);
+
+    records = history(h);
+    assert.deepEqual(records.map(function (record) {
+        return [record.Level, record.Result, record.DurationSeconds, record.MonstersKilled, record.Flags];
+    }), [
+        ['forest', 'completed', 46, 5, undefined],
+        ['cave', 'abandoned', undefined, undefined, undefined],
+        ['cave', 'flagged', 61, 99, ['kills']]
+    ]);
+});
@@ -0,0 +1,83 @@
+/*jslint node: true */
+'use strict';
+
+// Server-side move validation: turn order, sequence numbers and board positions
+// checked against the room state, with the rejection reported back to the caller.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var createHarness = require('./support/harness').createHarness;
+
+var GAME = 'room-1';
+
+function createRoom(rules) {
+    var h = createHarness();
+    h.server.SetTitleData({ Key: 'GameRules', Value: JSON.stringify(rules || { PlayerMove: { CooldownSeconds: 0 } }) });
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 3, PlayerTTL: -1 }), 'P1');
+    h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2');
+    return h;
+}
+
+function move(h, playerId, sequence, x, y) {
+    return h.call('updatePlayerMove', { GameId: GAME, Sequence: sequence, Position: { x: x, y: y } }, playerId);
+}
+
+function reason(result) {
+    return result.ok ? 'OK' : result.error.code;
+}
+
+test('moves follow turn order and per-actor sequence numbers', function () {
+    var h = createRoom(), room;
+
+    assert.deepEqual(move(h, 'P1', 1, 0, 0), { ok: true, data: { validMove: true }, error: null });
+    assert.equal(reason(move(h, 'P1', 2, 1, 0)), 'OutOfTurn');
+    assert.equal(reason(move(h, 'P2', 2, 7, 7)), 'BadSequence');
+    assert.equal(reason(move(h, 'P2', 1, 7, 7)), 'OK');
+    assert.equal(reason(move(h, 'P1', 1, 1, 0)), 'BadSequence', 'a replayed move');
+    assert.equal(reason(move(h, 'P1', 2, 1, 0)), 'OK');
+
+    room = h.room(GAME);
+    assert.deepEqual(room.Moves.Sequences, { 1: 2, 2: 1 });
+    assert.deepEqual(room.Moves.Positions, { 1: { x: 1, y: 0 }, 2: { x: 7, y: 7 } });
+    assert.equal(room.Match.Turn, 2, 'moves play the turns of the room match');
+    assert.equal(room.Moves.Count, 3);
+    assert.equal(h.server.readStatistic('P1', 'movesMade'), 2, 'the movesMade counter is read back before it is incremented');
+});
+
+test('positions must be on the board, within reach and free', function () {
+    var h = createRoom({ PlayerMove: { CooldownSeconds: 0, TurnOrder: false, Board: { Width: 4, Height: 4 }, MaxStep: 1 } }), result;
+
+    assert.equal(reason(move(h, 'P1', 1, 4, 0)), 'IllegalPosition');
+    assert.equal(reason(move(h, 'P1', 1, 0.5, 0)), 'IllegalPosition');
+    assert.equal(reason(move(h, 'P1', 1, 0, 0)), 'OK');
+    result = move(h, 'P1', 2, 2, 2);
+    assert.deepEqual(result.error.details, {
+        Code: 2,
+        Reason: 'IllegalPosition',
+        Message: '(2,2) is more than 1 away from (0,0)',
+        Expected: 1,
+        Actual: 2,
+        Validator: 'position'
+    });
+    assert.equal(reason(move(h, 'P2', 1, 0, 0)), 'Occupied');
+    assert.equal(reason(move(h, 'P2', 1, 1, 1)), 'OK');
+});
+
+test('moves outside a known room or without the caller as actor are refused', function () {
+    var h = createRoom();
+
+    assert.equal(reason(move(h, 'P3', 1, 0, 0)), 'NotInRoom');
+    assert.deepEqual(h.call('updatePlayerMove', { GameId: 'nowhere', Sequence: 1, Position: { x: 0, y: 0 } }, 'P1').error.details,
+        { Code: 5, Reason: 'UnknownRoom', Message: 'GameId=nowhere not found' });
+    assert.equal(h.call('updatePlayerMove', { Sequence: 1 }, 'P1').error.code, 'MissingArgument');
+    assert.equal(h.room(GAME).Moves, undefined);
+});
+
+test('RoomEventRaised moves report the rejection to Photon', function () {
+    var h = createRoom();
+
+    assert.equal(h.call('RoomEventRaised', h.photon.event(GAME, 1, 'P1', 1, { eventType: 'playerMove', Sequence: 1, Position: { x: 3, y: 3 } }), 'P1').ResultCode, 0);
+    assert.deepEqual(h.call('RoomEventRaised', h.photon.event(GAME, 1, 'P1', 1, { eventType: 'playerMove', Sequence: 2, Position: { x: 3, y: 4 } }), 'P1'),
+        { ResultCode: 2, Message: 'Invalid move (OutOfTurn): it is ActorNr=2 turn' });
+});
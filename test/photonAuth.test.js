@@ -0,0 +1,118 @@
+/*jslint node: true */
+'use strict';
+
+// Authentication of Photon webhooks and WebRPCs: the PhotonAuth AppId allowlist, UserId binding
+// and AuthCookie signatures keyed with the PhotonAuthSecret.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var crypto = require('crypto');
+var PhotonWebhooks = require('../emulator/photonWebhooks');
+var createHarness = require('./support/harness').createHarness;
+
+var GAME = 'room-1';
+
+function configure(h, settings, secret) {
+    h.server.SetTitleData({ Key: 'PhotonAuth', Value: typeof settings === 'string' ? settings : JSON.stringify(settings) });
+    if (secret) {
+        h.server.SetTitleInternalData({ Key: 'PhotonAuthSecret', Value: secret });
+    }
+}
+
+function sign(args, secret) {
+    args.AuthCookie = { Signature: crypto.createHmac('sha256', secret).update(args.AppId + '\n' + args.UserId).digest('hex') };
+    return args;
+}
+
+test('only allowed AppIds can call', function () {
+    var h = createHarness(['P1', 'P2']), result;
+    configure(h, { AppIds: ['photon-app-id'] });
+
+    result = h.call('RoomCreated', new PhotonWebhooks({ AppId: 'forged' }).create(GAME, 'P1', { MaxPlayers: 2 }), 'P1');
+    assert.equal(result.ResultCode, 9);
+    assert.equal(result.Message, 'AppId=forged is not allowed');
+    assert.equal(h.room(GAME), undefined);
+    assert.equal(h.call('ListInvites', new PhotonWebhooks({ AppId: 'forged' }).webRpc('P1'), 'P1').ResultCode, 9);
+
+    assert.equal(h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 2 }), 'P1').ResultCode, 0);
+    assert.equal(h.call('ListInvites', h.photon.webRpc('P1'), 'P1').ResultCode, 0);
+});
+
+test('WebRPCs are bound to the calling player', function () {
+    var h = createHarness(['P1', 'P2']), result;
+
+    result = h.call('ListInvites', h.photon.webRpc('P2'), 'P1');
+    assert.equal(result.ResultCode, 3);
+    assert.match(result.Message, /currentPlayerId=P1 does not match UserId/);
+
+    result = h.call('ListInvites', h.photon.webRpc('P1'));
+    assert.equal(result.ResultCode, 3, 'WebRPCs without a calling player are refused');
+    assert.equal(result.Message, 'currentPlayerId is not set');
+});
+
+test('only property webhooks may come without a calling player', function () {
+    var h = createHarness(['P1', 'P2']), photon = h.photon;
+    h.call('RoomCreated', photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: -1 }), 'P1');
+
+    assert.equal(h.call('RoomJoined', photon.join(GAME, 2, 'P2')).ResultCode, 3);
+    assert.equal(h.call('RoomEventRaised', photon.event(GAME, 1, 'P1', 1, {})).ResultCode, 3);
+    assert.equal(h.call('RoomLeft', photon.leave(GAME, 1, 'P1', true)).ResultCode, 3);
+    assert.equal(h.room(GAME).Actors[1].Inactive, false);
+
+    assert.equal(h.call('RoomPropertyUpdated', photon.gameProperties(GAME, 1, 'P1', { turn: 1 }, {})).ResultCode, 0);
+    assert.equal(h.call('RoomPropertyUpdated', photon.playerProperties(GAME, 1, 'P1', 1, { score: 1 }, {})).ResultCode, 0);
+    assert.equal(h.call('RoomPropertyUpdated', photon.gameProperties(GAME, 1, 'P1', { turn: 2 }, {}), 'P2').ResultCode, 3,
+        'a currentPlayerId that is there is still checked');
+});
+
+test('signatures are checked when present and required for WebRPCs when asked', function () {
+    var h = createHarness(['P1', 'P2']), event;
+    configure(h, { RequireSignature: true }, 'shared');
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 2 }), 'P1');
+
+    assert.equal(h.call('ListInvites', sign(h.photon.webRpc('P1'), 'shared'), 'P1').ResultCode, 0);
+    assert.equal(h.call('ListInvites', h.photon.webRpc('P1'), 'P1').Message, 'Missing AuthCookie.Signature');
+    assert.equal(h.call('ListInvites', sign(h.photon.webRpc('P1'), 'guessed'), 'P1').ResultCode, 9);
+    assert.equal(h.call('ListInvites', sign(h.photon.webRpc('P2'), 'shared'), 'P1').ResultCode, 3, 'a signature of another player does not help');
+
+    event = h.photon.event(GAME, 1, 'P1', 1, {});
+    assert.equal(h.call('RoomEventRaised', sign(event, 'guessed'), 'P1').ResultCode, 9);
+    assert.equal(h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2').ResultCode, 0, 'unsigned webhooks are accepted');
+});
+
+test('signatures can not be checked without the secret', function () {
+    var h = createHarness(['P1']), result;
+    configure(h, { RequireSignature: true });
+
+    result = h.call('ListInvites', sign(h.photon.webRpc('P1'), 'shared'), 'P1');
+    assert.equal(result.ResultCode, 9);
+    assert.match(result.Message, /PhotonAuthSecret is not set/);
+});
+
+test('broken settings refuse every call but leave and close webhooks', function () {
+    var h = createHarness(['P1']);
+
+    configure(h, '{ "AppIds": ');
+    assert.equal(h.call('ListInvites', h.photon.webRpc('P1'), 'P1').Message, 'Invalid PhotonAuth title data');
+    configure(h, { AppIds: 'photon-app-id' });
+    assert.equal(h.call('ListInvites', h.photon.webRpc('P1'), 'P1').ResultCode, 9);
+    configure(h, { AppIds: [1] });
+    assert.equal(h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 2 }), 'P1').ResultCode, 9);
+});
+
+test('leave and close webhooks go through while the settings are broken', function () {
+    var h = createHarness(['P1']), execution;
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: -1 }), 'P1');
+
+    configure(h, { AppIds: 'photon-app-id' });
+    assert.equal(h.call('RoomEventRaised', h.photon.event(GAME, 1, 'P1', 1, {}), 'P1').ResultCode, 9);
+    execution = h.execute('RoomLeft', h.photon.leave(GAME, 1, 'P1', true), 'P1');
+    assert.equal(execution.FunctionResult.ResultCode, 0);
+    assert.match(execution.Logs.filter(function (entry) {
+        return entry.Level === 'Error';
+    })[0].Message, /LeaveRequest webhook not authenticated: Invalid PhotonAuth title data/);
+    assert.equal(h.call('RoomClosed', h.photon.save(GAME, 1, { ActorList: [{ ActorNr: 1 }] })).ResultCode, 0);
+    assert.equal(h.room(GAME), undefined);
+    assert.equal(h.gamesList('P1')[GAME].Actors[1].Inactive, true);
+});
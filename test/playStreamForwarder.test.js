@@ -0,0 +1,92 @@
+/*jslint node: true */
+'use strict';
+
+// Forwarding PlayStream events to the sinks of the PlayStreamRoutes routing table.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var createHarness = require('./support/harness').createHarness;
+
+var PROFILE = { PlayerId: 'P1', DisplayName: 'Player One' };
+
+var ROUTES = {
+    Sinks: {
+        analytics: { Url: 'https://analytics.example.com/events', Fields: ['EventName', 'StatisticName', 'StatisticValue', 'Profile.DisplayName'], BatchSize: 2 },
+        archive: { Url: 'https://archive.example.com/in' }
+    },
+    Routes: { player_statistic_changed: ['analytics'], '*': ['archive'] }
+};
+
+function statisticChanged(value) {
+    return { EventName: 'player_statistic_changed', EntityId: 'P1', StatisticName: 'Level', StatisticValue: value, Version: 0 };
+}
+
+function createForwarder(routes) {
+    var h = createHarness(['P1']);
+    h.server.SetTitleInternalData({ Key: 'HttpAllowedHosts', Value: JSON.stringify(['analytics.example.com', 'archive.example.com']) });
+    h.server.SetTitleInternalData({ Key: 'PlayStreamRoutes', Value: JSON.stringify(routes || ROUTES) });
+    h.http = h.runtime.http;
+    h.forward = function (playStreamEvent) {
+        return h.execute('handlePlayStreamEventAndProfile', {}, 'P1', { playStreamEvent: playStreamEvent, playerProfile: PROFILE });
+    };
+    return h;
+}
+
+function posted(h, url) {
+    return h.http.requests.filter(function (request) {
+        return request.url === url;
+    }).map(function (request) {
+        return JSON.parse(request.content).Events;
+    });
+}
+
+test('events are projected per sink', function () {
+    var h = createForwarder(), result;
+
+    result = h.forward(statisticChanged(1));
+    assert.deepEqual(result.FunctionResult.data, { Sent: { analytics: 1, archive: 1 }, DeadLettered: {} });
+    h.forward({ EventName: 'player_logged_in', EntityId: 'P1' });
+
+    assert.deepEqual(posted(h, 'https://analytics.example.com/events'), [
+        [{ EventName: 'player_statistic_changed', StatisticName: 'Level', StatisticValue: 1, 'Profile.DisplayName': 'Player One' }]
+    ]);
+    assert.deepEqual(posted(h, 'https://archive.example.com/in'), [[statisticChanged(1)], [{ EventName: 'player_logged_in', EntityId: 'P1' }]]);
+});
+
+test('game clients can not forward events', function () {
+    var h = createForwarder(), result;
+
+    result = h.execute('handlePlayStreamEventAndProfile', { Events: [statisticChanged(99)] }, 'P1');
+    assert.equal(result.FunctionResult.ok, false);
+    assert.equal(result.FunctionResult.error.code, 'MissingArgument');
+    assert.equal(h.http.requests.length, 0);
+});
+
+test('undeliverable batches are dead-lettered', function () {
+    var h = createForwarder(), letters;
+    h.http.route('https://analytics.example.com/', function () {
+        throw new Error('503 Service Unavailable');
+    });
+
+    assert.deepEqual(h.forward(statisticChanged(1)).FunctionResult.data, { Sent: { archive: 1 }, DeadLettered: { analytics: 1 } });
+    letters = h.server.readSharedGroup('_PlayStreamDeadLetters').analytics;
+    assert.equal(letters.length, 1);
+    assert.equal(letters[0].Url, 'https://analytics.example.com/events');
+    assert.match(letters[0].Error, /503 Service Unavailable/);
+    assert.equal(letters[0].Events[0].StatisticValue, 1);
+
+    h.forward(statisticChanged(2));
+    assert.equal(h.server.readSharedGroup('_PlayStreamDeadLetters').analytics.length, 2);
+});
+
+test('routing tables naming unknown events or sinks are ignored', function () {
+    var h = createForwarder({ Sinks: ROUTES.Sinks, Routes: { player_levelled_up: ['analytics'], player_logged_in: ['warehouse'] } }), result;
+
+    result = h.forward(statisticChanged(1));
+    assert.deepEqual(result.FunctionResult.data, { Sent: {}, DeadLettered: {} });
+    assert.deepEqual(result.Logs[0].Data.Violations.map(function (v) {
+        return v.Message;
+    }), ['Unknown PlayStream event: player_levelled_up', 'Unknown sink: warehouse']);
+    assert.equal(h.http.requests.length, 0);
+});
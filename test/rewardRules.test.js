@@ -0,0 +1,165 @@
+/*jslint node: true */
+'use strict';
+
+// Segment entry rewards: rules from title internal data, every action type, segment
+// membership, the once-per-player guard and retries, refused client calls and the
+// HighSkillContent default behind unlockHighSkillContent.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var createHarness = require('./support/harness').createHarness;
+
+var PROFILE = { PlayerId: 'P1', DisplayName: 'Player One' };
+
+var STAT_EVENT = {
+    playStreamEvent: { EventName: 'player_statistic_changed', StatisticName: 'XP', StatisticValue: 1200 },
+    playerProfile: PROFILE
+};
+
+function segmentEvent(name) {
+    return {
+        playStreamEvent: { EventName: 'player_added_to_segment', SegmentId: name.toUpperCase(), SegmentName: name, Timestamp: '2017-04-21T10:00:00.000Z' },
+        playerProfile: PROFILE
+    };
+}
+
+var RULES = {
+    Rules: [{
+        Id: 'veteran',
+        Trigger: { Segment: 'Veterans' },
+        Actions: [
+            { Type: 'SetInternalData', Data: { VeteranSince: '{{Event.Timestamp}}' } },
+            { Type: 'GrantItems', CatalogVersion: 'main', ItemIds: ['golden_sword'] },
+            { Type: 'AddVirtualCurrency', Currency: 'GO', Amount: 100 },
+            { Type: 'AddTag', TagName: 'Veteran' },
+            { Type: 'SendPushNotification', Subject: 'Welcome', Message: 'Well played {{Profile.DisplayName}}!' }
+        ]
+    }, {
+        Id: 'daily',
+        Trigger: { Segment: 'Veterans' },
+        Actions: [{ Type: 'AddVirtualCurrency', Currency: 'GO', Amount: 5 }],
+        Repeatable: true
+    }, {
+        Id: 'xp',
+        Trigger: { EventName: 'player_statistic_changed', Event: { StatisticName: 'XP' } },
+        Actions: [{ Type: 'SetInternalData', Data: { XP: '{{Event.StatisticValue}}' } }]
+    }]
+};
+
+function configure(h, rules) {
+    h.server.SetTitleInternalData({ Key: 'RewardRules', Value: JSON.stringify(rules) });
+}
+
+function grants(h) {
+    return JSON.parse(h.server.readUserInternalData('P1').RewardGrants);
+}
+
+test('matching rules apply every action once per player', function () {
+    var h = createHarness(['P1']), user, result;
+    configure(h, RULES);
+    h.server.addPlayerToSegment('P1', 'VETERANS', 'Veterans');
+
+    result = h.execute('applyRewardRules', {}, 'P1', segmentEvent('Veterans')).FunctionResult;
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.data, { Granted: ['veteran', 'daily'], AlreadyGranted: [], Failed: {} });
+    user = h.server.users.P1;
+    assert.equal(h.server.readUserInternalData('P1').VeteranSince, '2017-04-21T10:00:00.000Z');
+    assert.deepEqual(user.Inventory.map(function (item) {
+        return item.ItemId;
+    }), ['golden_sword']);
+    assert.equal(user.Inventory[0].Annotation, 'Reward rule veteran');
+    assert.equal(user.VirtualCurrency.GO, 105);
+    assert.deepEqual(user.Tags, ['Veteran']);
+    assert.equal(user.PushNotifications[0].Message, 'Well played Player One!');
+
+    result = h.execute('applyRewardRules', {}, 'P1', segmentEvent('Veterans')).FunctionResult;
+    assert.deepEqual(result.data, { Granted: ['daily'], AlreadyGranted: ['veteran'], Failed: {} }, 're-entering the segment');
+    assert.equal(user.Inventory.length, 1);
+    assert.equal(user.VirtualCurrency.GO, 110);
+    assert.equal(grants(h).daily.Count, 2);
+});
+
+test('rules only fire when their trigger matches', function () {
+    var h = createHarness(['P1']), otherStat = { playStreamEvent: { EventName: 'player_statistic_changed', StatisticName: 'Kills' } };
+    configure(h, RULES);
+
+    assert.deepEqual(h.execute('applyRewardRules', {}, 'P1', segmentEvent('Veterans')).FunctionResult.data.Granted, [], 'the event is no proof of membership');
+    assert.deepEqual(h.execute('applyRewardRules', {}, 'P1', otherStat).FunctionResult.data.Granted, []);
+    assert.deepEqual(h.execute('applyRewardRules', {}, 'P1', STAT_EVENT).FunctionResult.data.Granted, ['xp']);
+
+    h.server.addPlayerToSegment('P1', 'VETERANS', 'Veterans');
+    configure(h, { Rules: [{ Id: 'by-id', Trigger: { Segment: 'VETERANS' }, Actions: [{ Type: 'AddTag', TagName: 'Veteran' }] }] });
+    assert.deepEqual(h.execute('applyRewardRules', {}, 'P1', segmentEvent('Veterans')).FunctionResult.data.Granted, ['by-id'], 'segments match by id too');
+});
+
+test('segment rules fire for the statistic event that moved the player into the segment', function () {
+    var h = createHarness(['P1']), execution;
+    configure(h, { Rules: [{ Id: 'veteran', Trigger: { Segment: 'Veterans' }, Actions: [{ Type: 'AddTag', TagName: 'Veteran' }] }] });
+    h.server.addPlayerToSegment('P1', 'VETERANS', 'Veterans');
+
+    execution = h.execute('applyRewardRules', {}, 'P1', STAT_EVENT);
+    assert.deepEqual(execution.FunctionResult.data.Granted, ['veteran']);
+    assert.deepEqual(h.server.users.P1.Tags, ['Veteran']);
+
+    configure(h, { Rules: [{ Id: 'xp', Trigger: { EventName: 'player_statistic_changed' }, Actions: [{ Type: 'AddTag', TagName: 'XP' }] }] });
+    assert.equal(h.execute('applyRewardRules', {}, 'P1', STAT_EVENT).APIRequestsIssued, execution.APIRequestsIssued - 1,
+        'segments are only read for Segment triggers');
+});
+
+test('game clients can not reward themselves', function () {
+    var h = createHarness(['P1']), result;
+    configure(h, RULES);
+
+    result = h.call('applyRewardRules', { Segment: 'Veterans' }, 'P1');
+    assert.equal(result.ok, false);
+    assert.equal(result.error.code, 'MissingArgument');
+    assert.deepEqual(result.error.details.map(function (v) {
+        return v.Path;
+    }), ['context.playStreamEvent']);
+    assert.deepEqual(h.execute('applyRewardRules', { Segment: 'Veterans' }, 'P1', STAT_EVENT).FunctionResult.data.Granted, ['xp'],
+        'a Segment argument is no proof of segment entry');
+    assert.equal(h.server.users.P1.Inventory.length, 0);
+    assert.equal(h.call('unlockHighSkillContent', {}, 'P1').ok, false);
+    assert.equal(h.server.readUserInternalData('P1').HighSkillContent, undefined);
+});
+
+test('a rule with a failing action is retried by the next matching call', function () {
+    var h = createHarness(['P1']), addCurrency = h.server.AddUserVirtualCurrency, result;
+    configure(h, { Rules: [{ Id: 'coins', Trigger: {}, Actions: [{ Type: 'AddVirtualCurrency', Currency: 'GO', Amount: 10 }] }] });
+    h.server.AddUserVirtualCurrency = function () {
+        throw { Error: { errorMessage: 'Unknown virtual currency' } };
+    };
+
+    result = h.execute('applyRewardRules', {}, 'P1', STAT_EVENT).FunctionResult.data;
+    assert.deepEqual(result.Failed, { coins: 'Unknown virtual currency' });
+    assert.equal(grants(h).coins.Status, 'Failed');
+    assert.equal(grants(h).coins.Count, 0);
+
+    h.server.AddUserVirtualCurrency = addCurrency;
+    result = h.execute('applyRewardRules', {}, 'P1', STAT_EVENT).FunctionResult.data;
+    assert.deepEqual(result, { Granted: ['coins'], AlreadyGranted: [], Failed: {} });
+    assert.equal(h.server.users.P1.VirtualCurrency.GO, 10);
+    assert.equal(grants(h).coins.Status, 'Granted');
+    assert.deepEqual(h.execute('applyRewardRules', {}, 'P1', STAT_EVENT).FunctionResult.data.AlreadyGranted, ['coins']);
+});
+
+test('invalid rules grant nothing and are logged', function () {
+    var h = createHarness(['P1']), execution;
+    configure(h, { Rules: [{ Id: 'bad', Trigger: {}, Actions: [{ Type: 'DeleteAccount' }, { Type: 'AddTag' }] }] });
+
+    execution = h.execute('applyRewardRules', {}, 'P1', STAT_EVENT);
+    assert.deepEqual(execution.FunctionResult.data.Granted, []);
+    assert.deepEqual(execution.Logs[0].Data.Violations.map(function (v) {
+        return v.Path;
+    }), ['Rules[0].Actions[0].Type', 'Rules[0].Actions[1].TagName']);
+});
+
+test('unlockHighSkillContent applies the default rule once', function () {
+    var h = createHarness(['P1']), later = { playStreamEvent: { EventName: 'player_statistic_changed', StatisticValue: 5000 }, playerProfile: PROFILE };
+
+    assert.equal(h.execute('unlockHighSkillContent', {}, 'P1', STAT_EVENT).FunctionResult.ok, true);
+    assert.equal(h.server.readUserInternalData('P1').HighSkillContent, 'true');
+    h.execute('unlockHighSkillContent', {}, 'P1', later);
+    assert.equal(h.server.readUserInternalData('P1').XPAtHighSkillUnlock, '1200', 'the unlock keeps the first value');
+});
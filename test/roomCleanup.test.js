@@ -0,0 +1,145 @@
+/*jslint node: true */
+'use strict';
+
+// CleanupRooms scheduled task: orphaned open rooms, stale saved games, dangling and
+// expired invite entries, the report, dry runs, player runs and the API call budget.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var createHarness = require('./support/harness').createHarness;
+
+var DAY = 86400000;
+
+function createGame(h, gameId) {
+    h.call('RoomCreated', h.photon.create(gameId, 'P1', { MaxPlayers: 3, PlayerTTL: -1, CheckUserOnJoin: true }), 'P1');
+    h.call('RoomJoined', h.photon.join(gameId, 2, 'P2'), 'P2');
+}
+
+function saveGame(h, gameId) {
+    h.call('RoomLeft', h.photon.leave(gameId, 2, 'P2', true), 'P2');
+    h.call('RoomLeft', h.photon.leave(gameId, 1, 'P1', true), 'P1');
+    h.call('RoomClosed', h.photon.save(gameId, 2, { CustomProperties: {} }));
+}
+
+test('rooms left open past the TTL are removed for every player', function () {
+    var h = createHarness(), report;
+    createGame(h, 'crashed');
+    h.clock.time += 2 * DAY;
+    createGame(h, 'live');
+
+    report = h.call('CleanupRooms', { PlayerIds: ['P1', 'P2'] }).Data;
+    assert.equal(report.Scanned, 2, 'a game is looked at once per run');
+    assert.deepEqual(report.Removed, [{
+        GameId: 'crashed', PlayerId: 'P1', LastActivity: '2017-04-21T10:00:05.000Z',
+        Reason: 'OrphanedRoom', SharedGroupDeleted: true, EntriesRemoved: ['P1', 'P2']
+    }]);
+    assert.deepEqual(report.Errors, []);
+    assert.equal(h.room('crashed'), undefined);
+    assert.equal(h.gamesList('P1').crashed, undefined);
+    assert.equal(h.gamesList('P2').crashed, undefined);
+    assert.notEqual(h.room('live'), undefined);
+    assert.notEqual(h.gamesList('P2').live, undefined);
+});
+
+test('saved games expire and dangling entries are dropped', function () {
+    var h = createHarness(), report;
+    createGame(h, 'old');
+    saveGame(h, 'old');
+    createGame(h, 'gone');
+    h.server.DeleteSharedGroup({ SharedGroupId: 'gone' });
+    h.server.UpdateSharedGroupData({ SharedGroupId: 'P1_GamesList', Data: { gone: null } });
+
+    report = h.call('CleanupRooms', {}, 'P2').Data;
+    assert.deepEqual(report.Removed.map(function (removal) {
+        return [removal.GameId, removal.Reason, removal.EntriesRemoved];
+    }), [['gone', 'MissingGame', ['P2']]], 'saved games are kept for 30 days');
+
+    h.clock.time += 31 * DAY;
+    report = h.call('CleanupRooms', { PlayerIds: ['P2'] }).Data;
+    assert.equal(report.Removed[0].Reason, 'StaleSavedGame');
+    assert.equal(report.Removed[0].SharedGroupDeleted, undefined);
+    assert.deepEqual(report.Removed[0].EntriesRemoved, ['P1', 'P2']);
+    assert.deepEqual(h.gamesList('P1'), {});
+});
+
+test('player runs only remove entries of their own games list', function () {
+    var h = createHarness(), report;
+    createGame(h, 'crashed');
+    createGame(h, 'saved');
+    saveGame(h, 'saved');
+    h.clock.time += 31 * DAY;
+
+    report = h.call('CleanupRooms', {}, 'P2').Data;
+    assert.deepEqual(report.Removed.map(function (removal) {
+        return [removal.GameId, removal.Reason, removal.EntriesRemoved, removal.SharedGroupDeleted];
+    }), [['crashed', 'OrphanedRoom', ['P2'], undefined], ['saved', 'StaleSavedGame', ['P2'], undefined]]);
+    assert.notEqual(h.room('crashed'), undefined);
+    assert.notEqual(h.gamesList('P1').crashed, undefined);
+    assert.notEqual(h.gamesList('P1').saved, undefined);
+    assert.deepEqual(h.gamesList('P2'), {});
+});
+
+test('expired invites are removed from the invitee games list', function () {
+    var h = createHarness(), report;
+    createGame(h, 'invited');
+    h.server.addFriends('P1', 'P3');
+    h.call('InviteToGame', h.photon.webRpc('P1', { GameId: 'invited', InviteeId: 'P3' }), 'P1');
+    h.clock.time += 8 * DAY;
+
+    report = h.call('CleanupRooms', { PlayerIds: ['P3'], OpenRoomTTLSeconds: 30 * 86400 }).Data;
+    assert.deepEqual(report.Removed.map(function (removal) {
+        return [removal.GameId, removal.Reason, removal.EntriesRemoved];
+    }), [['invited', 'ExpiredInvite', ['P3']]]);
+    assert.equal(h.gamesList('P3').invited, undefined);
+    assert.notEqual(h.room('invited'), undefined);
+});
+
+test('moves and property updates keep a room from being orphaned', function () {
+    var h = createHarness(), report;
+    createGame(h, 'played');
+    createGame(h, 'edited');
+    h.clock.time += DAY - 60000;
+    h.call('RoomEventRaised', h.photon.event('played', 1, 'P1', 1, { eventType: 'playerMove', Sequence: 1, Position: { x: 1, y: 1 } }), 'P1');
+    h.call('RoomPropertyUpdated', h.photon.gameProperties('edited', 1, 'P1', { round: 2 }));
+    h.clock.time += 2 * 60000;
+
+    report = h.call('CleanupRooms', { PlayerIds: ['P1'] }).Data;
+    assert.equal(report.Scanned, 2);
+    assert.deepEqual(report.Removed, []);
+    assert.notEqual(h.room('played'), undefined);
+    assert.notEqual(h.room('edited'), undefined);
+});
+
+test('dry runs, limits and access', function () {
+    var h = createHarness(), report, result;
+    createGame(h, 'a');
+    createGame(h, 'b');
+    h.clock.time += 2 * DAY;
+
+    report = h.call('CleanupRooms', { PlayerIds: ['P1'], DryRun: true, MaxApiCallsPerRun: 8 }).Data;
+    assert.equal(report.DryRun, true);
+    assert.equal(report.Truncated, true, 'the removal of b would need 5 more calls');
+    assert.equal(report.Removed.length, 1);
+    assert.deepEqual(report.Removed[0].EntriesRemoved, ['P1', 'P2']);
+    assert.notEqual(h.room('a'), undefined);
+    assert.notEqual(h.gamesList('P2').a, undefined);
+
+    result = h.execute('CleanupRooms', { PlayerIds: ['P1'], MaxApiCallsPerRun: 7 });
+    assert.equal(result.FunctionResult.Data.Truncated, true);
+    assert.equal(result.FunctionResult.Data.ApiCalls, result.APIRequestsIssued, 'the budget counts the calls made');
+    assert.ok(result.APIRequestsIssued <= 7);
+    assert.equal(h.room('a'), undefined);
+    assert.notEqual(h.room('b'), undefined);
+
+    result = h.execute('CleanupRooms', { PlayerIds: ['P1'] });
+    assert.match(result.Logs[result.Logs.length - 1].Message, /1 of 1 games removed/);
+    assert.equal(result.FunctionResult.Data.ApiCalls, result.APIRequestsIssued);
+    assert.equal(h.call('CleanupRooms', { PlayerIds: ['P1'] }, 'P2').ResultCode, 3, 'players only clean their own list');
+    assert.equal(h.call('CleanupRooms', { OpenRoomTTLSeconds: 1 }).ResultCode, 2);
+    ['OpenRoomTTLSeconds', 'SavedGameTTLSeconds', 'MaxApiCallsPerRun'].forEach(function (key) {
+        var limits = {};
+        limits[key] = 60;
+        assert.equal(h.call('CleanupRooms', limits, 'P1').ResultCode, 3, key + ' is for the scheduled task only');
+    });
+});
@@ -0,0 +1,97 @@
+/*jslint node: true */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var createHarness = require('./support/harness').createHarness;
+
+var GAME = 'room-1';
+
+// Runs 'concurrent' the next 'times' times a handler re-reads the room Revision,
+// i.e. between its read and its write.
+function interleave(h, times, concurrent) {
+    var read = h.server.GetSharedGroupData, running = false;
+    h.server.GetSharedGroupData = function (request) {
+        if (!running && times > 0 && request.SharedGroupId === GAME && request.Keys && request.Keys.join() === 'Revision') {
+            times -= 1;
+            running = true;
+            concurrent();
+            running = false;
+        }
+        return read.call(h.server, request);
+    };
+}
+
+// Runs 'concurrent' right before the next write of the room state, after the Revision re-read.
+function interleaveWrite(h, concurrent) {
+    var write = h.server.UpdateSharedGroupData, done = false;
+    h.server.UpdateSharedGroupData = function (request) {
+        if (!done && request.SharedGroupId === GAME && request.Data.hasOwnProperty('Revision')) {
+            done = true;
+            concurrent();
+        }
+        return write.call(h.server, request);
+    };
+}
+
+function createRoom() {
+    var h = createHarness();
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 4, PlayerTTL: -1 }), 'P1');
+    h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2');
+    return h;
+}
+
+test('every room write bumps the revision', function () {
+    var h = createRoom();
+    assert.equal(h.room(GAME).Revision, 2);
+    h.call('RoomLeft', h.photon.leave(GAME, 2, 'P2', true), 'P2');
+    assert.equal(h.room(GAME).Revision, 3);
+});
+
+test('a write racing another webhook is applied again on the fresh state', function () {
+    var h = createRoom(), room;
+
+    interleave(h, 1, function () {
+        assert.equal(h.call('RoomLeft', h.photon.leave(GAME, 2, 'P2', true), 'P2').ResultCode, 0);
+    });
+    assert.equal(h.call('RoomJoined', h.photon.join(GAME, 3, 'P3'), 'P3').ResultCode, 0);
+
+    room = h.room(GAME);
+    assert.deepEqual(room.Actors, {
+        1: { UserId: 'P1', Inactive: false },
+        2: { UserId: 'P2', Inactive: true },
+        3: { UserId: 'P3', Inactive: false }
+    });
+    assert.equal(room.NextActorNr, 4);
+    assert.equal(room.Revision, 4);
+});
+
+test('a write that keeps losing the race is rejected', function () {
+    var h = createRoom(), inactive = false;
+
+    interleave(h, 3, function () {
+        inactive = !inactive;
+        if (inactive) {
+            h.call('RoomLeft', h.photon.leave(GAME, 1, 'P1', true), 'P1');
+        } else {
+            h.call('RoomJoined', h.photon.join(GAME, 1, 'P1'), 'P1');
+        }
+    });
+    assert.equal(h.call('RoomLeft', h.photon.leave(GAME, 2, 'P2', true), 'P2').ResultCode, 7);
+    assert.equal(h.room(GAME).Actors[2].Inactive, false);
+});
+
+// Shared groups have no compare-and-swap: the Revision check can't see this race.
+test('a write landing between the re-read and the write is overwritten', function () {
+    var h = createRoom(), room;
+
+    interleaveWrite(h, function () {
+        assert.equal(h.call('RoomLeft', h.photon.leave(GAME, 2, 'P2', true), 'P2').ResultCode, 0);
+    });
+    assert.equal(h.call('RoomJoined', h.photon.join(GAME, 3, 'P3'), 'P3').ResultCode, 0);
+
+    room = h.room(GAME);
+    assert.equal(room.Actors[2].Inactive, false, 'the leave is lost');
+    assert.equal(room.Actors[3].UserId, 'P3');
+    assert.equal(room.Revision, 3, 'both writes stored Revision 3');
+});
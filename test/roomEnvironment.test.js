@@ -0,0 +1,110 @@
+/*jslint node: true */
+'use strict';
+
+// Room Env checks: the Allow, Reject and Migrate policies of the Env game rule and the
+// migrations a saved state goes through before RoomCreated Load returns it.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var CloudScriptRuntime = require('../emulator/runtime');
+var PhotonWebhooks = require('../emulator/photonWebhooks');
+var createHarness = require('./support/harness').createHarness;
+
+var GAME = 'room-1';
+
+// Migrations a title would ship in its script, 1.0 -> 1.1 -> 2.0.
+var MIGRATIONS_MODULE = [
+    "registerEnvMigration('AppVersion', '1.0', '1.1', function (data) {",
+    "    'use strict';",
+    "    data.State.CustomProperties.board = 'v1.1:' + data.State.CustomProperties.board;",
+    "});",
+    "registerEnvMigration('AppVersion', '1.1', '2.0', function (data) {",
+    "    'use strict';",
+    "    data.State.CustomProperties.schema = 2;",
+    "});"
+].join('\n');
+
+function withMigrations(rules, fn) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudscript-')), file = path.join(dir, 'migrations.js'), h = createHarness(['P1', 'P2']);
+    fs.writeFileSync(file, MIGRATIONS_MODULE);
+    h.runtime = new CloudScriptRuntime({ server: h.server, modules: [file], now: h.runtime.now });
+    h.server.SetTitleData({ Key: 'GameRules', Value: JSON.stringify(rules) });
+    try {
+        fn(h);
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+}
+
+function savedGame(h) {
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: -1, CheckUserOnJoin: true }), 'P1');
+    h.call('RoomLeft', h.photon.leave(GAME, 1, 'P1', true), 'P1');
+    h.call('RoomClosed', h.photon.save(GAME, 1, { CustomProperties: { board: 'e4' } }));
+}
+
+test('only the AppId is rejected by default', function () {
+    var h = createHarness(['P1', 'P2', 'P3']), result;
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 3, PlayerTTL: -1 }), 'P1');
+
+    result = h.call('RoomJoined', new PhotonWebhooks({ AppId: 'other-app' }).join(GAME, 2, 'P2'), 'P2');
+    assert.equal(result.ResultCode, 4);
+    assert.equal(result.Message, 'Room=' + GAME + ' Env mismatch: AppId photon-app-id != other-app');
+    assert.equal(h.room(GAME).Actors[2], undefined);
+
+    assert.equal(h.call('RoomJoined', new PhotonWebhooks({ AppVersion: '1.1', Region: 'us' }).join(GAME, 2, 'P2'), 'P2').ResultCode, 0);
+});
+
+test('leave and close webhooks only log rejected fields', function () {
+    var h = createHarness(['P1']), us = new PhotonWebhooks({ Region: 'us' }), result;
+    h.server.SetTitleData({ Key: 'GameRules', Value: JSON.stringify({ Env: { Region: 'Reject', CloudScriptRevision: 'Reject' } }) });
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: -1 }), 'P1');
+
+    assert.equal(h.call('RoomJoined', us.join(GAME, 2, 'P2'), 'P2').ResultCode, 4);
+    result = h.execute('RoomLeft', us.leave(GAME, 1, 'P1', true), 'P1');
+    assert.equal(result.FunctionResult.ResultCode, 0);
+    assert.deepEqual(result.Logs.filter(function (entry) {
+        return entry.Level === 'Error';
+    })[0].Data.Mismatches.map(function (mismatch) {
+        return mismatch.Field;
+    }), ['Region']);
+    assert.equal(h.room(GAME).Actors[1].Inactive, true);
+
+    // a new script revision deployed while the room is open
+    h.runtime.revision = 2;
+    assert.equal(h.call('RoomClosed', us.save(GAME, 1, { CustomProperties: { board: 'e4' } })).ResultCode, 0);
+    assert.equal(h.room(GAME), undefined);
+    assert.deepEqual(h.gamesList('P1')[GAME].State, { CustomProperties: { board: 'e4' } });
+});
+
+test('saved states are migrated before Load returns them', function () {
+    withMigrations({ Env: { AppVersion: 'Migrate' } }, function (h) {
+        var result, room, load;
+        savedGame(h);
+
+        result = h.call('RoomCreated', new PhotonWebhooks({ AppVersion: '2.0' }).load(GAME, 1, 'P1'), 'P1');
+        assert.equal(result.ResultCode, 0);
+        assert.deepEqual(result.State, { CustomProperties: { board: 'v1.1:e4', schema: 2 } });
+        room = h.room(GAME);
+        assert.equal(room.Env.AppVersion, '2.0');
+        load = room.LoadEvents[Object.keys(room.LoadEvents)[0]];
+        assert.deepEqual(load.Migrated, [{ Field: 'AppVersion', From: '1.0', To: '2.0' }]);
+
+        assert.equal(h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2').ResultCode, 4, 'older clients cant join the migrated room');
+    });
+});
+
+test('a Load without a migration path is rejected', function () {
+    withMigrations({ Env: { AppVersion: 'Migrate' } }, function (h) {
+        var result;
+        savedGame(h);
+
+        result = h.call('RoomCreated', new PhotonWebhooks({ AppVersion: '3.0' }).load(GAME, 1, 'P1'), 'P1');
+        assert.equal(result.ResultCode, 4);
+        assert.equal(h.room(GAME), undefined);
+        assert.deepEqual(h.gamesList('P1')[GAME].State, { CustomProperties: { board: 'e4' } }, 'the saved state is untouched');
+    });
+});
@@ -0,0 +1,70 @@
+/*jslint node: true */
+'use strict';
+
+// RoomEventRaised dispatch: registered event types, payload schemas and rate limits.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var CloudScriptRuntime = require('../emulator/runtime');
+var createHarness = require('./support/harness').createHarness;
+
+var GAME = 'room-1';
+
+// A game module shipped as a separate file of the CloudScript revision.
+var CHAT_MODULE = [
+    "registerRoomEvent('chat', function (args, payload) {",
+    "    'use strict';",
+    "    return { echo: payload.text };",
+    "}, {",
+    "    schema: { fields: { text: { type: 'string', required: true } } },",
+    "    rateLimit: { Count: 2, Seconds: 10 }",
+    "});"
+].join('\n');
+
+function createRoom(modules) {
+    var h = createHarness();
+    if (modules) {
+        h.runtime = new CloudScriptRuntime({ server: h.server, modules: modules, now: h.runtime.now });
+    }
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: -1 }), 'P1');
+    return h;
+}
+
+test('playerMove events are routed to processPlayerMove', function () {
+    var h = createRoom(), result;
+
+    result = h.call('RoomEventRaised', h.photon.event(GAME, 1, 'P1', 1, { eventType: 'playerMove', Sequence: 1, Position: { x: 1, y: 1 } }), 'P1');
+    assert.deepEqual(result, { ResultCode: 0, Message: 'OK', Data: { validMove: true } });
+    assert.equal(h.call('RoomEventRaised', h.photon.event(GAME, 1, 'P1', 1, { eventType: 'playerMove', Sequence: 2, Position: { x: 1, y: 2 } }), 'P1').ResultCode, 2, 'cooldown');
+    assert.equal(h.call('RoomEventRaised', h.photon.event(GAME, 1, 'P1', 1, { eventType: 'playerMove', Sequence: 2 }), 'P1').ResultCode, 1, 'payload schema');
+});
+
+test('unknown events get a result code instead of being ignored', function () {
+    var h = createRoom();
+
+    assert.deepEqual(h.call('RoomEventRaised', h.photon.event(GAME, 1, 'P1', 1, { eventType: 'teleport' }), 'P1'),
+        { ResultCode: 2, Message: 'Unknown eventType=teleport' });
+    assert.equal(h.call('RoomEventRaised', h.photon.event(GAME, 1, 'P1', 1, { x: 1 }), 'P1').ResultCode, 2);
+});
+
+test('modules register events with payload validation and rate limits', function () {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudscript-')), file = path.join(dir, 'chat.js'), h;
+    fs.writeFileSync(file, CHAT_MODULE);
+    try {
+        h = createRoom([file]);
+
+        assert.deepEqual(h.call('RoomEventRaised', h.photon.event(GAME, 1, 'P1', 2, { eventType: 'chat', text: 'hi' }), 'P1').Data, { echo: 'hi' });
+        assert.equal(h.call('RoomEventRaised', h.photon.event(GAME, 1, 'P1', 2, { eventType: 'chat', text: 3 }), 'P1').ResultCode, 2);
+        assert.equal(h.call('RoomEventRaised', h.photon.event(GAME, 1, 'P1', 2, { eventType: 'chat', text: 'again' }), 'P1').ResultCode, 0);
+        assert.equal(h.call('RoomEventRaised', h.photon.event(GAME, 1, 'P1', 2, { eventType: 'chat', text: 'spam' }), 'P1').ResultCode, 8);
+        h.clock.time += 10000;
+        assert.equal(h.call('RoomEventRaised', h.photon.event(GAME, 1, 'P1', 2, { eventType: 'chat', text: 'later' }), 'P1').ResultCode, 0);
+        assert.equal(h.room(GAME).LastActivity.Timestamp, '2017-04-21T10:00:19.000Z', 'events count as room activity');
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
@@ -0,0 +1,76 @@
+/*jslint node: true */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var harness = require('./support/harness');
+var count = harness.count;
+
+var GAME = 'room-1';
+var DAY = 86400000;
+
+function rejoin(h, times) {
+    var i;
+    for (i = 0; i < times; i += 1) {
+        h.call('RoomLeft', h.photon.leave(GAME, 2, 'P2', true), 'P2');
+        h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2');
+    }
+}
+
+test('event maps keep the latest events and summarize the rest', function () {
+    var h = harness.createHarness(), room;
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: -1 }), 'P1');
+    h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2');
+    rejoin(h, 24);
+
+    room = h.room(GAME);
+    assert.equal(count(room.JoinEvents), 20);
+    assert.equal(count(room.LeaveEvents), 20);
+    assert.equal(room.EventSummary.JoinEvents.Count, 5);
+    assert.equal(room.EventSummary.LeaveEvents.Count, 4);
+    assert.equal(count(room.EventArchive.JoinEvents), 5);
+    assert.ok(room.EventSummary.JoinEvents.Newest < Object.keys(room.JoinEvents).sort()[0]);
+});
+
+test('events older than MaxAgeDays are trimmed on the next write', function () {
+    var h = harness.createHarness(), room;
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: -1 }), 'P1');
+    h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2');
+    rejoin(h, 2);
+
+    h.clock.time += 31 * DAY;
+    h.call('RoomLeft', h.photon.leave(GAME, 2, 'P2', true), 'P2');
+    room = h.room(GAME);
+    assert.equal(count(room.JoinEvents), 0);
+    assert.equal(count(room.LeaveEvents), 1);
+    assert.equal(room.EventSummary.JoinEvents.Count, 3);
+});
+
+test('trimmed rooms are saved with their summary and load again', function () {
+    var h = harness.createHarness(), saved, state = { CustomProperties: { map: 'forest' } };
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: -1 }), 'P1');
+    h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2');
+    rejoin(h, 30);
+    h.call('RoomLeft', h.photon.leave(GAME, 2, 'P2', true), 'P2');
+    h.call('RoomLeft', h.photon.leave(GAME, 1, 'P1', true), 'P1');
+    assert.equal(h.call('RoomClosed', h.photon.save(GAME, 2, state)).ResultCode, 0);
+
+    saved = h.gamesList('P1')[GAME];
+    assert.equal(saved.EventArchive, undefined);
+    assert.equal(saved.EventSummary.JoinEvents.Count, 11);
+    assert.deepEqual(h.call('RoomCreated', h.photon.load(GAME, 1, 'P1'), 'P1').State, state);
+    assert.equal(h.call('GetGameList', h.photon.webRpc('P1'), 'P1').ResultCode, 0);
+});
+
+test('retention follows the RoomEvents game rules', function () {
+    var h = harness.createHarness(), room;
+    h.server.SetTitleData({ Key: 'GameRules', Value: JSON.stringify({ RoomEvents: { MaxCount: 2, Archive: false } }) });
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: -1 }), 'P1');
+    h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2');
+    rejoin(h, 3);
+
+    room = h.room(GAME);
+    assert.equal(count(room.JoinEvents), 2);
+    assert.equal(room.EventSummary.JoinEvents.Count, 2);
+    assert.equal(room.EventArchive, undefined);
+});
@@ -0,0 +1,178 @@
+/*jslint node: true */
+'use strict';
+
+// Replays Photon room lifecycles through the webhook handlers against the fake
+// Server API and checks result codes and the persisted shared group contents.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var harness = require('./support/harness');
+var count = harness.count;
+
+var GAME = 'room-1';
+
+function createHarness() {
+    var h = harness.createHarness(), room = h.room;
+    h.room = function () {
+        return room(GAME);
+    };
+    return h;
+}
+
+test('realtime room: create, join, leave and close', function () {
+    var h = createHarness(), photon = h.photon, room;
+
+    assert.equal(h.call('RoomCreated', photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: 0 }), 'P1').ResultCode, 0);
+    room = h.room();
+    assert.deepEqual(room.Actors, { 1: { UserId: 'P1', Inactive: false } });
+    assert.equal(room.NextActorNr, 2);
+    assert.equal(room.Creation.UserId, 'P1');
+    assert.equal(room.Env.AppId, photon.AppId);
+    assert.equal(h.gamesList('P1')[GAME].Creation.UserId, 'P1');
+
+    assert.equal(h.call('RoomJoined', photon.join(GAME, 2, 'P2'), 'P2').ResultCode, 0);
+    room = h.room();
+    assert.deepEqual(room.Actors[2], { UserId: 'P2', Inactive: false });
+    assert.equal(room.NextActorNr, 3);
+    assert.equal(count(room.JoinEvents), 1);
+    assert.deepEqual(h.gamesList('P2')[GAME], { Env: room.Env, Creation: room.Creation, ActorNr: 2, SchemaVersion: 2 });
+
+    assert.equal(h.call('RoomJoined', photon.join(GAME, 3, 'P3'), 'P3').ResultCode, 2, 'MaxPlayers comes from the stored RoomOptions');
+    assert.equal(count(h.room().Actors), 2);
+
+    assert.equal(h.call('RoomLeft', photon.leave(GAME, 2, 'P2', false), 'P2').ResultCode, 0);
+    room = h.room();
+    assert.equal(room.Actors[2], undefined);
+    assert.equal(h.gamesList('P2')[GAME], undefined);
+    assert.equal(room.LeaveEvents[Object.keys(room.LeaveEvents)[0]].CanRejoin, false);
+
+    assert.equal(h.call('RoomLeft', photon.leave(GAME, 1, 'P1', false), 'P1').ResultCode, 0);
+    assert.equal(h.call('RoomClosed', photon.close(GAME)).ResultCode, 0);
+    assert.equal(h.room(), undefined);
+    assert.equal(h.gamesList('P1')[GAME], undefined);
+});
+
+test('async room: leave inactive, rejoin, save, load and close', function () {
+    var h = createHarness(), photon = h.photon, state = { CustomProperties: { turn: 3 }, ActorList: [] }, saved, result, room;
+
+    h.call('RoomCreated', photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: -1, CheckUserOnJoin: true }), 'P1');
+    h.call('RoomJoined', photon.join(GAME, 2, 'P2'), 'P2');
+
+    assert.equal(h.call('RoomLeft', photon.leave(GAME, 2, 'P2', true), 'P2').ResultCode, 0);
+    room = h.room();
+    assert.equal(room.Actors[2].Inactive, true);
+    assert.equal(h.gamesList('P2')[GAME].ActorNr, 2, 'inactive actors keep their games list entry');
+
+    assert.equal(h.call('RoomJoined', photon.join(GAME, 2, 'P2'), 'P2').ResultCode, 0);
+    room = h.room();
+    assert.equal(room.Actors[2].Inactive, false);
+    assert.equal(room.NextActorNr, 3, 'a rejoin does not allocate a new actor number');
+    assert.equal(count(room.JoinEvents), 2);
+    assert.equal(h.call('RoomJoined', photon.join(GAME, 2, 'P2'), 'P2').ResultCode, 2, 'actor is already joined');
+
+    h.call('RoomLeft', photon.leave(GAME, 2, 'P2', true), 'P2');
+    h.call('RoomLeft', photon.leave(GAME, 1, 'P1', true), 'P1');
+    state.ActorList = [{ ActorNr: 1 }, { ActorNr: 2 }];
+    assert.equal(h.call('RoomClosed', photon.save(GAME, 2, state)).ResultCode, 0);
+    assert.equal(h.room(), undefined, 'the room shared group is removed once saved');
+    saved = h.gamesList('P1')[GAME];
+    assert.deepEqual(saved.State, state);
+    assert.equal(count(saved.SaveEvents), 1);
+    assert.equal(count(saved.LeaveEvents), 3);
+
+    result = h.call('RoomCreated', photon.load(GAME, 2, 'P2'), 'P2');
+    assert.equal(result.ResultCode, 0);
+    assert.deepEqual(result.State, state, 'non-creators load through the creator games list');
+    room = h.room();
+    assert.equal(count(room.LoadEvents), 1);
+    assert.equal(room.Actors[2].Inactive, false);
+    assert.equal(room.Actors[1].Inactive, true);
+
+    assert.equal(h.call('RoomJoined', photon.join(GAME, 1, 'P1'), 'P1').ResultCode, 0);
+    h.call('RoomLeft', photon.leave(GAME, 1, 'P1', false), 'P1');
+    h.call('RoomLeft', photon.leave(GAME, 2, 'P2', false), 'P2');
+    assert.equal(h.call('RoomClosed', photon.close(GAME)).ResultCode, 0);
+    assert.equal(h.room(), undefined);
+    assert.equal(h.gamesList('P1')[GAME], undefined);
+    assert.equal(h.gamesList('P2')[GAME], undefined);
+});
+
+test('inactive actors are removed when their PlayerTTL runs out', function () {
+    var h = createHarness(), photon = h.photon;
+
+    h.call('RoomCreated', photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: 60000 }), 'P1');
+    h.call('RoomJoined', photon.join(GAME, 2, 'P2'), 'P2');
+    h.call('RoomLeft', photon.leave(GAME, 2, 'P2', true), 'P2');
+    assert.equal(h.call('RoomLeft', photon.leave(GAME, 2, 'P2', true), 'P2').ResultCode, 2, 'inactive actors cant leave');
+
+    assert.equal(h.call('RoomLeft', photon.leave(GAME, 2, 'P2', false, 'PlayerTtlTimedOut'), 'P2').ResultCode, 0);
+    assert.equal(h.room().Actors[2], undefined);
+    assert.equal(h.gamesList('P2')[GAME], undefined);
+});
+
+test('webhooks with bad arguments are rejected with Photon result codes', function () {
+    var h = createHarness(), photon = h.photon, args;
+
+    args = photon.create(GAME, 'P1');
+    delete args.AppVersion;
+    assert.equal(h.call('RoomCreated', args, 'P1').ResultCode, 1);
+    assert.equal(h.call('RoomCreated', photon.create(GAME, 'P1'), 'P2').ResultCode, 3, 'UserId must match currentPlayerId');
+    assert.equal(h.room(), undefined);
+
+    assert.equal(h.call('RoomCreated', photon.load(GAME, 1, 'P1', false), 'P1').ResultCode, 5, 'unknown room without CreateIfNotExists');
+    assert.equal(h.call('RoomCreated', photon.load(GAME, 1, 'P1', true), 'P1').ResultCode, 0);
+    assert.deepEqual(h.room().Actors, { 1: { UserId: 'P1', Inactive: false } });
+    h.server.DeleteSharedGroup({ SharedGroupId: GAME });
+
+    h.call('RoomCreated', photon.create(GAME, 'P1', { MaxPlayers: 4, PlayerTTL: -1 }), 'P1');
+    h.call('RoomJoined', photon.join(GAME, 2, 'P2'), 'P2');
+    h.call('RoomLeft', photon.leave(GAME, 2, 'P2', true), 'P2');
+    assert.equal(h.call('RoomJoined', photon.join(GAME, 5, 'P3'), 'P3').ResultCode, 2, 'unexpected ActorNr');
+    assert.equal(h.call('RoomLeft', photon.leave(GAME, 3, 'P3', false), 'P3').ResultCode, 2, 'no such actor');
+    assert.equal(h.call('RoomClosed', photon.close(GAME)).ResultCode, 6, 'actors count does not match');
+    assert.notEqual(h.room(), undefined);
+});
+
+test('CheckUserOnJoin forbids rejoining an actor slot as another user', function () {
+    var h = createHarness(), photon = h.photon;
+
+    h.call('RoomCreated', photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: -1, CheckUserOnJoin: true }), 'P1');
+    h.call('RoomJoined', photon.join(GAME, 2, 'P2'), 'P2');
+    h.call('RoomLeft', photon.leave(GAME, 2, 'P2', true), 'P2');
+    assert.equal(h.call('RoomJoined', photon.join(GAME, 2, 'P3'), 'P3').ResultCode, 2);
+    assert.equal(h.room().Actors[2].UserId, 'P2');
+});
+
+test('leave keeps the actor only when Photon reports IsInactive', function () {
+    var h = createHarness(), photon = h.photon, args;
+
+    h.call('RoomCreated', photon.create(GAME, 'P1', { MaxPlayers: 3, PlayerTTL: -1 }), 'P1');
+    h.call('RoomJoined', photon.join(GAME, 2, 'P2'), 'P2');
+    h.call('RoomJoined', photon.join(GAME, 3, 'P3'), 'P3');
+
+    args = photon.leave(GAME, 2, 'P2', false);
+    args.Inactive = true;
+    assert.equal(h.call('RoomLeft', args, 'P2').ResultCode, 0);
+    assert.equal(h.room().Actors[2], undefined, 'the old Inactive field is ignored');
+
+    assert.equal(h.call('RoomLeft', photon.leave(GAME, 3, 'P3', true), 'P3').ResultCode, 0);
+    assert.deepEqual(h.room().Actors[3], { UserId: 'P3', Inactive: true });
+});
+
+test('load marks the loading actor active and returns the saved state unserialized', function () {
+    var h = createHarness(), photon = h.photon, state = { CustomProperties: { turn: 1 }, ActorList: [{ ActorNr: 1 }, { ActorNr: 2 }] }, result;
+
+    h.call('RoomCreated', photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: -1 }), 'P1');
+    h.call('RoomJoined', photon.join(GAME, 2, 'P2'), 'P2');
+    h.call('RoomLeft', photon.leave(GAME, 1, 'P1', true), 'P1');
+    h.call('RoomLeft', photon.leave(GAME, 2, 'P2', true), 'P2');
+    h.call('RoomClosed', photon.save(GAME, 2, state));
+    assert.equal(h.gamesList('P1')[GAME].Actors[1].Inactive, true);
+
+    result = h.call('RoomCreated', photon.load(GAME, 1, 'P1'), 'P1');
+    assert.equal(result.ResultCode, 0);
+    assert.deepEqual(result.State, state, 'saving the room does not turn the returned State into a JSON string');
+    assert.equal(h.room().Actors[1].Inactive, false);
+    assert.equal(h.room().Actors[2].Inactive, true);
+});
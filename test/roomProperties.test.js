@@ -0,0 +1,54 @@
+/*jslint node: true */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var createHarness = require('./support/harness').createHarness;
+
+var GAME = 'room-1';
+
+function createRoom() {
+    var h = createHarness();
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: -1 }), 'P1');
+    h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2');
+    return h;
+}
+
+// PlayFab does not set currentPlayerId for RoomPropertyUpdated
+function updateProperties(h, args) {
+    return h.call('RoomPropertyUpdated', args).ResultCode;
+}
+
+test('game properties are merged into the stored State', function () {
+    var h = createRoom();
+
+    assert.equal(updateProperties(h, h.photon.gameProperties(GAME, 1, 'P1', { map: 'forest', round: 1 })), 0);
+    assert.equal(updateProperties(h, h.photon.gameProperties(GAME, 2, 'P2', { round: 2, map: null })), 0);
+    assert.deepEqual(h.room(GAME).State, { CustomProperties: { round: 2 } });
+
+    assert.equal(updateProperties(h, h.photon.gameProperties(GAME, 1, 'P1', { round: 3 }, { CustomProperties: { round: 3 }, ActorList: [] })), 0);
+    assert.deepEqual(h.room(GAME).State, { CustomProperties: { round: 3 }, ActorList: [] }, 'a forwarded State replaces the stored one');
+});
+
+test('player properties are merged into the target actor', function () {
+    var h = createRoom();
+
+    assert.equal(updateProperties(h, h.photon.playerProperties(GAME, 1, 'P1', 2, { team: 'red' })), 0);
+    assert.equal(updateProperties(h, h.photon.playerProperties(GAME, 2, 'P2', 2, { ready: true })), 0);
+    assert.deepEqual(h.room(GAME).Actors[2], { UserId: 'P2', Inactive: false, Properties: { team: 'red', ready: true } });
+    assert.equal(h.room(GAME).Actors[1].Properties, undefined);
+
+    assert.equal(updateProperties(h, h.photon.playerProperties(GAME, 1, 'P1', 7, { team: 'blue' })), 2);
+    assert.equal(updateProperties(h, h.photon.playerProperties(GAME, 1, 'P1', 2)), 1, 'Properties are required');
+});
+
+test('updated properties survive a save and load', function () {
+    var h = createRoom(), state;
+
+    updateProperties(h, h.photon.gameProperties(GAME, 1, 'P1', { round: 5 }));
+    state = h.room(GAME).State;
+    h.call('RoomLeft', h.photon.leave(GAME, 2, 'P2', true), 'P2');
+    h.call('RoomLeft', h.photon.leave(GAME, 1, 'P1', true), 'P1');
+    h.call('RoomClosed', h.photon.save(GAME, 2, state));
+    assert.deepEqual(h.call('RoomCreated', h.photon.load(GAME, 2, 'P2'), 'P2').State, { CustomProperties: { round: 5 } });
+});
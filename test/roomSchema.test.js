@@ -0,0 +1,90 @@
+/*jslint node: true */
+'use strict';
+
+// Room state SchemaVersion: the stamp on rooms and games list entries, and saved states
+// written by older script revisions being upgraded on read.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var createHarness = require('./support/harness').createHarness;
+
+var GAME = 'room-1';
+
+// A game saved before Actors and NextActorNr, as early scripts wrote it.
+function saveLegacyGame(h, schemaVersion) {
+    var entry = {
+        Env: { AppId: 'photon-app-id', AppVersion: '1.0', Region: 'eu', WebhooksVersion: '1.2' },
+        RoomOptions: { MaxPlayers: 2, PlayerTTL: -1, CheckUserOnJoin: true },
+        Creation: { Timestamp: '2017-04-01T10:00:00.000Z', UserId: 'P1', Type: 'Create' },
+        ActiveActors: { 1: { UserId: 'P1', Inactive: true }, 2: { UserId: 'P2', Inactive: true } },
+        Moves: { Turn: 2, Sequences: { 1: 1 }, Positions: { 1: { x: 0, y: 0 } }, Count: 1 },
+        State: { CustomProperties: { board: 'e4' } }
+    };
+    if (schemaVersion !== undefined) {
+        entry.SchemaVersion = schemaVersion;
+    }
+    h.server.UpdateSharedGroupData({ SharedGroupId: 'P1_GamesList', Data: { 'room-1': JSON.stringify(entry) } });
+}
+
+test('rooms and games list entries are stamped with the SchemaVersion', function () {
+    var h = createHarness();
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: -1, CheckUserOnJoin: true }), 'P1');
+    h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2');
+
+    assert.equal(h.room(GAME).SchemaVersion, 2);
+    assert.equal(h.gamesList('P1')[GAME].SchemaVersion, 2);
+    assert.equal(h.gamesList('P2')[GAME].SchemaVersion, 2);
+});
+
+test('legacy saved games are upgraded when loaded', function () {
+    var h = createHarness(), result, room;
+    saveLegacyGame(h);
+
+    assert.equal(h.call('GetGameList', h.photon.webRpc('P1'), 'P1').Data[GAME].ActorNr, 1);
+    result = h.call('RoomCreated', h.photon.load(GAME, 1, 'P1'), 'P1');
+    assert.equal(result.ResultCode, 0);
+    assert.deepEqual(result.State, { CustomProperties: { board: 'e4' } });
+    room = h.room(GAME);
+    assert.equal(room.SchemaVersion, 2);
+    assert.equal(room.ActiveActors, undefined);
+    assert.equal(room.NextActorNr, 3);
+    assert.equal(room.Moves.Turn, undefined);
+    assert.equal(room.Match.Turn, 2, 'the turn of the moves is kept by the match');
+
+    assert.equal(h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2').ResultCode, 0);
+    assert.equal(h.room(GAME).Actors[2].Inactive, false);
+    assert.equal(h.call('GetMatch', h.photon.webRpc('P2', { GameId: GAME }), 'P2').Data.IsMyTurn, true);
+});
+
+test('states from a newer script are refused', function () {
+    var h = createHarness(), result;
+    saveLegacyGame(h, 99);
+
+    result = h.call('RoomCreated', h.photon.load(GAME, 1, 'P1'), 'P1');
+    assert.equal(result.ResultCode, 2);
+    assert.match(result.Message, /SchemaVersion=99 is newer than 2/);
+    assert.equal(h.room(GAME), undefined);
+});
+
+test('games list reads leave out entries from a newer script', function () {
+    var h = createHarness(), execution, result;
+    saveLegacyGame(h, 99);
+    h.call('RoomCreated', h.photon.create('room-2', 'P1', { MaxPlayers: 2, PlayerTTL: -1 }), 'P1');
+
+    execution = h.execute('GetGameList', h.photon.webRpc('P1'), 'P1');
+    result = execution.FunctionResult;
+    assert.equal(result.ResultCode, 0);
+    assert.deepEqual(Object.keys(result.Data), ['room-2']);
+    assert.match(execution.Logs[0].Message, /entry room-1 skipped, SchemaVersion=99/);
+    assert.equal(h.gamesList('P1')[GAME].SchemaVersion, 99, 'the entry is kept for the newer script');
+});
+
+test('rooms created by a Load can be joined', function () {
+    var h = createHarness(), load = h.photon.load(GAME, 1, 'P1');
+    load.CreateIfNotExists = true;
+
+    assert.equal(h.call('RoomCreated', load, 'P1').ResultCode, 0);
+    assert.deepEqual(h.room(GAME).RoomOptions, {});
+    assert.equal(h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2').ResultCode, 0);
+});
@@ -0,0 +1,37 @@
+/*jslint node: true */
+'use strict';
+
+// The script's own SHA-256 and HMAC-SHA256 against Node's crypto module.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var crypto = require('crypto');
+var fs = require('fs');
+var vm = require('vm');
+var CloudScriptRuntime = require('../emulator/runtime');
+
+var TEXTS = ['', 'abc', 'a'.repeat(55), 'a'.repeat(56), 'a'.repeat(64), 'x'.repeat(1000), 'héllo ✓ 😀'];
+var KEYS = ['', 'key', 'k'.repeat(100), 'ключ'];
+
+function loadScript() {
+    var sandbox = vm.createContext({ handlers: {} });
+    vm.runInContext(fs.readFileSync(CloudScriptRuntime.DEFAULT_SCRIPT_PATH, 'utf8').replace(/^\uFEFF/, ''), sandbox);
+    return sandbox;
+}
+
+test('sha256 matches crypto across block boundaries and UTF-8 input', function () {
+    var script = loadScript();
+    TEXTS.forEach(function (text) {
+        assert.equal(script.sha256(text), crypto.createHash('sha256').update(text).digest('hex'), JSON.stringify(text));
+    });
+});
+
+test('hmacSha256 matches crypto for short, empty and long keys', function () {
+    var script = loadScript();
+    KEYS.forEach(function (key) {
+        TEXTS.forEach(function (text) {
+            assert.equal(script.hmacSha256(key, text), crypto.createHmac('sha256', key).update(text).digest('hex'), key + '/' + JSON.stringify(text));
+        });
+    });
+});
@@ -0,0 +1,46 @@
+/*jslint node: true */
+'use strict';
+
+// Shared setup for the scenario tests: a runtime over a fresh fake server,
+// a Photon payload builder and a clock that moves one second per call.
+
+var CloudScriptRuntime = require('../../emulator/runtime');
+var FakeServerApi = require('../../emulator/fakeServer');
+var PhotonWebhooks = require('../../emulator/photonWebhooks');
+
+function createHarness(playerIds) {
+    var harness = { clock: { time: Date.parse('2017-04-21T10:00:00.000Z') } };
+    harness.server = new FakeServerApi();
+    harness.photon = new PhotonWebhooks();
+    harness.runtime = new CloudScriptRuntime({
+        server: harness.server,
+        now: function () {
+            return harness.clock.time;
+        }
+    });
+    // every call moves the clock, so event maps keyed by timestamp never collide
+    harness.call = function (handler, args, playerId) {
+        harness.clock.time += 1000;
+        return harness.runtime.run(handler, args, { playerId: playerId });
+    };
+    harness.execute = function (handler, args, playerId, context) {
+        harness.clock.time += 1000;
+        return harness.runtime.execute(handler, args, { playerId: playerId, context: context });
+    };
+    harness.room = function (gameId) {
+        return harness.server.readSharedGroup(gameId);
+    };
+    harness.gamesList = function (playerId) {
+        return harness.server.readSharedGroup(playerId + '_GamesList');
+    };
+    (playerIds || ['P1', 'P2', 'P3']).forEach(function (playerId) {
+        harness.call('InitGameList', {}, playerId);
+    });
+    return harness;
+}
+
+function count(map) {
+    return Object.keys(map || {}).length;
+}
+
+module.exports = { createHarness: createHarness, count: count };
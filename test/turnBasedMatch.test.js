@@ -0,0 +1,145 @@
+/*jslint node: true */
+'use strict';
+
+// Turn-based matches through the SubmitTurn and GetMatch WebRPCs: turn ownership,
+// stale turns, saved rooms, deadlines, forfeits and next-player notifications.
+// Run with: node --test
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var createHarness = require('./support/harness').createHarness;
+
+var GAME = 'match-1';
+
+function startMatch(rules) {
+    var h = createHarness();
+    if (rules) {
+        h.server.SetTitleData({ Key: 'GameRules', Value: JSON.stringify(rules) });
+    }
+    h.call('RoomCreated', h.photon.create(GAME, 'P1', { MaxPlayers: 2, PlayerTTL: -1, CheckUserOnJoin: true }), 'P1');
+    h.call('RoomJoined', h.photon.join(GAME, 2, 'P2'), 'P2');
+    h.rpc = function (name, userId, parameters) {
+        return h.call(name, h.photon.webRpc(userId, parameters), userId);
+    };
+    h.submit = function (userId, turnNumber, data) {
+        return h.rpc('SubmitTurn', userId, { GameId: GAME, TurnNumber: turnNumber, Data: data });
+    };
+    return h;
+}
+
+function pushes(h, playerId) {
+    return h.server.users[playerId] ? h.server.users[playerId].PushNotifications : [];
+}
+
+test('turns go round in actor order and only the current actor can play', function () {
+    var h = startMatch(), match, result;
+
+    match = h.rpc('GetMatch', 'P1', { GameId: GAME }).Data;
+    assert.deepEqual(match.TurnOrder, [{ ActorNr: 1, UserId: 'P1', Inactive: false }, { ActorNr: 2, UserId: 'P2', Inactive: false }]);
+    assert.equal(match.Turn, 1);
+    assert.equal(match.TurnNumber, 1);
+    assert.equal(match.IsMyTurn, true);
+    assert.equal(h.room(GAME).Match.Turn, 1, 'the turn state is kept in the room');
+
+    result = h.submit('P2', 1);
+    assert.equal(result.ResultCode, 2);
+    assert.match(result.Message, /Not your turn/);
+
+    result = h.submit('P1', 1, { played: 'e4' });
+    assert.equal(result.ResultCode, 0);
+    assert.equal(result.Data.Turn, 2);
+    assert.equal(result.Data.IsMyTurn, false);
+    assert.deepEqual(result.Data.History.map(function (turn) {
+        return [turn.TurnNumber, turn.ActorNr, turn.Data.played];
+    }), [[1, 1, 'e4']]);
+    assert.equal(pushes(h, 'P2').length, 1);
+    assert.equal(pushes(h, 'P2')[0].Message, 'It is your turn in ' + GAME);
+    assert.equal(pushes(h, 'P1').length, 0, 'callers are not notified of their own turn');
+
+    assert.equal(h.submit('P1', 2).ResultCode, 2);
+    assert.equal(h.submit('P2', 1).ResultCode, 7, 'a stale TurnNumber is a conflict');
+    assert.equal(h.submit('P2', 2).Data.Turn, 1);
+    assert.equal(h.room(GAME).Match.TurnNumber, 3);
+});
+
+test('turns can be played while the room is saved', function () {
+    var h = startMatch(), result, saved;
+
+    h.submit('P1', 1);
+    h.call('RoomLeft', h.photon.leave(GAME, 2, 'P2', true), 'P2');
+    h.call('RoomLeft', h.photon.leave(GAME, 1, 'P1', true), 'P1');
+    h.call('RoomClosed', h.photon.save(GAME, 2, { CustomProperties: {} }));
+    assert.equal(h.room(GAME), undefined);
+
+    result = h.submit('P2', 2, { played: 'e5' });
+    assert.equal(result.ResultCode, 0);
+    assert.deepEqual(result.Data.TurnOrder.map(function (actor) {
+        return actor.Inactive;
+    }), [true, true]);
+    saved = h.gamesList('P1')[GAME];
+    assert.equal(saved.Match.Turn, 1);
+    assert.equal(saved.Match.TurnNumber, 3);
+
+    h.call('RoomCreated', h.photon.load(GAME, 1, 'P1'), 'P1');
+    assert.equal(h.room(GAME).Match.TurnNumber, 3, 'the match is loaded with the room');
+    assert.equal(h.rpc('GetMatch', 'P1', { GameId: GAME }).Data.IsMyTurn, true);
+});
+
+test('expired turns are skipped when the match is next read', function () {
+    var h = startMatch({ Match: { TurnTimeoutSeconds: 60 } }), match;
+
+    assert.equal(h.rpc('GetMatch', 'P1', { GameId: GAME }).Data.TurnDeadline, '2017-04-21T10:01:06.000Z');
+    h.clock.time += 60000;
+    match = h.rpc('GetMatch', 'P1', { GameId: GAME }).Data;
+    assert.equal(match.Turn, 2);
+    assert.equal(match.TurnNumber, 2);
+    assert.equal(match.History[0].TimedOut, true);
+    assert.equal(pushes(h, 'P2').length, 1);
+
+    h.clock.time += 60000;
+    assert.equal(h.submit('P2', 2).ResultCode, 2, 'the late turn is refused');
+    assert.equal(h.room(GAME).Match.Turn, 1, 'the timeout found on the way is kept');
+});
+
+test('forfeits end the match', function () {
+    var h = startMatch({ Match: { TurnTimeoutSeconds: 60, OnTimeout: 'Forfeit' } }), match, result;
+
+    h.rpc('GetMatch', 'P2', { GameId: GAME });
+    h.clock.time += 60000;
+    match = h.rpc('GetMatch', 'P2', { GameId: GAME }).Data;
+    assert.equal(match.Status, 'Finished');
+    assert.equal(match.Winner, 2);
+    assert.equal(match.Forfeited[1].Reason, 'TimedOut');
+    assert.match(h.submit('P2', 2).Message, /Match is Finished/);
+
+    h = startMatch();
+    result = h.rpc('SubmitTurn', 'P2', { GameId: GAME, TurnNumber: 1, Forfeit: true });
+    assert.equal(result.ResultCode, 0, 'actors can forfeit out of turn');
+    assert.equal(result.Data.Winner, 1);
+    assert.deepEqual(Object.keys(result.Data.Forfeited), ['2']);
+});
+
+test('calls for unknown games or from outsiders are rejected', function () {
+    var h = startMatch();
+
+    assert.equal(h.rpc('GetMatch', 'P3', { GameId: GAME }).ResultCode, 2);
+    assert.equal(h.rpc('GetMatch', 'P1', { GameId: 'nope' }).ResultCode, 5);
+    assert.equal(h.rpc('SubmitTurn', 'P1', { GameId: GAME }).ResultCode, 1);
+    assert.equal(h.room(GAME).Match, undefined, 'rejected calls leave the room untouched');
+});
+
+test('player moves and SubmitTurn take the same turns', function () {
+    var h = startMatch({ PlayerMove: { CooldownSeconds: 0 } }), result;
+
+    assert.equal(h.call('updatePlayerMove', { GameId: GAME, Sequence: 1, Position: { x: 0, y: 0 } }, 'P1').ok, true);
+    assert.match(h.submit('P1', 2).Message, /Not your turn/, 'the move was the turn of P1');
+    result = h.submit('P2', 2);
+    assert.equal(result.ResultCode, 0);
+    assert.deepEqual(result.Data.History.map(function (turn) {
+        return turn.ActorNr;
+    }), [1, 2]);
+
+    assert.equal(h.call('updatePlayerMove', { GameId: GAME, Sequence: 1, Position: { x: 7, y: 7 } }, 'P2').error.code, 'OutOfTurn');
+    assert.equal(h.call('updatePlayerMove', { GameId: GAME, Sequence: 2, Position: { x: 1, y: 0 } }, 'P1').ok, true);
+    assert.equal(h.rpc('GetMatch', 'P2', { GameId: GAME }).Data.IsMyTurn, true);
+});
@@ -0,0 +1,44 @@
+/*jslint node: true */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var createHarness = require('./support/harness').createHarness;
+
+test('every schema violation is reported, not only the first one', function () {
+    var h = createHarness(), args = h.photon.create('room-1', 'P1'), result;
+    delete args.AppId;
+    args.CreateOptions.MaxPlayers = '4';
+    args.ActorNr = 2;
+
+    result = h.call('RoomCreated', args, 'P1');
+    assert.equal(result.ResultCode, 1, 'the first violation decides the result code');
+    assert.equal(result.Message, 'Missing argument: AppId; ActorNr != 1 and Type == Create; Wrong type: CreateOptions.MaxPlayers is string instead of number');
+    assert.equal(h.room('room-1'), undefined);
+});
+
+test('leave webhooks are checked against the schema of their LeaveReason', function () {
+    var h = createHarness(), args = h.photon.leave('room-1', 2, 'P2', false, 'SwitchRoom');
+    assert.equal(h.call('RoomLeft', args, 'P2').Message, 'Unexpected LeaveReason');
+
+    args = h.photon.leave('room-1', 2, 'P2', false, 'LeaveRequest');
+    args.Reason = '0';
+    assert.equal(h.call('RoomLeft', args, 'P2').Message, 'Reason code does not match Leave Type string');
+
+    args.Type = 'Teleported';
+    assert.equal(h.call('RoomLeft', args, 'P2').Message, 'Unexpected Type:Teleported');
+});
+
+test('1.0 webhooks need Username and State, WebRPCs need Region', function () {
+    var h = createHarness(), args;
+
+    assert.equal(h.call('GetGameList', { AppId: 'a', AppVersion: '1.0', UserId: 'P1' }, 'P1').Message, 'Missing argument: Region');
+
+    args = h.photon.join('room-1', 2, 'P2');
+    delete args.Nickname;
+    assert.equal(h.call('RoomJoined', args, 'P2').Message, 'Missing argument: Username');
+    args.Username = 'P2';
+    args.Type = 'Event';
+    args.Data = {};
+    assert.equal(h.call('RoomCreated', args, 'P2').Message, 'Missing argument: State');
+});